@@ -13,6 +13,9 @@ const commandSeal = require('../lib/commands/seal');
 const commandSpf = require('../lib/commands/spf');
 const commandVmc = require('../lib/commands/vmc');
 const commandBodyhash = require('../lib/commands/bodyhash');
+const commandDmarcReport = require('../lib/commands/dmarc-report');
+const commandDmarc = require('../lib/commands/dmarc');
+const commandKeygen = require('../lib/commands/keygen');
 
 const fs = require('node:fs');
 const pathlib = require('node:path');
@@ -62,6 +65,14 @@ const argv = yargs(hideBin(process.argv))
                     type: 'number',
                     description: 'Maximum allowed DNS lookups that return no data (void lookups) during SPF checks. Defaults to 2.',
                     default: 2
+                })
+                .option('diagnostics', {
+                    type: 'boolean',
+                    description: 'Include diagnostic details for DKIM signatures that did not verify.'
+                })
+                .option('iprev', {
+                    type: 'boolean',
+                    description: 'Check the reverse DNS (iprev) of the client IP address.'
                 });
             yargs.positional('email', {
                 describe: 'Path to the email message file in EML format. If not specified, the content is read from standard input.'
@@ -133,6 +144,19 @@ const argv = yargs(hideBin(process.argv))
                     alias: 'o',
                     type: 'boolean',
                     description: 'If set, outputs only the DKIM signature headers without the message body.'
+                })
+                .option('check-dns', {
+                    type: 'boolean',
+                    description: 'Check that the public key published for the selector matches the private key before signing.'
+                })
+                .option('oversign', {
+                    type: 'boolean',
+                    description:
+                        'Oversign header fields, so that additional headers with the same name break the signature. Defaults to "From:To:Subject:Date:Reply-To:Content-Type".'
+                })
+                .option('oversign-fields', {
+                    type: 'string',
+                    description: 'Colon-separated list of header field names to oversign. Implies --oversign.'
                 });
             yargs.positional('email', {
                 describe: 'Path to the email message file in EML format. If not specified, the content is read from standard input.'
@@ -263,8 +287,7 @@ const argv = yargs(hideBin(process.argv))
                 .option('client-ip', {
                     alias: 'i',
                     type: 'string',
-                    description: 'IP address of the remote client (used for SPF checks).',
-                    demandOption: true
+                    description: 'IP address of the remote client (used for SPF checks).'
                 })
                 .option('helo', {
                     alias: 'e',
@@ -299,6 +322,38 @@ const argv = yargs(hideBin(process.argv))
                     type: 'number',
                     description: 'Maximum allowed DNS lookups that return no data (void lookups) during SPF checks. Defaults to 2.',
                     default: 2
+                })
+                .option('explain', {
+                    type: 'boolean',
+                    description: 'If set, prints the full evaluation tree with every record, mechanism and DNS query.'
+                })
+                .option('flatten', {
+                    type: 'boolean',
+                    description: 'If set, resolves the SPF record of the sender domain into a chain of records that only use ip4 and ip6 mechanisms.'
+                })
+                .option('max-length', {
+                    type: 'number',
+                    description: 'Maximum length of a single flattened SPF record. Defaults to 255.'
+                })
+                .option('coverage', {
+                    type: 'string',
+                    description:
+                        'Path to a file with IP addresses and CIDR ranges, one per line. Reports which entries are authorized by the SPF record of the sender domain.'
+                })
+                .option('record', {
+                    type: 'string',
+                    description:
+                        'Candidate SPF record to evaluate instead of the published record of the sender domain. The result is compared with the published record.'
+                })
+                .option('override', {
+                    type: 'array',
+                    description: 'Candidate SPF record for another domain, eg. a nested include, in the format "domain=record". Can be set multiple times.'
+                })
+                .check(argv => {
+                    if (!argv.flatten && !argv.coverage && !argv.clientIp) {
+                        throw new Error('Missing required argument: client-ip');
+                    }
+                    return true;
                 });
         },
         argv => {
@@ -391,6 +446,141 @@ const argv = yargs(hideBin(process.argv))
                 });
         }
     )
+    .command(
+        ['dmarc [input]'],
+        'Validate a DMARC record or build a new one',
+        yargs => {
+            yargs
+                .option('lint', {
+                    alias: 'l',
+                    type: 'boolean',
+                    description: 'Validate the DMARC record of a domain, or a DMARC record string, and list all problems found. This is the default action.'
+                })
+                .option('build', {
+                    alias: 'b',
+                    type: 'boolean',
+                    description: 'Build a DMARC record from a JSON policy object, eg. {"p":"reject","rua":"reports@example.com"}.'
+                })
+                .option('dns-cache', {
+                    alias: 'n',
+                    type: 'string',
+                    description:
+                        'Path to a JSON file with cached DNS responses. When provided, DNS queries use these cached responses instead of performing actual DNS lookups.'
+                })
+                .conflicts('lint', 'build');
+            yargs.positional('input', {
+                describe:
+                    'Domain name or DMARC record to validate, or a JSON policy object (or path to a JSON file) to build a record from. If not specified, the content is read from standard input.'
+            });
+        },
+        argv => {
+            commandDmarc(argv)
+                .then(() => {
+                    process.exit();
+                })
+                .catch(err => {
+                    console.error(argv.build ? 'Failed to build the DMARC record.' : 'Failed to validate the DMARC record.');
+                    console.error(err.message);
+                    process.exit(1);
+                });
+        }
+    )
+    .command(
+        ['dmarc-report [report..]'],
+        'Parse DMARC aggregate reports and print a summary',
+        yargs => {
+            yargs.option('format', {
+                alias: 'r',
+                type: 'string',
+                description: 'Output format. Defaults to "table".',
+                choices: ['table', 'csv', 'json'],
+                default: 'table'
+            });
+            yargs.option('max-size', {
+                type: 'number',
+                description: 'Maximum size in bytes of the decompressed report. Defaults to 52428800 (50 MB).'
+            });
+            yargs.positional('report', {
+                describe:
+                    'Path to a DMARC aggregate report file. Can be raw XML, a gzip or zip archive, or an email message with the report attached. If not specified, the content is read from standard input.'
+            });
+        },
+        argv => {
+            commandDmarcReport(argv)
+                .then(() => {
+                    process.exit();
+                })
+                .catch(err => {
+                    console.error('Failed to parse the DMARC report.');
+                    console.error(err);
+                    process.exit(1);
+                });
+        }
+    )
+    .command(
+        ['keygen'],
+        'Generate a DKIM key pair and the selector DNS record',
+        yargs => {
+            yargs
+                .option('type', {
+                    alias: 't',
+                    type: 'string',
+                    description: 'Key type. Defaults to "rsa".',
+                    choices: ['rsa', 'ed25519'],
+                    default: 'rsa'
+                })
+                .option('bits', {
+                    alias: 'b',
+                    type: 'number',
+                    description: 'RSA key length in bits. Defaults to 2048.',
+                    default: 2048
+                })
+                .option('domain', {
+                    alias: 'd',
+                    type: 'string',
+                    description: 'Signing domain for the DNS record name.',
+                    demandOption: true
+                })
+                .option('selector', {
+                    alias: 's',
+                    type: 'string',
+                    description: 'Key selector for the DNS record name.',
+                    demandOption: true
+                })
+                .option('private-key', {
+                    alias: 'k',
+                    type: 'string',
+                    description: 'Path to write the private key to. Existing files are not overwritten. If not set, the key is printed to standard output.'
+                })
+                .option('flags', {
+                    type: 'string',
+                    description: 'Colon-separated list of flags for the DNS record (t= tag), eg. "y" for testing mode.'
+                })
+                .option('hash', {
+                    type: 'string',
+                    description: 'Colon-separated list of acceptable hash algorithms (h= tag), eg. "sha256".'
+                })
+                .option('service', {
+                    type: 'string',
+                    description: 'Colon-separated list of service types (s= tag), eg. "email".'
+                })
+                .option('notes', {
+                    type: 'string',
+                    description: 'Notes for administrators (n= tag).'
+                });
+        },
+        argv => {
+            commandKeygen(argv)
+                .then(() => {
+                    process.exit();
+                })
+                .catch(err => {
+                    console.error('Failed to generate the DKIM key.');
+                    console.error(err);
+                    process.exit(1);
+                });
+        }
+    )
     .command(
         ['license'],
         'Display license information for mailauth and included modules',
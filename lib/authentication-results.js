@@ -0,0 +1,334 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { Transform } = require('node:stream');
+const { writeToStream } = require('./tools');
+const { MessageParser } = require('./dkim/message-parser');
+
+const DEFAULT_RENAME_TO = 'X-Original-Authentication-Results';
+
+const unquote = value => {
+    let match = value.match(/^"(.*)"$/s);
+    return match ? match[1].replace(/\\(.)/g, '$1') : value;
+};
+
+// splits header value into ";" separated segments of whitespace separated items, comments are collected separately
+const tokenize = value => {
+    let segments = [];
+    let segment;
+    let word = '';
+    let comment = '';
+    let quoted = false;
+    let escaped = false;
+    let commentLevel = 0;
+
+    const nextSegment = () => {
+        segment = { items: [], comments: [] };
+        segments.push(segment);
+    };
+
+    const endWord = () => {
+        if (word) {
+            segment.items.push(word);
+            word = '';
+        }
+    };
+
+    nextSegment();
+
+    for (let c of value) {
+        if (commentLevel) {
+            if (escaped) {
+                comment += c;
+                escaped = false;
+                continue;
+            }
+
+            switch (c) {
+                case '\\':
+                    escaped = true;
+                    break;
+                case '(':
+                    commentLevel++;
+                    comment += c;
+                    break;
+                case ')':
+                    commentLevel--;
+                    if (commentLevel) {
+                        // still in nested comment
+                        comment += c;
+                    } else {
+                        segment.comments.push(comment.replace(/\s+/g, ' ').trim());
+                        comment = '';
+                    }
+                    break;
+                default:
+                    comment += c;
+            }
+            continue;
+        }
+
+        if (quoted) {
+            // quotes and escapes are kept, these are removed when the value is extracted
+            word += c;
+            if (escaped) {
+                escaped = false;
+            } else if (c === '\\') {
+                escaped = true;
+            } else if (c === '"') {
+                quoted = false;
+            }
+            continue;
+        }
+
+        switch (c) {
+            case '"':
+                quoted = true;
+                word += c;
+                break;
+            case '(':
+                endWord();
+                commentLevel = 1;
+                break;
+            case ';':
+                endWord();
+                nextSegment();
+                break;
+            case ' ':
+            case '\t':
+            case '\r':
+            case '\n':
+                endWord();
+                break;
+            default:
+                word += c;
+        }
+    }
+
+    endWord();
+
+    return segments;
+};
+
+// joins items that were split by whitespace around "=", eg. "dkim = pass"
+const joinItems = items => {
+    let result = [];
+    for (let item of items) {
+        let last = result.length ? result[result.length - 1] : false;
+        if (last && ((item.charAt(0) === '=' && last.indexOf('=') < 0) || last.indexOf('=') === last.length - 1)) {
+            result[result.length - 1] = last + item;
+        } else {
+            result.push(item);
+        }
+    }
+    return result;
+};
+
+/**
+ * Parses an Authentication-Results header as described in RFC8601
+ *
+ * @param {Buffer|String} input Either the full header line or just the header value
+ * @returns {Object|Boolean} `{authservId, version, results}` or `false` if the header could not be parsed.
+ *   Every entry in `results` has the form `{method, version, result, reason, comment, properties}` where
+ *   `properties` lists ptype.property pairs as nested objects, eg. `{smtp: {mailfrom: 'user@example.com'}}`
+ */
+const parseAuthenticationResults = input => {
+    let value = (input || '')
+        .toString()
+        .replace(/^\s*Authentication-Results\s*:/i, '')
+        .trim();
+
+    let segments = tokenize(value);
+
+    let [authservId, version] = segments.shift().items;
+    if (!authservId) {
+        return false;
+    }
+
+    let response = {
+        authservId: unquote(authservId),
+        version: /^\d+$/.test(version || '') ? Number(version) : 1,
+        results: []
+    };
+
+    for (let segment of segments) {
+        let items = joinItems(segment.items);
+        if (!items.length || (items.length === 1 && items[0].toLowerCase() === 'none')) {
+            // no-result
+            continue;
+        }
+
+        let methodMatch = items.shift().match(/^([^=/]+)(?:\/(\d+))?=(.+)$/);
+        if (!methodMatch) {
+            // invalid resinfo, ignore
+            continue;
+        }
+
+        let entry = {
+            method: methodMatch[1].toLowerCase(),
+            result: unquote(methodMatch[3]).toLowerCase(),
+            properties: {}
+        };
+
+        if (methodMatch[2]) {
+            entry.version = Number(methodMatch[2]);
+        }
+
+        for (let item of items) {
+            let splitPos = item.indexOf('=');
+            if (splitPos < 1) {
+                continue;
+            }
+
+            let key = item.substr(0, splitPos).toLowerCase();
+            let val = unquote(item.substr(splitPos + 1));
+
+            if (key === 'reason') {
+                entry.reason = val;
+                continue;
+            }
+
+            let dotPos = key.indexOf('.');
+            if (dotPos < 1) {
+                continue;
+            }
+
+            let ptype = key.substr(0, dotPos);
+            let property = key.substr(dotPos + 1);
+            entry.properties[ptype] = entry.properties[ptype] || {};
+            entry.properties[ptype][property] = val;
+        }
+
+        if (segment.comments.length) {
+            entry.comment = segment.comments.join(' ');
+        }
+
+        response.results.push(entry);
+    }
+
+    return response;
+};
+
+/**
+ * Class for filtering out Authentication-Results headers that use our own authserv-id, RFC8601 5.
+ * Such headers can not originate from our own servers before the message has been processed,
+ * so these are either removed or renamed.
+ *
+ * @class
+ * @extends MessageParser
+ */
+class AuthResultsFilter extends MessageParser {
+    constructor(options) {
+        super();
+
+        let { authservId, action, renameTo, onChunk } = options || {};
+
+        this.authservIds = []
+            .concat(authservId || [])
+            .map(id => (id || '').toString().toLowerCase().trim())
+            .filter(id => id);
+
+        if (!this.authservIds.length) {
+            let err = new Error('authserv-id is required');
+            err.code = 'ENOAUTHSERVID';
+            throw err;
+        }
+
+        this.action = action === 'rename' ? 'rename' : 'remove';
+        this.renameTo = renameTo || DEFAULT_RENAME_TO;
+
+        this.onChunk = onChunk;
+        this.chunks = [];
+        this.chunklen = 0;
+
+        // parsed representations of filtered headers
+        this.forged = [];
+    }
+
+    emitChunk(chunk) {
+        if (typeof this.onChunk === 'function') {
+            return this.onChunk(chunk);
+        }
+        this.chunks.push(chunk);
+        this.chunklen += chunk.length;
+    }
+
+    async messageHeaders(headers) {
+        let lines = [];
+
+        for (let header of headers.parsed) {
+            if (header.key === 'authentication-results') {
+                let parsed = parseAuthenticationResults(header.line);
+                if (parsed && this.authservIds.includes(parsed.authservId.toLowerCase())) {
+                    this.forged.push(parsed);
+                    if (this.action === 'rename') {
+                        // the field name can be followed by whitespace before the colon
+                        lines.push(Buffer.concat([Buffer.from(this.renameTo), header.line.slice(header.line.indexOf(':'))]));
+                    }
+                    continue;
+                }
+            }
+            lines.push(header.line);
+        }
+
+        let chunks = lines.flatMap(line => [line, Buffer.from('\r\n')]);
+        if (/\r?\n\r?\n$/.test(headers.original.toString('binary'))) {
+            // keep the empty line between header and body
+            chunks.push(Buffer.from('\r\n'));
+        }
+
+        this.emitChunk(Buffer.concat(chunks));
+    }
+
+    async nextChunk(chunk) {
+        this.emitChunk(chunk);
+    }
+}
+
+/**
+ * Removes or renames forged Authentication-Results headers that use our own authserv-id
+ *
+ * @param {ReadableStream|Buffer|String} input RFC822 formatted message
+ * @param {Object} options
+ * @param {String|Array} options.authservId Our own authserv-id value or a list of values
+ * @param {String} [options.action="remove"] Either "remove" or "rename"
+ * @param {String} [options.renameTo="X-Original-Authentication-Results"] Header key for renamed headers
+ * @returns {Object} `{message, forged}` where `message` is the filtered message and `forged` lists parsed forged headers
+ */
+const filterAuthenticationResults = async (input, options) => {
+    let filter = new AuthResultsFilter(Object.assign({}, options, { onChunk: false }));
+    await writeToStream(filter, input);
+
+    return { message: Buffer.concat(filter.chunks, filter.chunklen), forged: filter.forged };
+};
+
+class AuthResultsFilterStream extends Transform {
+    constructor(options) {
+        super();
+
+        this.filter = new AuthResultsFilter(Object.assign({}, options, { onChunk: chunk => this.push(chunk) }));
+        this.forged = this.filter.forged;
+
+        this.filter.on('error', err => this.destroy(err));
+    }
+
+    _transform(chunk, encoding, done) {
+        if (!chunk || !chunk.length) {
+            return done();
+        }
+
+        if (typeof chunk === 'string') {
+            chunk = Buffer.from(chunk, encoding);
+        }
+
+        // callback is called once the chunk has been processed
+        this.filter.write(chunk, () => done());
+    }
+
+    _flush(done) {
+        this.filter.once('finish', () => done());
+        this.filter.end();
+    }
+}
+
+module.exports = { parseAuthenticationResults, filterAuthenticationResults, AuthResultsFilter, AuthResultsFilterStream };
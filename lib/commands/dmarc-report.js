@@ -0,0 +1,163 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { parseAggregateReport } = require('../dmarc/parse-aggregate-report');
+const fs = require('node:fs');
+
+const readInput = async source => {
+    if (source) {
+        return await fs.promises.readFile(source);
+    }
+
+    let chunks = [];
+    for await (let chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+const formatCsvValue = value => {
+    value = (value ?? '').toString();
+    if (/[",\r\n]/.test(value)) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+};
+
+const formatTable = rows => {
+    let widths = rows[0].map((c, i) => Math.max(...rows.map(row => row[i].toString().length)));
+    return rows
+        .map(row =>
+            row
+                .map((value, i) => value.toString().padEnd(widths[i]))
+                .join('  ')
+                .trimEnd()
+        )
+        .join('\n');
+};
+
+const CSV_HEADER = [
+    'file',
+    'org_name',
+    'report_id',
+    'begin',
+    'end',
+    'policy_domain',
+    'policy',
+    'source_ip',
+    'header_from',
+    'messages',
+    'dmarc_pass',
+    'dmarc_fail',
+    'dkim_pass',
+    'dkim_fail',
+    'spf_pass',
+    'spf_fail',
+    'disposition_none',
+    'disposition_quarantine',
+    'disposition_reject'
+];
+
+const cmd = async argv => {
+    let sources = [].concat(argv.report || []);
+    if (!sources.length) {
+        // use standard input
+        sources.push(false);
+    }
+
+    let reports = [];
+    for (let source of sources) {
+        if (argv.verbose) {
+            console.error(`Reading DMARC report from ${source || 'standard input'}`);
+        }
+
+        let report = parseAggregateReport(await readInput(source), { maxReportSize: argv.maxSize });
+        report.file = source || '-';
+
+        if (!report.valid && argv.verbose) {
+            for (let error of report.errors) {
+                console.error(`Schema error in ${report.file}: ${error.path}: ${error.message}`);
+            }
+        }
+
+        reports.push(report);
+    }
+
+    switch (argv.format) {
+        case 'json':
+            process.stdout.write(JSON.stringify(reports.length === 1 ? reports[0] : reports, false, 2) + '\n');
+            return;
+
+        case 'csv': {
+            let lines = [CSV_HEADER];
+            for (let report of reports) {
+                for (let source of report.summary.sources) {
+                    lines.push([
+                        report.file,
+                        report.metadata.orgName,
+                        report.metadata.reportId,
+                        report.metadata.begin?.toISOString(),
+                        report.metadata.end?.toISOString(),
+                        report.policy.domain,
+                        report.policy.p,
+                        source.sourceIp,
+                        source.headerFrom.join(' '),
+                        source.messages,
+                        source.dmarc.pass,
+                        source.dmarc.fail,
+                        source.dkim.pass,
+                        source.dkim.fail,
+                        source.spf.pass,
+                        source.spf.fail,
+                        source.disposition.none,
+                        source.disposition.quarantine,
+                        source.disposition.reject
+                    ]);
+                }
+            }
+            process.stdout.write(lines.map(line => line.map(formatCsvValue).join(',')).join('\n') + '\n');
+            return;
+        }
+
+        case 'table':
+        default: {
+            let output = [];
+            for (let report of reports) {
+                let { metadata, policy, summary } = report;
+
+                output.push(`Report:   ${metadata.reportId} from ${metadata.orgName}${metadata.email ? ` <${metadata.email}>` : ''}`);
+                output.push(`Period:   ${metadata.begin?.toISOString()} - ${metadata.end?.toISOString()}`);
+                output.push(
+                    `Policy:   ${policy.domain} p=${policy.p} sp=${policy.sp} pct=${policy.pct} adkim=${policy.adkim} aspf=${policy.aspf}${
+                        policy.fo ? ` fo=${policy.fo}` : ''
+                    }`
+                );
+                output.push(`Messages: ${summary.messages} (DMARC pass: ${summary.dmarc.pass}, fail: ${summary.dmarc.fail})`);
+                if (!report.valid) {
+                    output.push(`Schema:   ${report.errors.length} validation error${report.errors.length === 1 ? '' : 's'}`);
+                }
+                output.push('');
+
+                let rows = [['Source IP', 'Messages', 'DMARC pass', 'DKIM pass', 'SPF pass', 'None', 'Quarantine', 'Reject', 'Header From']];
+                for (let source of summary.sources) {
+                    rows.push([
+                        source.sourceIp,
+                        source.messages,
+                        source.dmarc.pass,
+                        source.dkim.pass,
+                        source.spf.pass,
+                        source.disposition.none,
+                        source.disposition.quarantine,
+                        source.disposition.reject,
+                        source.headerFrom.join(', ')
+                    ]);
+                }
+                output.push(formatTable(rows));
+                output.push('');
+            }
+            process.stdout.write(output.join('\n'));
+        }
+    }
+};
+
+module.exports = cmd;
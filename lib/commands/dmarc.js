@@ -0,0 +1,115 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { lintDmarcRecord, buildDmarcRecord } = require('../dmarc/lint-dmarc-record');
+const fs = require('node:fs');
+const { resolve } = require('node:dns').promises;
+
+const readInput = async () => {
+    let chunks = [];
+    for await (let chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+};
+
+const getResolver = async argv => {
+    if (argv.dnsCache) {
+        let dnsCache = JSON.parse(await fs.promises.readFile(argv.dnsCache, 'utf-8'));
+
+        return async (name, rr) => {
+            let match = dnsCache?.[name]?.[rr];
+
+            if (argv.verbose) {
+                console.error(`DNS query for ${rr} ${name}: ${match ? JSON.stringify(match) : 'not found'} (using cache)`);
+            }
+
+            if (!match) {
+                let err = new Error('Error');
+                err.code = 'ENOTFOUND';
+                throw err;
+            }
+
+            return match;
+        };
+    }
+
+    return resolve;
+};
+
+const getRecords = async (input, argv) => {
+    if (/^v\s*=/i.test(input)) {
+        return [input];
+    }
+
+    const domain = input.replace(/^_dmarc\./i, '');
+    const resolver = await getResolver(argv);
+
+    let rows;
+    try {
+        rows = await resolver(`_dmarc.${domain}`, 'TXT');
+    } catch (err) {
+        if (!['ENOTFOUND', 'ENODATA'].includes(err.code)) {
+            throw err;
+        }
+        rows = [];
+    }
+
+    return (rows || []).map(row => row.join('').trim()).filter(row => /^v\s*=\s*DMARC1\b/i.test(row));
+};
+
+const printIssues = (record, result) => {
+    process.stdout.write(`Record: ${record}\n`);
+
+    if (!result.issues.length) {
+        process.stdout.write('No issues found\n');
+        return;
+    }
+
+    for (let issue of result.issues) {
+        process.stdout.write(`${issue.severity.padEnd(7)} ${`[${issue.position}]`.padEnd(6)} ${issue.tag ? `${issue.tag}: ` : ''}${issue.message}\n`);
+    }
+};
+
+const cmd = async argv => {
+    if (argv.build) {
+        let input = argv.input || (await readInput());
+        if (!/^\s*\{/.test(input)) {
+            // path to a JSON file
+            input = await fs.promises.readFile(input, 'utf-8');
+        }
+
+        process.stdout.write(buildDmarcRecord(JSON.parse(input)) + '\n');
+        return;
+    }
+
+    let input = (argv.input || (await readInput())).trim();
+    if (!input) {
+        let err = new Error('Domain name or DMARC record is required');
+        err.code = 'EINPUT';
+        throw err;
+    }
+
+    const records = await getRecords(input, argv);
+
+    if (!records.length) {
+        process.stdout.write(`No DMARC record found for ${input}\n`);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (records.length > 1) {
+        process.stdout.write(`error   Multiple DMARC records found for ${input}, the domain has no effective DMARC policy\n`);
+        process.exitCode = 1;
+    }
+
+    for (let record of records) {
+        const result = lintDmarcRecord(record);
+        printIssues(record, result);
+        if (!result.valid) {
+            process.exitCode = 1;
+        }
+    }
+};
+
+module.exports = cmd;
@@ -0,0 +1,37 @@
+'use strict';
+
+const { generateDkimKey } = require('../dkim/keygen');
+const fs = require('node:fs');
+
+const cmd = async argv => {
+    if (argv.verbose) {
+        console.error(`Generating ${argv.type === 'ed25519' ? 'Ed25519' : `${argv.bits} bit RSA`} key`);
+    }
+
+    let key = await generateDkimKey({
+        type: argv.type,
+        bits: argv.bits,
+        selector: argv.selector,
+        domain: argv.domain,
+        flags: argv.flags,
+        hashAlgorithms: argv.hash,
+        serviceTypes: argv.service,
+        notes: argv.notes
+    });
+
+    if (argv.privateKey) {
+        // refuse to overwrite existing keys
+        await fs.promises.writeFile(argv.privateKey, key.privateKey, { flag: 'wx', mode: 0o600 });
+        if (argv.verbose) {
+            console.error(`Private key written to ${argv.privateKey}`);
+        }
+    } else {
+        process.stdout.write(key.privateKey);
+        process.stdout.write('\n');
+    }
+
+    let strings = key.txt.map(str => JSON.stringify(str)).join(' ');
+    process.stdout.write(`${key.name}. IN TXT ${key.txt.length > 1 ? `( ${strings} )` : strings}\n`);
+};
+
+module.exports = cmd;
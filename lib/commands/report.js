@@ -40,6 +40,14 @@ const cmd = async argv => {
         opts.maxVoidCount = argv.maxVoidLookups;
     }
 
+    if (argv.diagnostics) {
+        opts.dkimDiagnostics = true;
+    }
+
+    if (argv.iprev) {
+        opts.iprev = true;
+    }
+
     for (let key of ['mta', 'helo', 'sender']) {
         if (argv[key]) {
             opts[key] = argv[key];
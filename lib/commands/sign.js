@@ -1,9 +1,37 @@
 'use strict';
 
 const { dkimSign } = require('../dkim/sign');
+const { checkDkimKey } = require('../dkim/check-key');
+const { defaultOversignFieldNames } = require('../tools');
 const { GathererStream } = require('../gatherer-stream');
 const fs = require('node:fs');
 
+const formatKey = key => (key ? `${key.type}${key.bits ? ` ${key.bits} bits` : ''}` : '-');
+
+const checkDns = async (argv, privateKey) => {
+    let check = await checkDkimKey({
+        domain: argv.domain,
+        selector: argv.selector,
+        privateKey,
+        algorithm: argv.algo
+    });
+
+    console.error(`Key record:  ${check.name}`);
+    console.error(`Result:      ${check.result}`);
+    console.error(`Private key: ${formatKey(check.privateKey)}`);
+    console.error(`Public key:  ${formatKey(check.publicKey)}`);
+    for (let issue of check.issues) {
+        console.error(`${issue.level.padEnd(8)} ${issue.code}: ${issue.message}`);
+    }
+    console.error('--------');
+
+    if (check.issues.some(issue => issue.level === 'error')) {
+        let err = new Error('Published DKIM key check failed');
+        err.suppress = true;
+        throw err;
+    }
+};
+
 const cmd = async argv => {
     let source = argv.email;
     let useStdin = false;
@@ -29,6 +57,11 @@ const cmd = async argv => {
     stream.on('error', err => gatherer.emit('error', err));
 
     let privateKey = await fs.promises.readFile(argv.privateKey, 'utf-8');
+
+    if (argv.checkDns) {
+        await checkDns(argv, privateKey);
+    }
+
     let signatureOpts = {
         signingDomain: argv.domain,
         selector: argv.selector,
@@ -41,6 +74,8 @@ const cmd = async argv => {
 
     let signTime = argv.time ? new Date(argv.time * 1000) : new Date();
 
+    let oversign = argv.oversignFields || !!argv.oversign;
+
     if (argv.verbose) {
         if (signatureOpts.signingDomain) {
             console.error(`Signing domain:             ${signatureOpts.signingDomain}`);
@@ -60,6 +95,9 @@ const cmd = async argv => {
         if (signatureOpts.headerList) {
             console.error(`Header fields to sign:      ${signatureOpts.headerList}`);
         }
+        if (oversign) {
+            console.error(`Header fields to oversign:  ${oversign === true ? defaultOversignFieldNames : oversign}`);
+        }
         if (signTime) {
             console.error(`Signing time:               ${signTime.toISOString()}`);
         }
@@ -68,6 +106,7 @@ const cmd = async argv => {
 
     let signResult = await dkimSign(gatherer, {
         signTime,
+        oversign,
         signatureData: [signatureOpts]
     });
 
@@ -1,6 +1,6 @@
 'use strict';
 
-const { spf } = require('../spf');
+const { spf, coverage, flattenSpf, formatSpfTree } = require('../spf');
 const fs = require('node:fs');
 const { resolve } = require('node:dns').promises;
 
@@ -8,7 +8,10 @@ const cmd = async argv => {
     let address = argv.sender;
 
     if (argv.verbose) {
-        console.error(`Checking SPF for ${address}`);
+        console.error(`${argv.flatten ? 'Flattening' : 'Checking'} SPF for ${address}`);
+        if (argv.coverage) {
+            console.error(`Address list:         ${argv.coverage}`);
+        }
         if (argv.maxLookups) {
             console.error(`Maximum DNS lookups: ${argv.maxLookups}`);
         }
@@ -32,6 +35,24 @@ const cmd = async argv => {
         opts.maxVoidCount = argv.maxVoidLookups;
     }
 
+    if (argv.explain) {
+        opts.explain = true;
+    }
+
+    if (argv.record) {
+        opts.record = argv.record;
+    }
+
+    for (let override of [].concat(argv.override || [])) {
+        let splitPos = (override || '').toString().indexOf('=');
+        if (splitPos < 1) {
+            console.error(`Invalid override "${override}", expecting "domain=record"`);
+            process.exit(1);
+        }
+        opts.records = opts.records || {};
+        opts.records[override.substr(0, splitPos).trim()] = override.substr(splitPos + 1).trim();
+    }
+
     for (let key of ['sender', 'helo', 'mta']) {
         if (argv[key]) {
             opts[key] = argv[key];
@@ -70,6 +91,29 @@ const cmd = async argv => {
         };
     }
 
+    if (argv.flatten) {
+        let result = await flattenSpf(address.split('@').pop(), {
+            resolver: opts.resolver,
+            maxLength: argv.maxLength
+        });
+
+        process.stdout.write(JSON.stringify(result, false, 2) + '\n');
+        return;
+    }
+
+    if (argv.coverage) {
+        let addresses = (await fs.promises.readFile(argv.coverage, 'utf-8'))
+            .split(/\r?\n/)
+            // allow comments in the address list
+            .map(line => line.replace(/#.*$/, '').trim())
+            .filter(line => line);
+
+        let result = await coverage(address.split('@').pop(), addresses, opts);
+
+        process.stdout.write(JSON.stringify(result, false, 2) + '\n');
+        return;
+    }
+
     let result;
     try {
         result = await spf(opts);
@@ -83,6 +127,26 @@ const cmd = async argv => {
         return;
     }
 
+    if (argv.explain && result.tree) {
+        process.stdout.write(formatSpfTree(result.tree) + '\n\n');
+        process.stdout.write(`${result.info}\n`);
+        process.stdout.write(
+            `DNS lookups: ${result.lookups.count}/${result.lookups.limit}, void lookups: ${result.lookups.void}${
+                Object.keys(result.lookups.subqueries).length
+                    ? `, subqueries: ${Object.entries(result.lookups.subqueries)
+                          .map(([key, value]) => `${key}=${value}`)
+                          .join(' ')}`
+                    : ''
+            }\n`
+        );
+        if (result.candidate) {
+            process.stdout.write(
+                `Published record: ${result.published.status.result}, candidate record: ${result.status.result}${result.changed ? ' (changed)' : ''}\n`
+            );
+        }
+        return;
+    }
+
     process.stdout.write(JSON.stringify(result, false, 2) + '\n');
 };
 
@@ -36,6 +36,17 @@ class SimpleHash {
         this.mimeStructureStartFinder = new MimeStructureStartFinder();
     }
 
+    /**
+     * Keeps a copy of the canonicalized body in `canonicalizedChunks`, used for diagnostics
+     *
+     * @param {Number} maxLength Maximum number of bytes to keep
+     */
+    keepCanonicalizedBody(maxLength) {
+        this.canonicalizedChunks = [];
+        this.canonicalizedCopyLength = 0;
+        this.canonicalizedMaxLength = maxLength;
+    }
+
     setContentType(contentTypeObj) {
         if (/^multipart\//i.test(contentTypeObj.value) && contentTypeObj.params.boundary) {
             this.mimeStructureStartFinder.setBoundary(contentTypeObj.params.boundary);
@@ -48,6 +59,13 @@ class SimpleHash {
 
         this.canonicalizedLength += chunk.length;
 
+        if (this.canonicalizedChunks && this.canonicalizedCopyLength < this.canonicalizedMaxLength) {
+            // keep a copy of the canonicalized body for diagnostics
+            let copy = chunk.subarray(0, this.canonicalizedMaxLength - this.canonicalizedCopyLength);
+            this.canonicalizedChunks.push(Buffer.from(copy));
+            this.canonicalizedCopyLength += copy.length;
+        }
+
         if (this.maxSizeReached) {
             return;
         }
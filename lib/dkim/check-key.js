@@ -0,0 +1,143 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const dns = require('node:dns');
+const { getPublicKey, getPrivateKey, parseDkimHeaders } = require('../tools');
+
+// issue codes for key lookup errors, similar to the comments used by the verifier
+const LOOKUP_ERRORS = {
+    ENOTFOUND: 'no-key',
+    ENODATA: 'no-key',
+    EINVALIDVER: 'unknown-key-version',
+    EINVALIDTYPE: 'unknown-key-type',
+    EINVALIDVAL: 'invalid-public-key',
+    ESHORTKEY: 'weak-key'
+};
+
+const getTagList = (entry, tag) =>
+    (entry?.parsed?.[tag]?.value || '')
+        .toString()
+        .split(':')
+        .map(value => value.trim().toLowerCase())
+        .filter(value => value);
+
+const getKeyDetails = keyObj => {
+    let details = { type: keyObj.asymmetricKeyType };
+    if (keyObj.asymmetricKeyType === 'rsa') {
+        details.bits = keyObj.asymmetricKeyDetails.modulusLength;
+    }
+    return details;
+};
+
+/**
+ * Checks if the public key published for a DKIM selector matches the private key used for signing.
+ * Also reports key record restrictions (`h=`, `s=`, `t=` tags) that would make the signatures fail or be ignored.
+ *
+ * @param {Object} opts
+ * @param {String} opts.domain Signing domain
+ * @param {String} opts.selector Key selector
+ * @param {String|Buffer} opts.privateKey Private key used for signing
+ * @param {String} [opts.algorithm] Signing algorithm, eg. "rsa-sha256". Defaults to the private key type with sha256
+ * @param {Number} [opts.minBitLength=1024] Minimum allowed RSA key length
+ * @param {Function} [opts.resolver] DNS resolver function
+ * @returns {Object} `{name, result, privateKey, publicKey, issues}` where `result` is either "match", "mismatch" or "error",
+ *   `privateKey` and `publicKey` describe key types and sizes and `issues` lists problems as `{level, code, message}`
+ */
+const checkDkimKey = async opts => {
+    opts = opts || {};
+
+    let resolver = opts.resolver || dns.promises.resolve;
+    let name = `${opts.selector}._domainkey.${opts.domain}`;
+
+    let response = { name, result: 'error', privateKey: false, publicKey: false, issues: [] };
+
+    const addIssue = (level, code, message) => {
+        response.issues.push({ level, code, message });
+    };
+
+    let privateKeyObj;
+    try {
+        privateKeyObj = getPrivateKey(opts.privateKey);
+        response.privateKey = getKeyDetails(privateKeyObj);
+    } catch (err) {
+        addIssue('error', 'invalid-private-key', `Failed to load private key: ${err.message}`);
+        return response;
+    }
+
+    let algorithm = (opts.algorithm || '').toLowerCase().trim();
+    let signAlgo = algorithm.split('-').shift() || privateKeyObj.asymmetricKeyType;
+    let hashAlgo = algorithm.split('-').pop() || 'sha256';
+
+    if (signAlgo !== privateKeyObj.asymmetricKeyType) {
+        addIssue('error', 'algorithm-mismatch', `Signing algorithm "${algorithm}" can not be used with a ${privateKeyObj.asymmetricKeyType} key`);
+    }
+
+    let publicKey, rr;
+    try {
+        let res = await getPublicKey('DKIM', name, opts.minBitLength, resolver);
+        publicKey = res.publicKey;
+        rr = res.rr;
+    } catch (err) {
+        let entry = err.rr && parseDkimHeaders(`DNS: TXT;${err.rr}`);
+        if (entry?.parsed?.p && !entry.parsed.p.value) {
+            // empty p= tag
+            addIssue('error', 'revoked-key', `Key for ${name} has been revoked`);
+        } else {
+            addIssue('error', LOOKUP_ERRORS[err.code] || 'dns-failure', `Failed to load public key for ${name}: ${err.code || err.message}`);
+        }
+        if (err.rr) {
+            response.rr = err.rr;
+        }
+        return response;
+    }
+
+    response.rr = rr;
+
+    let publicKeyObj = crypto.createPublicKey(publicKey);
+    let entry = parseDkimHeaders(`DNS: TXT;${rr}`);
+
+    response.publicKey = Object.assign(getKeyDetails(publicKeyObj), {
+        flags: getTagList(entry, 't'),
+        hashAlgorithms: getTagList(entry, 'h'),
+        serviceTypes: getTagList(entry, 's')
+    });
+
+    let derivedKey = crypto.createPublicKey(privateKeyObj).export({ type: 'spki', format: 'der' });
+    let publishedKey = publicKeyObj.export({ type: 'spki', format: 'der' });
+
+    response.result = derivedKey.equals(publishedKey) ? 'match' : 'mismatch';
+
+    if (response.result === 'mismatch') {
+        if (response.privateKey.type !== response.publicKey.type) {
+            addIssue(
+                'error',
+                'key-type-mismatch',
+                `Published key type "${response.publicKey.type}" does not match the private key type "${response.privateKey.type}"`
+            );
+        } else {
+            addIssue('error', 'key-mismatch', `Published key for ${name} does not match the private key`);
+        }
+    }
+
+    let { hashAlgorithms, serviceTypes, flags } = response.publicKey;
+
+    if (hashAlgorithms.length && !hashAlgorithms.includes(hashAlgo)) {
+        addIssue('error', 'hash-not-allowed', `Key record only allows hash algorithms "${hashAlgorithms.join(':')}", signatures use "${hashAlgo}"`);
+    }
+
+    if (serviceTypes.length && !serviceTypes.includes('email') && !serviceTypes.includes('*')) {
+        addIssue('error', 'service-not-allowed', `Key record is not valid for email, allowed service types are "${serviceTypes.join(':')}"`);
+    }
+
+    if (flags.includes('y')) {
+        addIssue('warning', 'testing', 'Key record is in testing mode (t=y), verifiers may treat signed messages as unsigned');
+    }
+
+    if (flags.includes('s')) {
+        addIssue('warning', 'strict', 'Key record does not allow subdomains in the signing identity (t=s)');
+    }
+
+    return response;
+};
+
+module.exports = { checkDkimKey };
@@ -0,0 +1,277 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const crypto = require('node:crypto');
+
+// DKIM-Quoted-Printable, RFC6376 2.11
+const decodeQp = value =>
+    Buffer.from(
+        value.replace(/\s+/g, '').replace(/[=]([0-9A-F]{2})/gi, (m, code) => String.fromCharCode(parseInt(code, 16))),
+        'binary'
+    ).toString();
+
+// how many lines from the end of a MIME part to check for appended footers
+const MAX_FOOTER_LINES = 100;
+
+// size of the canonicalized body that is kept in memory for diagnostics
+const MAX_DIAGNOSTICS_BODY_SIZE = 1024 * 1024;
+
+// messages with more MIME parts are not checked for modified parts
+const MAX_MIME_PARTS = 100;
+
+// upper limit for bytes hashed when looking for footers appended to MIME parts
+const MAX_EXAMINED_BYTES = 8 * 1024 * 1024;
+
+const normalizeValue = value => value.replace(/\r?\n/g, '').replace(/\s+/g, ' ').trim();
+
+const getHeaderValue = header => {
+    let line = header.line.toString();
+    return normalizeValue(line.substr(line.indexOf(':') + 1));
+};
+
+/**
+ * Parses the list of copied header fields from the `z=` tag of a signature
+ *
+ * @param {String} value Value of the `z=` tag
+ * @returns {Array} List of `{key, value}` objects
+ */
+const parseCopiedHeaders = value =>
+    (value || '')
+        .toString()
+        .split('|')
+        .map(entry => {
+            let splitPos = entry.indexOf(':');
+            if (splitPos < 0) {
+                return false;
+            }
+            return {
+                key: entry.substr(0, splitPos).replace(/\s+/g, ''),
+                value: normalizeValue(decodeQp(entry.substr(splitPos + 1)))
+            };
+        })
+        .filter(entry => entry && entry.key);
+
+/**
+ * Generates diagnostic information for a signature that did not verify
+ *
+ * @param {Buffer} canonicalizedHeader The header block that was hashed
+ * @param {Array} signingHeaders Header lines that were included in the signature
+ * @param {String} [copiedHeaders] Value of the `z=` tag
+ * @returns {Object} `{canonicalizedHeader, copiedHeaders}` where `copiedHeaders` compares the original
+ *   header values from the `z=` tag against the current values as `{key, original, current, changed}`
+ */
+const getHeaderDiagnostics = (canonicalizedHeader, signingHeaders, copiedHeaders) => {
+    let response = {
+        canonicalizedHeader: canonicalizedHeader.toString()
+    };
+
+    if (copiedHeaders) {
+        // signed header lines not yet matched against copied headers
+        let available = [].concat(signingHeaders || []);
+
+        response.copiedHeaders = parseCopiedHeaders(copiedHeaders).map(entry => {
+            let pos = available.findIndex(header => header.key === entry.key.toLowerCase());
+            let current = false;
+            if (pos >= 0) {
+                current = getHeaderValue(available[pos]);
+                available.splice(pos, 1);
+            }
+            return {
+                key: entry.key,
+                original: entry.value,
+                current,
+                changed: current !== entry.value
+            };
+        });
+    }
+
+    return response;
+};
+
+// finds boundary lines of the top level MIME structure from a canonicalized body
+const getMimeParts = (body, boundary, mimeStructureStart) => {
+    let delimiter = `--${boundary}`;
+    let parts = [];
+    let closing = false;
+
+    let lineStart = mimeStructureStart > 0 ? mimeStructureStart : 0;
+    while (lineStart < body.length) {
+        let lineEnd = body.indexOf('\n', lineStart);
+        lineEnd = lineEnd < 0 ? body.length : lineEnd + 1;
+
+        let line = body.toString('binary', lineStart, lineEnd).replace(/[\r\n]+$/, '');
+
+        if (line.replace(/[ \t]+$/, '') === `${delimiter}--`) {
+            closing = { start: lineStart, end: lineEnd };
+            break;
+        }
+
+        if (line.replace(/[ \t]+$/, '') === delimiter) {
+            if (parts.length) {
+                parts[parts.length - 1].end = lineStart;
+            }
+            parts.push({ part: parts.length + 1, boundary: lineStart, start: lineEnd, end: body.length });
+        }
+
+        lineStart = lineEnd;
+    }
+
+    if (closing && parts.length) {
+        parts[parts.length - 1].end = closing.start;
+    }
+
+    return { parts, closing };
+};
+
+const getLocation = (offset, parts, closing) => {
+    if (!parts.length) {
+        return { location: 'body' };
+    }
+    if (offset < parts[0].boundary) {
+        return { location: 'preamble' };
+    }
+    if (closing && offset >= closing.end) {
+        return { location: 'epilogue' };
+    }
+    let part = parts.find(part => offset >= part.boundary && offset <= part.end) || parts[parts.length - 1];
+    return { location: 'part', part: part.part };
+};
+
+/**
+ * Generates diagnostic information for a body hash that did not verify. Tries to detect content
+ * that was appended to the body or MIME parts that were added to the message after signing.
+ * The body may be only the beginning of the canonicalized body, in that case only content
+ * appended to the signed body is detected.
+ *
+ * @param {Buffer} body Canonicalized body
+ * @param {Object} opts
+ * @param {String} opts.hashAlgo Hashing algorithm
+ * @param {String} opts.bodyHash Expected body hash from the `bh=` tag
+ * @param {Number} [opts.canonicalizedLength] Length of the full canonicalized body, defaults to the length of `body`
+ * @param {Number} [opts.maxBodyLength] Value of the `l=` tag
+ * @param {String} [opts.boundary] Boundary of the top level multipart node
+ * @param {Number} [opts.mimeStructureStart] Position of the first boundary line
+ * @returns {Object} `{canonicalizedLength, maxBodyLength, parts, modification}`
+ */
+const getBodyDiagnostics = (body, opts) => {
+    let { hashAlgo, bodyHash, canonicalizedLength, maxBodyLength, boundary, mimeStructureStart } = opts;
+
+    canonicalizedLength = typeof canonicalizedLength === 'number' ? canonicalizedLength : body.length;
+    let complete = body.length >= canonicalizedLength;
+
+    let response = {
+        canonicalizedLength
+    };
+
+    if (!complete) {
+        response.examinedLength = body.length;
+    }
+
+    let { parts, closing } = boundary ? getMimeParts(body, boundary, mimeStructureStart) : { parts: [] };
+
+    if (parts.length) {
+        response.parts = parts.map(part => ({ part: part.part, start: part.start, end: part.end }));
+        if (closing && closing.end < body.length) {
+            response.epilogue = { start: closing.end, end: body.length };
+        }
+    }
+
+    if (typeof maxBodyLength === 'number') {
+        response.maxBodyLength = maxBodyLength;
+        if (canonicalizedLength < maxBodyLength) {
+            // body was shortened after signing
+            response.modification = { type: 'truncated', offset: canonicalizedLength, length: maxBodyLength - canonicalizedLength };
+        }
+        // content after the signed length is not covered by the hash, so appended content can not be the reason
+        return response;
+    }
+
+    // modified parts can only be detected if the whole body is available
+    let checkParts = complete && parts.length && parts.length <= MAX_MIME_PARTS;
+
+    // parts keyed by the offset of the line that follows the part content
+    let partEnds = new Map(checkParts ? parts.map(part => [part.end, part]) : []);
+    let partBoundaries = new Map(checkParts && closing ? parts.map(part => [part.boundary, part]) : []);
+
+    // check if the signed body is a prefix of the current body
+    let hash = crypto.createHash(hashAlgo);
+
+    // hash states for the last lines of every MIME part, used to look for appended footers
+    let recentLines = [];
+    let partLines = new Map();
+    // hash states for the content before every boundary line, used to look for added parts
+    let partPrefixes = new Map();
+
+    let lineStart = 0;
+    while (lineStart < body.length) {
+        if (partEnds.has(lineStart)) {
+            let part = partEnds.get(lineStart);
+            partLines.set(
+                part,
+                recentLines.filter(line => line.offset >= part.start)
+            );
+        }
+
+        if (partBoundaries.has(lineStart)) {
+            partPrefixes.set(partBoundaries.get(lineStart), hash.copy());
+        }
+
+        let lineEnd = body.indexOf('\n', lineStart);
+        lineEnd = lineEnd < 0 ? body.length : lineEnd + 1;
+
+        hash.update(body.subarray(lineStart, lineEnd));
+
+        // prefixes ending with empty lines have the same canonicalized form as the shorter prefix
+        let emptyLine = /^\r?\n$/.test(body.toString('binary', lineStart, lineEnd));
+        if (!emptyLine && lineEnd < canonicalizedLength) {
+            if (hash.copy().digest('base64') === bodyHash) {
+                response.modification = Object.assign(
+                    { type: 'appended', offset: lineEnd, length: canonicalizedLength - lineEnd },
+                    getLocation(lineEnd, parts, closing)
+                );
+                return response;
+            }
+
+            if (checkParts) {
+                recentLines.push({ offset: lineEnd, hash: hash.copy() });
+                if (recentLines.length > MAX_FOOTER_LINES) {
+                    recentLines.shift();
+                }
+            }
+        }
+
+        lineStart = lineEnd;
+    }
+
+    // check if content was appended to the end of a MIME part, eg. a mailing list footer
+    let examined = 0;
+    for (let [part, lines] of partLines) {
+        let tail = body.subarray(part.end);
+        for (let line of lines) {
+            examined += tail.length;
+            if (examined > MAX_EXAMINED_BYTES) {
+                break;
+            }
+            if (line.hash.copy().update(tail).digest('base64') === bodyHash) {
+                response.modification = { type: 'appended', offset: line.offset, length: part.end - line.offset, location: 'part', part: part.part };
+                return response;
+            }
+        }
+    }
+
+    // check if MIME parts were added to the end of the multipart structure
+    if (closing) {
+        let tail = body.subarray(closing.start);
+        for (let part of parts.slice(1)) {
+            let prefix = partPrefixes.get(part);
+            if (prefix && prefix.copy().update(tail).digest('base64') === bodyHash) {
+                response.modification = { type: 'parts-added', offset: part.boundary, length: closing.start - part.boundary, part: part.part };
+                return response;
+            }
+        }
+    }
+
+    return response;
+};
+
+module.exports = { getHeaderDiagnostics, getBodyDiagnostics, parseCopiedHeaders, MAX_DIAGNOSTICS_BODY_SIZE };
@@ -17,7 +17,7 @@ class DkimSigner extends MessageParser {
     constructor(options) {
         super();
 
-        let { canonicalization, algorithm, signTime, headerList, signatureData, arc, bodyHash, headers, getARChain, expires } = options || {};
+        let { canonicalization, algorithm, signTime, headerList, oversign, signatureData, arc, bodyHash, headers, getARChain, expires } = options || {};
 
         this.algorithm = algorithm || false;
         this.canonicalization = canonicalization || 'relaxed/relaxed';
@@ -29,6 +29,9 @@ class DkimSigner extends MessageParser {
 
         this.headerList = headerList;
 
+        // either `true` to use the default list or a list of header keys to oversign
+        this.oversign = oversign;
+
         this.signatureData = [].concat(signatureData || []).map(entry => {
             entry.type = 'DKIM';
             return entry;
@@ -182,7 +185,7 @@ class DkimSigner extends MessageParser {
                 }
             }
 
-            let signingHeaderLines = getSigningHeaderLines(this.headers.parsed, this.headerList);
+            let signingHeaderLines = getSigningHeaderLines(this.headers.parsed, this.headerList, false, this.oversign);
 
             let { algorithm, signAlgo, hashAlgo } = this.getAlgorithm(signatureData);
             let { canonicalization, bodyCanon } = this.getCanonicalization(signatureData);
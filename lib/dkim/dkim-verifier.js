@@ -5,6 +5,8 @@ const { getSigningHeaderLines, getPublicKey, parseDkimHeaders, formatAuthHeaderR
 const { MessageParser } = require('./message-parser');
 const { dkimBody } = require('./body');
 const { generateCanonicalizedHeader } = require('./header');
+const { getHeaderDiagnostics, getBodyDiagnostics, MAX_DIAGNOSTICS_BODY_SIZE } = require('./diagnostics');
+const { assessDkimRisks } = require('./risk');
 const { getARChain } = require('../arc');
 const addressparser = require('nodemailer/lib/addressparser');
 const crypto = require('node:crypto');
@@ -20,6 +22,13 @@ class DkimVerifier extends MessageParser {
 
         this.curTime = getCurTime(this.options.curTime);
 
+        // include details about failing signatures in the results
+        this.diagnostics = !!this.options.diagnostics;
+
+        // risks that turn passing signatures into policy failures, either `true` for high risks or a list of risk codes
+        this.riskPolicy = this.options.riskPolicy;
+        this.maxSignatureAge = this.options.maxSignatureAge;
+
         this.results = [];
 
         this.signatureHeaders = [];
@@ -146,7 +155,15 @@ class DkimVerifier extends MessageParser {
 
             signatureHeader.bodyHashKey = [signatureHeader.bodyCanon, signatureHeader.hashAlgo, signatureHeader.maxBodyLength].join(':');
             if (!this.bodyHashes.has(signatureHeader.bodyHashKey)) {
-                this.bodyHashes.set(signatureHeader.bodyHashKey, dkimBody(signatureHeader.bodyCanon, signatureHeader.hashAlgo, signatureHeader.maxBodyLength));
+                let bodyHash = dkimBody(signatureHeader.bodyCanon, signatureHeader.hashAlgo, signatureHeader.maxBodyLength);
+                if (this.diagnostics) {
+                    // content after the l= limit is not needed
+                    let maxBodyLength = signatureHeader.maxBodyLength;
+                    bodyHash.keepCanonicalizedBody(
+                        typeof maxBodyLength === 'number' && maxBodyLength >= 0 ? Math.min(maxBodyLength, MAX_DIAGNOSTICS_BODY_SIZE) : MAX_DIAGNOSTICS_BODY_SIZE
+                    );
+                }
+                this.bodyHashes.set(signatureHeader.bodyHashKey, bodyHash);
             }
 
             let headersArray = this.headers.parsed;
@@ -161,6 +178,7 @@ class DkimVerifier extends MessageParser {
                     line = line.substring(line.indexOf(':') + 1).trim();
                 }
                 const parsedContentType = libmime.parseHeaderValue(line);
+                this.contentType = parsedContentType;
                 for (let hasher of this.bodyHashes.values()) {
                     hasher.setContentType(parsedContentType);
                 }
@@ -382,6 +400,50 @@ class DkimVerifier extends MessageParser {
                     result.rr = rr;
                 }
 
+                if (signatureHeader.type === 'DKIM') {
+                    result.risks = assessDkimRisks(signatureHeader, {
+                        headers: this.headers.parsed,
+                        modulusLength,
+                        underSized: status.underSized,
+                        curTime: this.curTime,
+                        maxAge: this.maxSignatureAge
+                    });
+
+                    let policyRisks = this.riskPolicy
+                        ? result.risks.filter(risk => (Array.isArray(this.riskPolicy) ? this.riskPolicy.includes(risk.code) : risk.level === 'high'))
+                        : [];
+
+                    if (status.result === 'pass' && policyRisks.length) {
+                        status.result = 'policy';
+                        if (!status.policy) {
+                            status.policy = {};
+                        }
+                        status.policy['dkim-rules'] = Array.from(new Set(policyRisks.map(risk => risk.code))).join(',');
+                    }
+                }
+
+                if (this.diagnostics && signatureHeader.type === 'DKIM' && ['neutral', 'fail'].includes(status.result)) {
+                    if (result.bodyHashExpecting !== bodyHash) {
+                        let hasher = this.bodyHashes.get(signatureHeader.bodyHashKey);
+                        result.diagnostics = {
+                            reason: 'body',
+                            body: getBodyDiagnostics(Buffer.concat(hasher.canonicalizedChunks || []), {
+                                hashAlgo: signatureHeader.hashAlgo,
+                                bodyHash: result.bodyHashExpecting,
+                                canonicalizedLength: hasher.canonicalizedLength,
+                                maxBodyLength: signatureHeader.maxBodyLength,
+                                boundary: /^multipart\//i.test(this.contentType?.value) && this.contentType?.params?.boundary,
+                                mimeStructureStart
+                            })
+                        };
+                    } else if (status.comment === 'bad signature') {
+                        result.diagnostics = {
+                            reason: 'header',
+                            header: getHeaderDiagnostics(canonicalizedHeader, signingHeaderLines.headers, signatureHeader.parsed?.z?.value)
+                        };
+                    }
+                }
+
                 if (typeof result.status.comment === 'boolean') {
                     delete result.status.comment;
                 }
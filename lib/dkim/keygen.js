@@ -0,0 +1,137 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const crypto = require('node:crypto');
+const util = require('node:util');
+
+const generateKeyPair = util.promisify(crypto.generateKeyPair);
+
+// SPKI DER prefix for Ed25519 public keys, DNS records only include the raw 32 byte key, RFC8463
+const ED25519_SPKI_PREFIX = Buffer.from('302A300506032B6570032100', 'hex');
+
+const MIN_RSA_BITS = 1024;
+const DEFAULT_RSA_BITS = 2048;
+
+// maximum length of a single character-string in a TXT record
+const TXT_STRING_LENGTH = 255;
+
+// DKIM-Quoted-Printable, RFC6376 2.11
+const encodeQp = value =>
+    Buffer.from((value || '').toString())
+        .toString('binary')
+        .replace(/[^\x21-\x3A\x3C\x3E-\x7E]/g, c => '=' + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+
+const formatTagList = value =>
+    []
+        .concat(value || [])
+        .flatMap(entry => entry.toString().split(':'))
+        .map(entry => entry.trim().toLowerCase())
+        .filter(entry => entry)
+        .join(':');
+
+const splitTxtValue = value => {
+    let strings = [];
+    let buf = Buffer.from(value);
+    for (let i = 0; i < buf.length; i += TXT_STRING_LENGTH) {
+        strings.push(buf.subarray(i, i + TXT_STRING_LENGTH).toString());
+    }
+    return strings;
+};
+
+/**
+ * Generates a DKIM key pair and the matching selector TXT record
+ *
+ * @param {Object} [opts]
+ * @param {String} [opts.type="rsa"] Key type, either "rsa" or "ed25519"
+ * @param {Number} [opts.bits=2048] RSA key length in bits
+ * @param {String} [opts.selector] Key selector, used for the record name
+ * @param {String} [opts.domain] Signing domain, used for the record name
+ * @param {String|Array} [opts.flags] Flags for the `t=` tag, eg. "y" for testing mode or "s" for strict subdomain matching
+ * @param {String|Array} [opts.hashAlgorithms] Acceptable hash algorithms for the `h=` tag, eg. "sha256"
+ * @param {String|Array} [opts.serviceTypes] Service types for the `s=` tag, eg. "email"
+ * @param {String} [opts.notes] Notes for the `n=` tag
+ * @returns {Object} `{type, bits, privateKey, publicKey, name, record, txt}` where `privateKey` is a PEM string,
+ *   `publicKey` is the `p=` value, `record` is the TXT record value and `txt` lists the value split into
+ *   strings of at most 255 bytes
+ */
+const generateDkimKey = async opts => {
+    opts = opts || {};
+
+    let type = (opts.type || 'rsa').toString().toLowerCase().trim();
+    let bits = Number(opts.bits) || DEFAULT_RSA_BITS;
+
+    let keyPair;
+    switch (type) {
+        case 'rsa':
+            if (!Number.isInteger(bits) || bits < MIN_RSA_BITS) {
+                let err = new Error(`RSA key length must be at least ${MIN_RSA_BITS} bits`);
+                err.code = 'EINVALIDVAL';
+                throw err;
+            }
+            keyPair = await generateKeyPair('rsa', { modulusLength: bits });
+            break;
+        case 'ed25519':
+            keyPair = await generateKeyPair('ed25519');
+            break;
+        default: {
+            let err = new Error(`Unknown key type (${type})`);
+            err.code = 'EINVALIDTYPE';
+            throw err;
+        }
+    }
+
+    let privateKey = keyPair.privateKey.export({ type: 'pkcs8', format: 'pem' });
+    let publicKeyDer = keyPair.publicKey.export({ type: 'spki', format: 'der' });
+
+    if (type === 'ed25519') {
+        // strip the DER wrapper, only the raw key is published
+        publicKeyDer = publicKeyDer.subarray(ED25519_SPKI_PREFIX.length);
+    }
+
+    let publicKey = publicKeyDer.toString('base64');
+
+    let tags = [`v=DKIM1`, `k=${type}`];
+
+    let hashAlgorithms = formatTagList(opts.hashAlgorithms);
+    if (hashAlgorithms) {
+        tags.push(`h=${hashAlgorithms}`);
+    }
+
+    let serviceTypes = formatTagList(opts.serviceTypes);
+    if (serviceTypes) {
+        tags.push(`s=${serviceTypes}`);
+    }
+
+    let flags = formatTagList(opts.flags);
+    if (flags) {
+        tags.push(`t=${flags}`);
+    }
+
+    if (opts.notes) {
+        tags.push(`n=${encodeQp(opts.notes)}`);
+    }
+
+    tags.push(`p=${publicKey}`);
+
+    let record = tags.join('; ');
+
+    let response = {
+        type,
+        privateKey,
+        publicKey,
+        record,
+        txt: splitTxtValue(record)
+    };
+
+    if (type === 'rsa') {
+        response.bits = bits;
+    }
+
+    if (opts.selector && opts.domain) {
+        response.name = `${opts.selector}._domainkey.${opts.domain}`;
+    }
+
+    return response;
+};
+
+module.exports = { generateDkimKey };
@@ -0,0 +1,90 @@
+'use strict';
+
+// header fields that are commonly displayed to the recipient
+const DISPLAYED_HEADERS = ['from', 'subject', 'to'];
+
+// recommended minimum length for RSA keys, RFC8301
+const RECOMMENDED_BIT_LENGTH = 2048;
+
+// signatures older than this are suspicious of being replayed
+const DEFAULT_MAX_AGE = 30 * 24 * 3600 * 1000;
+
+/**
+ * Lists risky properties of a DKIM signature, eg. properties that allow to replay the signature
+ * or to modify the message without breaking the signature
+ *
+ * @param {Object} signatureHeader Parsed signature header
+ * @param {Object} opts
+ * @param {Array} opts.headers Parsed message header lines
+ * @param {Number} [opts.modulusLength] RSA key length of the public key
+ * @param {Number} [opts.underSized] Count of unsigned canonicalized body bytes when the `l=` tag is used
+ * @param {Date} [opts.curTime] Time to compare signature timestamps against
+ * @param {Number} [opts.maxAge] Maximum allowed signature age in milliseconds, defaults to 30 days
+ * @returns {Array} List of risks as `{code, level, message}` objects where `level` is "high", "medium" or "low"
+ */
+const assessDkimRisks = (signatureHeader, opts) => {
+    let { headers, modulusLength, underSized, curTime, maxAge } = opts || {};
+
+    let risks = [];
+    const addRisk = (level, code, message, extra) => {
+        risks.push(Object.assign({ code, level, message }, extra));
+    };
+
+    let signedKeys = (signatureHeader.parsed?.h?.value || '')
+        .toString()
+        .split(':')
+        .map(key => key.trim().toLowerCase())
+        .filter(key => key);
+
+    for (let key of DISPLAYED_HEADERS) {
+        let present = (headers || []).filter(header => header.key === key).length;
+        let signed = signedKeys.filter(signedKey => signedKey === key).length;
+        let level = key === 'from' ? 'high' : 'medium';
+
+        if (!signed) {
+            addRisk(level, 'unsigned-header', `${key} header is not signed`, { header: key });
+        } else if (signed <= present) {
+            // an additional header with the same key could be added without breaking the signature
+            addRisk(key === 'from' ? 'medium' : 'low', 'not-oversigned', `${key} header is not oversigned`, { header: key });
+        }
+    }
+
+    if (typeof signatureHeader.maxBodyLength === 'number') {
+        if (underSized) {
+            addRisk('high', 'unsigned-content', `${underSized} bytes of the body are not signed`);
+        } else {
+            addRisk('medium', 'body-length', 'Signature uses the body length tag (l=)');
+        }
+    }
+
+    if (signatureHeader.hashAlgo === 'sha1') {
+        addRisk('high', 'sha1', 'Signature uses the SHA-1 hashing algorithm');
+    }
+
+    if (signatureHeader.signAlgo === 'rsa' && modulusLength && modulusLength < RECOMMENDED_BIT_LENGTH) {
+        addRisk('medium', 'weak-key', `RSA key is ${modulusLength} bits long`);
+    }
+
+    if (!signatureHeader.timestamp) {
+        addRisk('low', 'no-timestamp', 'Signature does not include a timestamp (t=)');
+    } else if (curTime && curTime - signatureHeader.timestamp > (maxAge || DEFAULT_MAX_AGE)) {
+        addRisk('medium', 'old-signature', `Signature was created at ${signatureHeader.timestamp.toISOString()}`);
+    }
+
+    if (!signatureHeader.expiration) {
+        addRisk('low', 'no-expiration', 'Signature does not include an expiration time (x=)');
+    }
+
+    let identity = (signatureHeader.parsed?.i?.value || '').toString();
+    if (identity) {
+        let identityDomain = identity.split('@').pop().toLowerCase().trim();
+        let signingDomain = (signatureHeader.signingDomain || '').toLowerCase().trim();
+        if (identityDomain !== signingDomain && !identityDomain.endsWith(`.${signingDomain}`)) {
+            addRisk('high', 'identity-mismatch', `Signing identity ${identity} is not in the signing domain ${signingDomain}`);
+        }
+    }
+
+    return risks;
+};
+
+module.exports = { assessDkimRisks };
@@ -0,0 +1,356 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const os = require('node:os');
+const zlib = require('node:zlib');
+const crypto = require('node:crypto');
+const { XMLBuilder } = require('fast-xml-parser');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { getCurTime } = require('../tools');
+const { createZip } = require('../zip');
+const { parseDmarcRecord, parseReportUris } = require('./parse-dmarc-record');
+const { verifyReportDestinations } = require('./report-destinations');
+
+const DKIM_RESULTS = ['none', 'pass', 'fail', 'policy', 'neutral', 'temperror', 'permerror'];
+const SPF_RESULTS = ['none', 'neutral', 'pass', 'fail', 'softfail', 'temperror', 'permerror'];
+const DISPOSITIONS = ['none', 'quarantine', 'reject'];
+const POLICY_OVERRIDE_REASONS = ['forwarded', 'sampled_out', 'trusted_forwarder', 'mailing_list', 'local_policy', 'other'];
+
+const xmlBuilder = new XMLBuilder({
+    format: true,
+    indentBy: '  ',
+    ignoreAttributes: false
+});
+
+const toTimestamp = date => Math.floor(date.getTime() / 1000);
+
+const normalizePolicy = value => {
+    value = (value || '').toString().toLowerCase().trim();
+    return DISPOSITIONS.includes(value) ? value : 'none';
+};
+
+/**
+ * Collects authentication results for a reporting period and generates
+ * DMARC aggregate reports (RFC7489 Appendix C) for every policy domain seen
+ *
+ * @class
+ */
+class AggregateReport {
+    /**
+     * @param {Object} options
+     * @param {String} options.orgName Name of the reporting organization
+     * @param {String} options.email Contact address of the reporting organization, also used as the sender address for report emails
+     * @param {String} [options.extraContactInfo] Additional contact details
+     * @param {String} [options.submitter] Hostname of the reporting system, used in file names and subject lines (defaults to os.hostname)
+     * @param {Date} [options.begin] Start of the reporting period, defaults to the earliest added message
+     * @param {Date} [options.end] End of the reporting period, defaults to the latest added message
+     * @param {String|Function} [options.reportId] Report ID or a function that returns a report ID for a policy domain
+     */
+    constructor(options) {
+        this.options = options || {};
+
+        // both values are required by the report metadata schema
+        if (!this.options.orgName) {
+            let err = new Error('Reporting organization name is required');
+            err.code = 'ENOORGNAME';
+            throw err;
+        }
+
+        if (!this.options.email) {
+            let err = new Error('Reporting organization contact address is required');
+            err.code = 'ENOEMAIL';
+            throw err;
+        }
+
+        this.orgName = this.options.orgName;
+        this.email = this.options.email;
+        this.extraContactInfo = this.options.extraContactInfo;
+        this.submitter = this.options.submitter || os.hostname();
+
+        this.begin = this.options.begin ? getCurTime(this.options.begin) : null;
+        this.end = this.options.end ? getCurTime(this.options.end) : null;
+
+        // policy domain -> collected rows
+        this.domains = new Map();
+    }
+
+    /**
+     * Adds a message to the report
+     *
+     * @param {Object} result Authentication result from `authenticate()`
+     * @param {Object} [opts]
+     * @param {String} [opts.ip] Source IP, defaults to the IP used for the SPF check
+     * @param {Date} [opts.time] Time the message was received, defaults to current time
+     * @param {String} [opts.disposition] Policy that was actually applied to the message
+     * @param {Array} [opts.reasons] List of `{type, comment}` policy override reasons
+     * @param {String} [opts.envelopeTo] Recipient domain of the message
+     * @returns {Boolean} `true` if the message was included in the report
+     */
+    add(result, opts) {
+        opts = opts || {};
+
+        const { dmarc, spf, dkim } = result || {};
+
+        if (!dmarc?.rr || !['pass', 'fail'].includes(dmarc.status?.result)) {
+            // only messages with a published DMARC policy are reported
+            return false;
+        }
+
+        const sourceIp = opts.ip || spf?.['client-ip'];
+        if (!sourceIp) {
+            return false;
+        }
+
+        const time = getCurTime(opts.time);
+        const record = parseDmarcRecord(dmarc.rr);
+        const policyDomain = dmarc.policyDomain || dmarc.domain;
+        const headerFrom = dmarc.status?.header?.d || dmarc.domain;
+
+        let disposition = opts.disposition;
+        if (!disposition) {
+            disposition = dmarc.status.result === 'fail' ? normalizePolicy(dmarc.policy) : 'none';
+        }
+
+        const policyEvaluated = {
+            disposition: normalizePolicy(disposition),
+            dkim: dmarc.alignment?.dkim?.result ? 'pass' : 'fail',
+            spf: dmarc.alignment?.spf?.result ? 'pass' : 'fail'
+        };
+
+        const reasons = []
+            .concat(opts.reasons || [])
+            .map(reason => (typeof reason === 'string' ? { type: reason } : reason))
+            .filter(reason => reason?.type)
+            .map(reason => ({
+                type: POLICY_OVERRIDE_REASONS.includes(reason.type) ? reason.type : 'other',
+                comment: reason.comment || undefined
+            }));
+
+        if (reasons.length) {
+            policyEvaluated.reason = reasons;
+        }
+
+        const identifiers = {
+            envelope_to: opts.envelopeTo || undefined,
+            envelope_from: spf?.domain && spf.domain !== '-' ? spf.domain : undefined,
+            header_from: headerFrom
+        };
+
+        const authResults = {
+            dkim: (dkim?.results || [])
+                .filter(entry => entry.signingDomain)
+                .map(entry => ({
+                    domain: entry.signingDomain,
+                    selector: entry.selector || undefined,
+                    result: DKIM_RESULTS.includes(entry.status?.result) ? entry.status.result : 'temperror',
+                    human_result: entry.status?.comment || undefined
+                })),
+            spf: {
+                domain: identifiers.envelope_from || headerFrom,
+                scope: 'mfrom',
+                result: SPF_RESULTS.includes(spf?.status?.result) ? spf.status.result : 'none'
+            }
+        };
+
+        if (!authResults.dkim.length) {
+            delete authResults.dkim;
+        }
+
+        if (!this.domains.has(policyDomain)) {
+            this.domains.set(policyDomain, {
+                domain: policyDomain,
+                record,
+                begin: time,
+                end: time,
+                rows: new Map()
+            });
+        }
+
+        const entry = this.domains.get(policyDomain);
+
+        // keep the most recently seen version of the policy
+        entry.record = record;
+        entry.begin = time < entry.begin ? time : entry.begin;
+        entry.end = time > entry.end ? time : entry.end;
+
+        const rowKey = JSON.stringify([sourceIp, policyEvaluated, identifiers, authResults]);
+        if (!entry.rows.has(rowKey)) {
+            entry.rows.set(rowKey, {
+                row: {
+                    source_ip: sourceIp,
+                    count: 0,
+                    policy_evaluated: policyEvaluated
+                },
+                identifiers,
+                auth_results: authResults
+            });
+        }
+        entry.rows.get(rowKey).row.count++;
+
+        return true;
+    }
+
+    /**
+     * Generates reports for all collected policy domains
+     *
+     * @returns {Array} list of report objects
+     */
+    getReports() {
+        let reports = [];
+
+        for (let entry of this.domains.values()) {
+            const { record } = entry;
+
+            const reportId = typeof this.options.reportId === 'function' ? this.options.reportId(entry.domain) : this.options.reportId || crypto.randomUUID();
+            const begin = this.begin || entry.begin;
+            const end = this.end || entry.end;
+
+            const feedback = {
+                report_metadata: {
+                    org_name: this.orgName,
+                    email: this.email,
+                    extra_contact_info: this.extraContactInfo,
+                    report_id: reportId,
+                    date_range: {
+                        begin: toTimestamp(begin),
+                        end: toTimestamp(end)
+                    }
+                },
+                policy_published: {
+                    domain: entry.domain,
+                    adkim: record.adkim === 's' ? 's' : 'r',
+                    aspf: record.aspf === 's' ? 's' : 'r',
+                    p: normalizePolicy(record.p),
+                    sp: normalizePolicy(record.sp || record.p),
+                    pct: typeof record.pct === 'number' ? record.pct : 100,
+                    fo: record.fo || '0'
+                },
+                record: Array.from(entry.rows.values())
+            };
+
+            const xml = xmlBuilder.build({
+                '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+                feedback
+            });
+
+            reports.push({
+                domain: entry.domain,
+                reportId,
+                begin,
+                end,
+                submitter: this.submitter,
+                orgName: this.orgName,
+                email: this.email,
+                rua: parseReportUris(record.rua),
+                messages: Array.from(entry.rows.values()).reduce((sum, row) => sum + row.row.count, 0),
+                xml
+            });
+        }
+
+        return reports;
+    }
+}
+
+/**
+ * Generates the report attachment file name as described in RFC7489 section 7.2.1.1
+ *
+ * @param {Object} report Report object from `AggregateReport.getReports()`
+ * @param {String} [extension="xml"] File extension
+ * @returns {String} file name
+ */
+const getReportFilename = (report, extension) =>
+    `${[report.submitter, report.domain, toTimestamp(report.begin), toTimestamp(report.end)].join('!')}.${extension || 'xml'}`;
+
+/**
+ * Compresses a report and wraps it into an email message for the `rua` recipients
+ *
+ * @param {Object} report Report object from `AggregateReport.getReports()`
+ * @param {Object} [opts]
+ * @param {String} [opts.compression="gzip"] Either "gzip" or "zip"
+ * @param {String} [opts.from] Sender address, defaults to the contact address of the report
+ * @param {Array} [opts.to] Recipient addresses, defaults to the `rua` addresses of the policy
+ * @param {Boolean} [opts.verifyDestinations=true] If false, then external `rua` destinations and size limits are not verified before use
+ * @param {Function} [opts.resolver] DNS resolver function for destination verification
+ * @returns {Object} `{filename, contentType, attachment, to, destinations, message}` or `{to: [], destinations}` if no destination accepts the report
+ */
+const createReportMessage = async (report, opts) => {
+    opts = opts || {};
+
+    const xmlFilename = getReportFilename(report, 'xml');
+
+    let filename, contentType, attachment;
+    switch ((opts.compression || 'gzip').toLowerCase()) {
+        case 'zip':
+            filename = getReportFilename(report, 'zip');
+            contentType = 'application/zip';
+            attachment = createZip([{ filename: xmlFilename, content: report.xml, date: report.end }]);
+            break;
+
+        case 'gzip':
+        case 'gz':
+            filename = getReportFilename(report, 'xml.gz');
+            contentType = 'application/gzip';
+            attachment = zlib.gzipSync(Buffer.from(report.xml));
+            break;
+
+        default: {
+            let err = new Error('Unknown compression method');
+            err.code = 'EINVALIDCOMPRESSION';
+            throw err;
+        }
+    }
+
+    const from = opts.from || report.email;
+
+    const buildMessage = async to => {
+        const mail = new MailComposer({
+            from,
+            to,
+            subject: `Report Domain: ${report.domain} Submitter: ${report.submitter} Report-ID: <${report.reportId}>`,
+            text: [
+                `This is an aggregate report for ${report.domain} from ${report.orgName}.`,
+                '',
+                `Report ID: ${report.reportId}`,
+                `Reporting period: ${report.begin.toISOString()} - ${report.end.toISOString()}`,
+                `Messages: ${report.messages}`
+            ].join('\n'),
+            attachments: [
+                {
+                    filename,
+                    contentType,
+                    content: attachment
+                }
+            ]
+        });
+
+        return await mail.compile().build();
+    };
+
+    let to, destinations;
+    if (opts.to) {
+        to = [].concat(opts.to);
+    } else if (opts.verifyDestinations !== false) {
+        // size limits apply to the encoded message, not to the compressed attachment
+        const size = (await buildMessage(report.rua.filter(entry => entry.address).map(entry => entry.address))).length;
+        destinations = await verifyReportDestinations(report.domain, report.rua, { resolver: opts.resolver, type: 'rua', size });
+        to = destinations.filter(entry => entry.authorized).map(entry => entry.address);
+        if (!to.length) {
+            // none of the destinations accept the report, the reasons are listed in `destinations`
+            return { to, destinations };
+        }
+    } else {
+        to = report.rua.filter(entry => entry.address).map(entry => entry.address);
+    }
+
+    if (!to.length) {
+        let err = new Error('No report recipients found');
+        err.code = 'ENORECIPIENTS';
+        throw err;
+    }
+
+    const message = await buildMessage(to);
+
+    return { filename, contentType, attachment, to, destinations, message };
+};
+
+module.exports = { AggregateReport, createReportMessage, getReportFilename };
@@ -0,0 +1,107 @@
+'use strict';
+
+const tldts = require('tldts');
+const { formatDomain, TLDTS_OPTS } = require('../tools');
+const arcTrustlist = require('../arc/trustlist');
+
+const DISPOSITIONS = ['none', 'quarantine', 'reject'];
+
+const normalizePolicy = value => {
+    value = (value || '').toString().toLowerCase().trim();
+    return DISPOSITIONS.includes(value) ? value : 'none';
+};
+
+// the next-least-strict policy, used for messages that are sampled out
+const downgradePolicy = policy => DISPOSITIONS[Math.max(DISPOSITIONS.indexOf(policy) - 1, 0)];
+
+/**
+ * Returns the ARC sealing domain if the message has a valid ARC chain from a trusted forwarder
+ * that reported a DMARC pass for the message
+ *
+ * @param {Object} arc ARC validation result
+ * @param {Array} trustedDomains List of trusted sealing domains
+ * @returns {String|Boolean} sealing domain or `false`
+ */
+const getTrustedForwarder = (arc, trustedDomains) => {
+    if (arc?.status?.result !== 'pass' || arc.authenticationResults?.dmarc?.result !== 'pass') {
+        return false;
+    }
+
+    let signingDomain = arc.signature?.signingDomain;
+    if (!signingDomain) {
+        return false;
+    }
+
+    signingDomain = formatDomain(signingDomain);
+    const orgDomain = tldts.getDomain(signingDomain, TLDTS_OPTS) || signingDomain;
+
+    for (let trusted of trustedDomains) {
+        trusted = formatDomain(trusted);
+        if (trusted === signingDomain || trusted === orgDomain) {
+            return signingDomain;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Decides what to do with a message based on the DMARC result and local configuration.
+ * The returned object can be passed as options to `AggregateReport.add()`.
+ *
+ * @param {Object} result Authentication result from `authenticate()`
+ * @param {Object} [opts]
+ * @param {Function} [opts.random] Random source that returns a number in range [0, 1), used for `pct` sampling (defaults to Math.random)
+ * @param {Array} [opts.trustedForwarders] ARC sealing domains trusted to override a DMARC failure (defaults to `lib/arc/trustlist.js`)
+ * @param {Boolean|String} [opts.forwarded] Message was received from a known forwarder, a string value is used as the reason comment
+ * @param {Boolean|String} [opts.mailingList] Message was received from a mailing list, a string value is used as the reason comment
+ * @param {String} [opts.localPolicy] Disposition enforced by local policy, either "none", "quarantine" or "reject"
+ * @returns {Object} `{disposition, policy, reasons}` where `reasons` is a list of `{type, comment}` policy override reasons
+ */
+const getDisposition = (result, opts) => {
+    opts = opts || {};
+
+    const { dmarc, arc } = result || {};
+
+    const policy = normalizePolicy(dmarc?.policy);
+
+    let disposition = dmarc?.status?.result === 'fail' ? policy : 'none';
+    let reasons = [];
+
+    const addOverride = (type, value, comment) => {
+        disposition = value;
+        reasons.push(typeof comment === 'string' ? { type, comment } : { type });
+    };
+
+    if (disposition !== 'none') {
+        const pct = typeof dmarc.pct === 'number' ? Math.min(Math.max(dmarc.pct, 0), 100) : 100;
+        const random = typeof opts.random === 'function' ? opts.random : Math.random;
+
+        if (pct < 100 && random() * 100 >= pct) {
+            addOverride('sampled_out', downgradePolicy(disposition), `pct=${pct}`);
+        } else if (dmarc.testing) {
+            // DMARCbis t=y
+            addOverride('sampled_out', downgradePolicy(disposition), 't=y');
+        }
+    }
+
+    if (disposition !== 'none') {
+        const trustedForwarder = getTrustedForwarder(arc, opts.trustedForwarders || arcTrustlist.trusted);
+
+        if (trustedForwarder) {
+            addOverride('trusted_forwarder', 'none', `arc=pass as.d=${trustedForwarder}`);
+        } else if (opts.forwarded) {
+            addOverride('forwarded', 'none', opts.forwarded);
+        } else if (opts.mailingList) {
+            addOverride('mailing_list', 'none', opts.mailingList);
+        }
+    }
+
+    if (opts.localPolicy && normalizePolicy(opts.localPolicy) !== disposition) {
+        addOverride('local_policy', normalizePolicy(opts.localPolicy));
+    }
+
+    return { disposition, policy, reasons };
+};
+
+module.exports = { getDisposition };
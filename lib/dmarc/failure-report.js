@@ -0,0 +1,220 @@
+'use strict';
+
+const os = require('node:os');
+const { getCurTime } = require('../tools');
+const { parseDmarcRecord, parseReportUris } = require('./parse-dmarc-record');
+const { verifyReportDestinations } = require('./report-destinations');
+const { redactAddresses, createAuthFailureFields, buildFeedbackReport } = require('../feedback-report');
+
+const SPF_FAILURES = ['fail', 'softfail', 'permerror'];
+
+const getFailedSignatures = dkim => (dkim?.results || []).filter(entry => entry.signingDomain && !['pass', 'none'].includes(entry.status?.result));
+
+const getSpfFailed = spf => SPF_FAILURES.includes(spf?.status?.result);
+
+/**
+ * Checks the `fo` tag of the DMARC record against the authentication results
+ * as described in RFC7489 section 6.3
+ *
+ * @param {Object} result Authentication result from `authenticate()`
+ * @returns {Boolean} `true` if the policy domain has requested a failure report for this message
+ */
+const shouldSendFailureReport = result => {
+    const { dmarc, spf, dkim } = result || {};
+
+    if (!dmarc?.rr || !['pass', 'fail'].includes(dmarc.status?.result)) {
+        return false;
+    }
+
+    const record = parseDmarcRecord(dmarc.rr);
+    if (!record.ruf) {
+        return false;
+    }
+
+    if (record.rf && !record.rf.split(':').some(format => format.trim().toLowerCase() === 'afrf')) {
+        // no supported report format requested
+        return false;
+    }
+
+    const options = (record.fo || '0')
+        .split(':')
+        .map(option => option.trim().toLowerCase())
+        .filter(option => option);
+
+    for (let option of options) {
+        switch (option) {
+            case '0':
+                // all underlying mechanisms failed to produce an aligned pass
+                if (dmarc.status.result === 'fail') {
+                    return true;
+                }
+                break;
+            case '1':
+                // any underlying mechanism failed to produce an aligned pass
+                if (!dmarc.alignment?.dkim?.result || !dmarc.alignment?.spf?.result) {
+                    return true;
+                }
+                break;
+            case 'd':
+                // DKIM signature failed, regardless of alignment
+                if (getFailedSignatures(dkim).length) {
+                    return true;
+                }
+                break;
+            case 's':
+                // SPF failed, regardless of alignment
+                if (getSpfFailed(spf)) {
+                    return true;
+                }
+                break;
+        }
+    }
+
+    return false;
+};
+
+const getAuthFailure = (result, failedSignatures) => {
+    if (result.dmarc.status.result === 'fail') {
+        return 'dmarc';
+    }
+
+    if (failedSignatures.length) {
+        return /body hash/.test(failedSignatures[0].status?.comment) ? 'bodyhash' : 'signature';
+    }
+
+    if (getSpfFailed(result.spf)) {
+        return 'spf';
+    }
+
+    return 'dmarc';
+};
+
+/**
+ * Generates an authentication failure report (RFC6591) for the `ruf` recipients of the policy domain
+ *
+ * @param {Object} result Authentication result from `authenticate()`
+ * @param {Object} [opts]
+ * @param {String} [opts.from] Sender address of the report
+ * @param {Array} [opts.to] Recipient addresses, defaults to the `ruf` addresses of the policy
+ * @param {String} [opts.mta] Hostname of the reporting MTA (defaults to os.hostname)
+ * @param {String} [opts.ip] Source IP, defaults to the IP used for the SPF check
+ * @param {String} [opts.sender] Envelope sender, defaults to the address used for the SPF check
+ * @param {Array} [opts.recipients] Envelope recipients of the original message
+ * @param {Date} [opts.arrivalDate] Time the message was received, defaults to current time
+ * @param {String} [opts.deliveryResult] Final disposition of the message, eg. "reject" or "delivered"
+ * @param {Buffer|String} [opts.headers] Header block of the original message, defaults to the headers processed by `authenticate()`
+ * @param {Boolean|String} [opts.redact=false] If set, then local parts of email addresses are replaced with hashes. If a string is used, then it is used as the HMAC key
+ * @param {Boolean} [opts.force=false] If true, then generates the report even if the `fo` tag of the policy does not require it
+ * @param {Boolean} [opts.verifyDestinations=true] If false, then external `ruf` destinations and size limits are not verified before use
+ * @param {Function} [opts.resolver] DNS resolver function for destination verification
+ * @returns {Object|Boolean} `{to, destinations, authFailure, identityAlignment, message}` or `false` if no report should be sent or no destination accepts it
+ */
+const createFailureReport = async (result, opts) => {
+    opts = opts || {};
+
+    if (!opts.force && !shouldSendFailureReport(result)) {
+        return false;
+    }
+
+    const { dmarc, spf, dkim } = result;
+
+    const record = parseDmarcRecord(dmarc.rr);
+    const mta = opts.mta || os.hostname();
+    const domain = dmarc.status?.header?.d || dmarc.domain;
+    const sourceIp = opts.ip || spf?.['client-ip'];
+    const sender = opts.sender || spf?.['envelope-from'] || '';
+    const arrivalDate = getCurTime(opts.arrivalDate);
+    const redact = opts.redact;
+
+    const failedSignatures = getFailedSignatures(dkim);
+    const authFailure = getAuthFailure(result, failedSignatures);
+
+    const identityAlignment =
+        []
+            .concat(dmarc.alignment?.dkim?.result ? 'dkim' : [])
+            .concat(dmarc.alignment?.spf?.result ? 'spf' : [])
+            .join(', ') || 'none';
+
+    const authResults = []
+        .concat((dkim?.results || []).map(entry => entry.info))
+        .concat(spf?.info || [])
+        .concat(dmarc.info || [])
+        .filter(info => info)
+        .join('; ');
+
+    const { feedback, headers: originalHeaders } = createAuthFailureFields({
+        sender,
+        recipients: opts.recipients,
+        arrivalDate,
+        mta,
+        sourceIp,
+        headers: opts.headers || dkim?.headers?.original,
+        redact
+    });
+
+    feedback.push(['Authentication-Results', `${mta}; ${redactAddresses(authResults, redact)}`]);
+    feedback.push(['Reported-Domain', domain]);
+
+    if (opts.deliveryResult) {
+        feedback.push(['Delivery-Result', opts.deliveryResult]);
+    }
+
+    feedback.push(['Auth-Failure', authFailure]);
+    feedback.push(['Identity-Alignment', identityAlignment]);
+
+    if (['signature', 'bodyhash'].includes(authFailure)) {
+        const signature = failedSignatures[0];
+        feedback.push(['DKIM-Domain', signature.signingDomain]);
+        if (signature.selector) {
+            feedback.push(['DKIM-Selector', signature.selector]);
+        }
+    }
+
+    const text = [
+        `This is an authentication failure report for an email message received from IP ${sourceIp || 'unknown'} on ${arrivalDate.toUTCString()}.`,
+        '',
+        `Reported domain: ${domain}`,
+        `Authentication failure: ${authFailure}`,
+        `Aligned identities: ${identityAlignment}`
+    ].join('\n');
+
+    const ruf = parseReportUris(record.ruf);
+
+    const buildMessage = async to =>
+        await buildFeedbackReport({
+            from: opts.from || `postmaster@${mta}`,
+            to,
+            subject: `Authentication failure report for ${domain}`,
+            text,
+            feedback,
+            headers: originalHeaders
+        });
+
+    let to, destinations;
+    if (opts.to) {
+        to = [].concat(opts.to);
+    } else if (opts.verifyDestinations !== false) {
+        // size limits apply to the encoded message
+        const size = (await buildMessage(ruf.filter(entry => entry.address).map(entry => entry.address))).length;
+        destinations = await verifyReportDestinations(dmarc.policyDomain || dmarc.domain, ruf, { resolver: opts.resolver, type: 'ruf', size });
+        to = destinations.filter(entry => entry.authorized).map(entry => entry.address);
+        if (!to.length) {
+            // none of the destinations accept the report
+            return false;
+        }
+    } else {
+        to = ruf.filter(entry => entry.address).map(entry => entry.address);
+    }
+
+    if (!to.length) {
+        let err = new Error('No report recipients found');
+        err.code = 'ENORECIPIENTS';
+        throw err;
+    }
+
+    const message = await buildMessage(to);
+
+    return { to, destinations, authFailure, identityAlignment, message };
+};
+
+module.exports = { shouldSendFailureReport, createFailureReport };
@@ -2,43 +2,76 @@
 
 const dns = require('node:dns').promises;
 const tldts = require('tldts');
-const { TLDTS_OPTS } = require('../tools');
+const { formatDomain, TLDTS_OPTS } = require('../tools');
+const { parseDmarcRecord } = require('./parse-dmarc-record');
+const { resolveTxt, createLookup, walkDmarcTree } = require('./tree-walk');
 
-const resolveTxt = async (domain, resolver) => {
-    try {
-        let txt = await resolver(`_dmarc.${domain}`, 'TXT');
-        if (!txt || !txt.length) {
-            return false;
-        }
+const getDmarcRecordTreeWalk = async (domain, lookup) => {
+    const { queried, policy, orgDomain } = await walkDmarcTree(domain, lookup);
 
-        txt = txt.map(row => row.join('').trim()).filter(row => /^v=DMARC1\b/i.test(row));
+    if (!policy) {
+        return false;
+    }
 
-        if (txt.length !== 1) {
-            //no records or multiple records yield in no policy
-            return false;
-        }
+    let parsed = parseDmarcRecord(policy.rr);
 
-        return txt[0];
-    } catch (err) {
-        if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') {
-            return false;
-        }
-        throw err;
-    }
+    parsed.rr = policy.rr;
+    parsed.isOrgRecord = policy.domain !== domain;
+    parsed.policyDomain = policy.domain;
+    parsed.orgDomain = orgDomain.domain;
+    parsed.treeWalk = {
+        queried,
+        policy: { domain: policy.domain, reason: policy.reason },
+        orgDomain
+    };
+
+    return parsed;
 };
 
-const getDmarcRecord = async (domain, resolver) => {
+/**
+ * Fetches and parses the DMARC record for a domain
+ *
+ * @param {String} domain Domain name
+ * @param {Function} [resolver] DNS resolver function
+ * @param {Object} [opts]
+ * @param {Boolean} [opts.treeWalk=false] If true, then uses the DMARCbis DNS tree walk instead of the public suffix list
+ * @param {Function} [opts.lookup] Caching record lookup function from `createLookup()`, used with `treeWalk`
+ * @param {Array} [opts.psdList] Participating public suffix domains to check for a PSD DMARC record (RFC9091) if no other record was found
+ * @returns {Object|Boolean} parsed DMARC record or `false` if no record was found
+ */
+const getDmarcRecord = async (domain, resolver, opts) => {
     resolver = resolver || dns.resolve;
+    opts = opts || {};
 
+    if (opts.treeWalk) {
+        return await getDmarcRecordTreeWalk(domain, opts.lookup || createLookup(resolver));
+    }
+
+    let lookupPath = [domain];
     let txt = await resolveTxt(domain, resolver);
     let isOrgRecord = false;
+    let isPsdRecord = false;
+    let policyDomain = domain;
 
-    if (!txt) {
-        let orgDomain = tldts.getDomain(domain, TLDTS_OPTS);
-        if (orgDomain !== domain) {
-            // try org domain as well
-            txt = await resolveTxt(orgDomain, resolver);
+    let orgDomain = tldts.getDomain(domain, TLDTS_OPTS);
+    if (!txt && orgDomain && orgDomain !== domain) {
+        // try org domain as well
+        lookupPath.push(orgDomain);
+        txt = await resolveTxt(orgDomain, resolver);
+        isOrgRecord = true;
+        policyDomain = orgDomain;
+    }
+
+    if (!txt && opts.psdList) {
+        // RFC9091: fall back to the record of a participating public suffix domain
+        let psdDomain = tldts.getPublicSuffix(domain, TLDTS_OPTS);
+        let psdList = [].concat(opts.psdList).map(entry => formatDomain(entry));
+        if (psdDomain && psdDomain !== domain && psdList.includes(psdDomain)) {
+            lookupPath.push(psdDomain);
+            txt = await resolveTxt(psdDomain, resolver);
             isOrgRecord = true;
+            isPsdRecord = true;
+            policyDomain = psdDomain;
         }
     }
 
@@ -46,30 +79,17 @@ const getDmarcRecord = async (domain, resolver) => {
         return false;
     }
 
-    let parsed = Object.fromEntries(
-        txt
-            .split(';')
-            .map(e => e.trim())
-            .filter(e => e)
-            .map(e => {
-                let splitPos = e.indexOf('=');
-                if (splitPos < 0) {
-                    return [e.toLowerCase().trim(), false];
-                } else if (splitPos === 0) {
-                    return [false, e];
-                }
-                let key = e.substr(0, splitPos).toLowerCase().trim();
-                let val = e.substr(splitPos + 1);
-                if (['pct', 'ri'].includes(key)) {
-                    val = parseInt(val, 10) || 0;
-                }
-                return [key, val];
-            })
-    );
+    let parsed = parseDmarcRecord(txt);
 
     parsed.rr = txt;
     parsed.isOrgRecord = isOrgRecord;
 
+    if (opts.psdList) {
+        parsed.isPsdRecord = isPsdRecord;
+        parsed.policyDomain = policyDomain;
+        parsed.lookupPath = lookupPath;
+    }
+
     return parsed;
 };
 
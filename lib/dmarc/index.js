@@ -1,7 +1,24 @@
 'use strict';
 
 const verifyDmarc = require('./verify');
+const { AggregateReport, createReportMessage } = require('./aggregate-report');
+const { parseAggregateReport } = require('./parse-aggregate-report');
+const { getDisposition } = require('./disposition');
+const { lintDmarcRecord, buildDmarcRecord } = require('./lint-dmarc-record');
+const { verifyReportDestinations } = require('./report-destinations');
+const { shouldSendFailureReport, createFailureReport } = require('./failure-report');
 
 const dmarc = async opts => verifyDmarc(opts);
 
-module.exports = { dmarc };
+module.exports = {
+    dmarc,
+    getDisposition,
+    AggregateReport,
+    createReportMessage,
+    parseAggregateReport,
+    shouldSendFailureReport,
+    createFailureReport,
+    lintDmarcRecord,
+    buildDmarcRecord,
+    verifyReportDestinations
+};
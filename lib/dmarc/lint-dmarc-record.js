@@ -0,0 +1,380 @@
+'use strict';
+
+const Joi = require('joi');
+
+const emailSchema = Joi.string().email({ tlds: { allow: false } });
+const isEmail = value => !emailSchema.validate(value).error;
+
+const POLICIES = ['none', 'quarantine', 'reject'];
+
+const TAG_VALUES = {
+    p: POLICIES,
+    sp: POLICIES,
+    np: POLICIES,
+    adkim: ['r', 's'],
+    aspf: ['r', 's'],
+    psd: ['y', 'n', 'u'],
+    t: ['y', 'n']
+};
+
+const KNOWN_TAGS = ['v', 'p', 'sp', 'np', 'adkim', 'aspf', 'pct', 'fo', 'rf', 'ri', 'rua', 'ruf', 'psd', 't'];
+
+const FO_VALUES = ['0', '1', 'd', 's'];
+const RF_VALUES = ['afrf'];
+
+// tags in the order used by the builder
+const TAG_ORDER = ['v', 'p', 'sp', 'np', 'psd', 't', 'adkim', 'aspf', 'pct', 'fo', 'rf', 'ri', 'rua', 'ruf'];
+
+// values that are not included in canonical records as these are defaults
+const TAG_DEFAULTS = {
+    adkim: 'r',
+    aspf: 'r',
+    pct: '100',
+    fo: '0',
+    rf: 'afrf',
+    ri: '86400'
+};
+
+const getEditDistance = (a, b) => {
+    let row = Array.from({ length: b.length + 1 }, (v, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let prev = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            let current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+            prev = current;
+        }
+    }
+    return row[b.length];
+};
+
+const getSuggestion = (value, allowed) => {
+    let best = allowed
+        .map(option => ({ option, distance: getEditDistance(value, option) }))
+        .sort((a, b) => a.distance - b.distance)
+        .shift();
+    return best && best.distance <= Math.max(2, Math.floor(best.option.length / 3)) ? best.option : false;
+};
+
+/**
+ * Splits a DMARC record into tag entries with character positions
+ *
+ * @param {String} txt DMARC record
+ * @returns {Array} list of `{key, value, position, valuePosition, raw}` entries
+ */
+const tokenize = txt => {
+    let entries = [];
+    let pos = 0;
+
+    for (let part of txt.split(';')) {
+        let start = pos + (part.length - part.trimStart().length);
+        pos += part.length + 1;
+
+        let raw = part.trim();
+        if (!raw) {
+            continue;
+        }
+
+        let splitPos = raw.indexOf('=');
+        if (splitPos < 0) {
+            entries.push({ key: false, value: false, position: start, valuePosition: start, raw });
+            continue;
+        }
+
+        let key = raw.substr(0, splitPos).trim();
+        let valueOffset = splitPos + 1 + (raw.substr(splitPos + 1).length - raw.substr(splitPos + 1).trimStart().length);
+
+        entries.push({
+            key: key.toLowerCase(),
+            value: raw.substr(splitPos + 1).trim(),
+            position: start,
+            valuePosition: start + valueOffset,
+            raw
+        });
+    }
+
+    return entries;
+};
+
+const lintReportUris = (entry, addIssue) => {
+    let offset = entry.valuePosition;
+    for (let part of entry.value.split(',')) {
+        let position = offset + (part.length - part.trimStart().length);
+        offset += part.length + 1;
+
+        let uri = part.trim();
+        if (!uri) {
+            addIssue('error', entry.key, 'Empty report URI', position, 1);
+            continue;
+        }
+
+        let sizeMatch = uri.match(/^(.*)!([^!]*)$/);
+        if (sizeMatch) {
+            if (!/^\d+[kmgt]?$/i.test(sizeMatch[2])) {
+                addIssue(
+                    'error',
+                    entry.key,
+                    `Invalid size limit "!${sizeMatch[2]}", expecting a number with an optional k, m, g or t unit`,
+                    position,
+                    uri.length
+                );
+            }
+            uri = sizeMatch[1];
+        }
+
+        let schemeMatch = uri.match(/^([a-z][a-z0-9+.-]*):(.*)$/i);
+        if (!schemeMatch) {
+            if (isEmail(uri)) {
+                addIssue('error', entry.key, `Report URI "${uri}" is missing the "mailto:" scheme`, position, uri.length);
+            } else {
+                addIssue('error', entry.key, `Invalid report URI "${uri}"`, position, uri.length);
+            }
+            continue;
+        }
+
+        if (schemeMatch[1].toLowerCase() !== 'mailto') {
+            addIssue('warning', entry.key, `Report URI scheme "${schemeMatch[1]}" is not widely supported, use "mailto:" instead`, position, uri.length);
+            continue;
+        }
+
+        let address = schemeMatch[2].split('?').shift();
+        try {
+            address = decodeURIComponent(address);
+        } catch (err) {
+            // keep as is
+        }
+
+        if (!isEmail(address)) {
+            addIssue('error', entry.key, `Invalid email address "${address}" in report URI`, position, uri.length);
+        }
+    }
+};
+
+/**
+ * Validates a DMARC record and reports all syntax and semantic problems
+ *
+ * @param {String} txt DMARC record, eg. "v=DMARC1; p=reject"
+ * @returns {Object} `{valid, record, issues}` where `issues` is a list of `{severity, tag, message, position, length}` objects,
+ *   `position` is the 0-based character offset in the record
+ */
+const lintDmarcRecord = txt => {
+    txt = (txt || '').toString();
+
+    let issues = [];
+    let record = {};
+
+    const addIssue = (severity, tag, message, position, length) => {
+        issues.push({ severity, tag: tag || false, message, position, length: length || 0 });
+    };
+
+    const entries = tokenize(txt);
+
+    if (!entries.length) {
+        addIssue('error', false, 'Empty DMARC record', 0, txt.length);
+        return { valid: false, record, issues };
+    }
+
+    if (entries[0].key !== 'v') {
+        addIssue('error', 'v', 'Record must start with "v=DMARC1"', entries[0].position, entries[0].raw.length);
+    } else if (entries[0].value !== 'DMARC1') {
+        addIssue('error', 'v', `Invalid version "${entries[0].value}", expecting "DMARC1"`, entries[0].valuePosition, entries[0].value.length);
+    }
+
+    for (let i = 0; i < entries.length; i++) {
+        let entry = entries[i];
+
+        if (!entry.key) {
+            addIssue('error', false, `Invalid tag "${entry.raw}", expecting "tag=value"`, entry.position, entry.raw.length);
+            continue;
+        }
+
+        if (!KNOWN_TAGS.includes(entry.key)) {
+            let suggestion = getSuggestion(entry.key, KNOWN_TAGS);
+            addIssue(
+                'warning',
+                entry.key,
+                `Unknown tag "${entry.key}" is ignored${suggestion ? `, did you mean "${suggestion}"?` : ''}`,
+                entry.position,
+                entry.key.length
+            );
+            continue;
+        }
+
+        if (entry.key === 'v' && i > 0) {
+            addIssue('error', 'v', 'The "v" tag must be the first tag of the record', entry.position, entry.raw.length);
+        }
+
+        if (entry.key in record) {
+            addIssue('error', entry.key, `Duplicate tag "${entry.key}"`, entry.position, entry.raw.length);
+            continue;
+        }
+
+        record[entry.key] = entry.value;
+
+        if (!entry.value) {
+            addIssue('error', entry.key, `Empty value for tag "${entry.key}"`, entry.position, entry.raw.length);
+            continue;
+        }
+
+        let value = entry.value.toLowerCase();
+
+        if (TAG_VALUES[entry.key]) {
+            if (!TAG_VALUES[entry.key].includes(value)) {
+                let suggestion = getSuggestion(value, TAG_VALUES[entry.key]);
+                addIssue(
+                    'error',
+                    entry.key,
+                    `Invalid value "${entry.value}" for tag "${entry.key}"${
+                        suggestion ? `, did you mean "${suggestion}"?` : `, expecting one of ${TAG_VALUES[entry.key].map(v => `"${v}"`).join(', ')}`
+                    }`,
+                    entry.valuePosition,
+                    entry.value.length
+                );
+            }
+            continue;
+        }
+
+        switch (entry.key) {
+            case 'pct':
+                if (!/^\d+$/.test(value) || Number(value) > 100) {
+                    addIssue(
+                        'error',
+                        'pct',
+                        `Invalid value "${entry.value}" for tag "pct", expecting an integer between 0 and 100`,
+                        entry.valuePosition,
+                        entry.value.length
+                    );
+                }
+                break;
+
+            case 'ri':
+                if (!/^\d+$/.test(value) || Number(value) > 0xffffffff) {
+                    addIssue(
+                        'error',
+                        'ri',
+                        `Invalid value "${entry.value}" for tag "ri", expecting a number of seconds`,
+                        entry.valuePosition,
+                        entry.value.length
+                    );
+                }
+                break;
+
+            case 'fo':
+            case 'rf': {
+                let allowed = entry.key === 'fo' ? FO_VALUES : RF_VALUES;
+                for (let option of value.split(':').map(option => option.trim())) {
+                    if (!allowed.includes(option)) {
+                        addIssue(
+                            entry.key === 'fo' ? 'error' : 'warning',
+                            entry.key,
+                            `Unknown option "${option}" for tag "${entry.key}", expecting ${allowed.map(v => `"${v}"`).join(', ')}`,
+                            entry.valuePosition,
+                            entry.value.length
+                        );
+                    }
+                }
+                break;
+            }
+
+            case 'rua':
+            case 'ruf':
+                lintReportUris(entry, addIssue);
+                break;
+        }
+    }
+
+    let pTag = entries.find(entry => entry.key === 'p');
+    if (!pTag) {
+        addIssue(record.rua ? 'warning' : 'error', 'p', 'Missing required "p" tag', 0, 0);
+    } else if (entries[1] !== pTag) {
+        addIssue('warning', 'p', 'The "p" tag should directly follow the "v" tag', pTag.position, pTag.raw.length);
+    }
+
+    if ((record.fo || record.rf) && !record.ruf) {
+        let entry = entries.find(entry => entry.key === (record.fo ? 'fo' : 'rf'));
+        addIssue('warning', entry.key, `The "${entry.key}" tag has no effect without a "ruf" tag`, entry.position, entry.raw.length);
+    }
+
+    if ((record.p || '').toLowerCase() === 'none' && !record.rua) {
+        addIssue('warning', 'rua', 'Policy "none" without a "rua" tag has no effect', 0, 0);
+    }
+
+    issues.sort((a, b) => a.position - b.position);
+
+    return { valid: !issues.some(issue => issue.severity === 'error'), record, issues };
+};
+
+/**
+ * Builds a canonical DMARC record from a policy object. Report addresses without a scheme
+ * are prefixed with "mailto:" and tags that use default values are omitted.
+ *
+ * @param {Object} policy Policy object, eg. `{p: 'reject', rua: ['reports@example.com']}`
+ * @returns {String} DMARC record
+ */
+const buildDmarcRecord = policy => {
+    let tags = [['v', 'DMARC1']];
+
+    // tag names are case insensitive
+    let normalized = {};
+    for (let key of Object.keys(policy || {})) {
+        let tag = key.toLowerCase();
+        if (!KNOWN_TAGS.includes(tag)) {
+            let err = new Error(`Unknown DMARC tag "${key}"`);
+            err.code = 'EINVALIDTAG';
+            throw err;
+        }
+        if (tag in normalized) {
+            let err = new Error(`Duplicate DMARC tag "${key}"`);
+            err.code = 'EINVALIDTAG';
+            throw err;
+        }
+        normalized[tag] = policy[key];
+    }
+    policy = normalized;
+
+    for (let key of TAG_ORDER.slice(1)) {
+        let value = policy[key];
+        if (value === undefined || value === null || value === false || value === '') {
+            continue;
+        }
+
+        if (['rua', 'ruf'].includes(key)) {
+            value = []
+                .concat(value)
+                .map(uri => uri.toString().trim())
+                .filter(uri => uri)
+                .map(uri => (/^[a-z][a-z0-9+.-]*:/i.test(uri) ? uri : `mailto:${uri}`))
+                .join(',');
+        } else if (key === 'fo' || key === 'rf') {
+            value = []
+                .concat(value)
+                .map(option => option.toString().trim().toLowerCase())
+                .join(':');
+        } else if (typeof value === 'boolean') {
+            value = value ? 'y' : 'n';
+        } else {
+            value = value.toString().trim().toLowerCase();
+        }
+
+        if (!value || TAG_DEFAULTS[key] === value) {
+            continue;
+        }
+
+        tags.push([key, value]);
+    }
+
+    const record = tags.map(([key, value]) => `${key}=${value}`).join('; ');
+
+    const { valid, issues } = lintDmarcRecord(record);
+    if (!valid) {
+        let err = new Error(issues.find(issue => issue.severity === 'error').message);
+        err.code = 'EINVALIDRECORD';
+        err.issues = issues;
+        throw err;
+    }
+
+    return record;
+};
+
+module.exports = { lintDmarcRecord, buildDmarcRecord };
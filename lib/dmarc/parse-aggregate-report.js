@@ -0,0 +1,419 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const zlib = require('node:zlib');
+const net = require('node:net');
+const libmime = require('libmime');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { parseHeaders } = require('../tools');
+const { extractZip } = require('../zip');
+
+const MAX_MIME_DEPTH = 10;
+
+// email attachment, archive and compressed file, eg. a gzip file inside a ZIP archive inside an email
+const MAX_NESTING_DEPTH = 3;
+
+// reports from large providers can be several megabytes, anything larger is most probably a decompression bomb
+const DEFAULT_MAX_REPORT_SIZE = 50 * 1024 * 1024;
+
+const DISPOSITIONS = ['none', 'quarantine', 'reject'];
+const DMARC_RESULTS = ['pass', 'fail'];
+const ALIGNMENT_MODES = ['r', 's'];
+const POLICY_OVERRIDE_REASONS = ['forwarded', 'sampled_out', 'trusted_forwarder', 'mailing_list', 'local_policy', 'other'];
+const DKIM_RESULTS = ['none', 'pass', 'fail', 'policy', 'neutral', 'temperror', 'permerror'];
+const SPF_RESULTS = ['none', 'neutral', 'pass', 'fail', 'softfail', 'temperror', 'permerror'];
+const SPF_SCOPES = ['helo', 'mfrom'];
+
+const ARRAY_PATHS = [
+    'feedback.report_metadata.error',
+    'feedback.record',
+    'feedback.record.row.policy_evaluated.reason',
+    'feedback.record.auth_results.dkim',
+    'feedback.record.auth_results.spf'
+];
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: true,
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: true,
+    isArray: (name, jpath) => ARRAY_PATHS.includes(jpath)
+});
+
+const REPORT_CONTENT_TYPES = ['application/gzip', 'application/x-gzip', 'application/zip', 'application/x-zip-compressed', 'application/xml', 'text/xml'];
+
+const isGzip = buf => buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b;
+const isZip = buf => buf.length > 4 && buf.readUInt32LE(0) === 0x04034b50;
+const isXml = buf => /^\uFEFF?\s*</.test(buf.slice(0, 64).toString());
+
+const decodeQuotedPrintable = str =>
+    Buffer.from(
+        str.replace(/[=]\r?\n/g, '').replace(/[=]([0-9a-f]{2})/gi, (m, code) => String.fromCharCode(parseInt(code, 16))),
+        'binary'
+    );
+
+const getHeaderValue = (headers, key) => {
+    let header = headers.parsed.find(h => h.key === key);
+    if (!header) {
+        return false;
+    }
+
+    let line = header.line.toString('binary').replace(/\r?\n/g, '');
+    return libmime.parseHeaderValue(line.substr(line.indexOf(':') + 1).trim());
+};
+
+// walks the MIME tree of an email message and returns the first part that looks like a DMARC report
+const findReportAttachment = (buf, depth) => {
+    depth = depth || 0;
+    if (depth > MAX_MIME_DEPTH) {
+        return false;
+    }
+
+    let str = buf.toString('binary');
+    let match = str.match(/\r?\n\r?\n/);
+    let headers = parseHeaders(Buffer.from(match ? str.substr(0, match.index + match[0].length) : str, 'binary'));
+    let body = match ? str.substr(match.index + match[0].length) : '';
+
+    let contentType = getHeaderValue(headers, 'content-type') || { value: 'text/plain', params: {} };
+    let disposition = getHeaderValue(headers, 'content-disposition') || { value: '', params: {} };
+    let mimeType = (contentType.value || '').toLowerCase().trim();
+
+    if (/^multipart\//.test(mimeType) && contentType.params.boundary) {
+        let boundary = `--${contentType.params.boundary}`;
+        let parts = [];
+        let curPart = null;
+        for (let line of body.split(/\r?\n/)) {
+            if (line.trimEnd() === boundary) {
+                curPart = [];
+                parts.push(curPart);
+                continue;
+            }
+            if (line.trimEnd() === `${boundary}--`) {
+                break;
+            }
+            if (curPart) {
+                curPart.push(line);
+            }
+        }
+
+        for (let part of parts) {
+            let attachment = findReportAttachment(Buffer.from(part.join('\r\n'), 'binary'), depth + 1);
+            if (attachment) {
+                return attachment;
+            }
+        }
+
+        return false;
+    }
+
+    if (mimeType === 'message/rfc822') {
+        return findReportAttachment(Buffer.from(body, 'binary'), depth + 1);
+    }
+
+    let filename = (disposition.params.filename || contentType.params.name || '').toLowerCase();
+    if (!REPORT_CONTENT_TYPES.includes(mimeType) && !/\.(xml|gz|zip)$/.test(filename)) {
+        return false;
+    }
+
+    let transferEncoding = (getHeaderValue(headers, 'content-transfer-encoding')?.value || '').toLowerCase().trim();
+    switch (transferEncoding) {
+        case 'base64':
+            return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+        case 'quoted-printable':
+            return decodeQuotedPrintable(body);
+        default:
+            return Buffer.from(body, 'binary');
+    }
+};
+
+// converts gzip, zip and email input into an XML string
+const getReportXml = (input, maxSize, depth) => {
+    depth = depth || 0;
+
+    if (typeof input === 'string') {
+        input = Buffer.from(input);
+    }
+
+    if (depth > MAX_NESTING_DEPTH) {
+        let err = new Error(`Report is nested deeper than ${MAX_NESTING_DEPTH} levels`);
+        err.code = 'ETOODEEP';
+        throw err;
+    }
+
+    if (isGzip(input)) {
+        let content;
+        try {
+            content = zlib.gunzipSync(input, { maxOutputLength: maxSize });
+        } catch (err) {
+            if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+                let error = new Error(`Uncompressed report exceeds ${maxSize} bytes`);
+                error.code = 'ETOOLARGE';
+                throw error;
+            }
+            throw err;
+        }
+        return getReportXml(content, maxSize, depth + 1);
+    }
+
+    if (isZip(input)) {
+        let files = extractZip(input, { maxSize });
+        let file = files.find(file => /\.xml$/i.test(file.filename)) || files[0];
+        if (!file) {
+            let err = new Error('No report found in ZIP archive');
+            err.code = 'ENOREPORT';
+            throw err;
+        }
+        return getReportXml(file.content, maxSize, depth + 1);
+    }
+
+    if (isXml(input)) {
+        return input.toString().replace(/^\uFEFF/, '');
+    }
+
+    let attachment = !depth && findReportAttachment(input);
+    if (!attachment) {
+        let err = new Error('No report found in input');
+        err.code = 'ENOREPORT';
+        throw err;
+    }
+
+    return getReportXml(attachment, maxSize, depth + 1);
+};
+
+const getString = value => {
+    if (value && typeof value === 'object') {
+        // element with attributes or mixed content
+        value = value['#text'];
+    }
+    return typeof value === 'string' || typeof value === 'number' ? value.toString().trim() : '';
+};
+
+const getInteger = value => {
+    value = getString(value);
+    return /^-?\d+$/.test(value) ? Number(value) : null;
+};
+
+const createCounters = () => ({
+    messages: 0,
+    dmarc: { pass: 0, fail: 0 },
+    dkim: { pass: 0, fail: 0 },
+    spf: { pass: 0, fail: 0 },
+    disposition: { none: 0, quarantine: 0, reject: 0 }
+});
+
+const updateCounters = (counters, record) => {
+    counters.messages += record.count;
+    counters.dmarc[record.dkim === 'pass' || record.spf === 'pass' ? 'pass' : 'fail'] += record.count;
+    counters.dkim[record.dkim === 'pass' ? 'pass' : 'fail'] += record.count;
+    counters.spf[record.spf === 'pass' ? 'pass' : 'fail'] += record.count;
+    if (record.disposition in counters.disposition) {
+        counters.disposition[record.disposition] += record.count;
+    }
+};
+
+/**
+ * Calculates totals and per-source totals for a list of normalized report records
+ *
+ * @param {Array} records Records from `parseAggregateReport()`
+ * @returns {Object} summary
+ */
+const summarizeRecords = records => {
+    const summary = createCounters();
+    const sources = new Map();
+
+    for (let record of records || []) {
+        updateCounters(summary, record);
+
+        if (!sources.has(record.sourceIp)) {
+            sources.set(record.sourceIp, Object.assign({ sourceIp: record.sourceIp, headerFrom: [] }, createCounters()));
+        }
+        let source = sources.get(record.sourceIp);
+        updateCounters(source, record);
+        if (record.headerFrom && !source.headerFrom.includes(record.headerFrom)) {
+            source.headerFrom.push(record.headerFrom);
+        }
+    }
+
+    summary.sources = Array.from(sources.values()).sort((a, b) => b.messages - a.messages);
+
+    return summary;
+};
+
+/**
+ * Parses and validates a DMARC aggregate report
+ *
+ * @param {Buffer|String} input Report as raw XML, gzip or zip compressed XML, or an email message with the report attached
+ * @param {Object} [opts]
+ * @param {Number} [opts.maxReportSize=52428800] Maximum size of decompressed report content in bytes
+ * @returns {Object} normalized report
+ */
+const parseAggregateReport = (input, opts) => {
+    opts = opts || {};
+
+    const xml = getReportXml(input, opts.maxReportSize || DEFAULT_MAX_REPORT_SIZE);
+
+    const validation = XMLValidator.validate(xml);
+    if (validation !== true) {
+        let err = new Error(`Invalid XML: ${validation.err?.msg}`);
+        err.code = 'EINVALIDXML';
+        err.details = validation.err;
+        throw err;
+    }
+
+    const feedback = xmlParser.parse(xml)?.feedback;
+    if (!feedback || typeof feedback !== 'object') {
+        let err = new Error('Missing feedback element');
+        err.code = 'EINVALIDREPORT';
+        throw err;
+    }
+
+    const errors = [];
+    const check = (condition, path, message) => {
+        if (!condition) {
+            errors.push({ path, message });
+        }
+        return condition;
+    };
+
+    const checkEnum = (value, list, path) => check(!value || list.includes(value), path, `Unexpected value "${value}"`);
+    const checkRequired = (value, path) => check(value !== '' && value !== null && typeof value !== 'undefined', path, 'Missing required element');
+
+    // report_metadata
+    const metadataNode = feedback.report_metadata || {};
+    checkRequired(feedback.report_metadata, 'feedback.report_metadata');
+
+    const metadata = {
+        orgName: getString(metadataNode.org_name),
+        email: getString(metadataNode.email),
+        extraContactInfo: getString(metadataNode.extra_contact_info) || undefined,
+        reportId: getString(metadataNode.report_id),
+        begin: null,
+        end: null,
+        errors: (metadataNode.error || []).map(getString).filter(e => e)
+    };
+
+    checkRequired(metadata.orgName, 'feedback.report_metadata.org_name');
+    checkRequired(metadata.email, 'feedback.report_metadata.email');
+    checkRequired(metadata.reportId, 'feedback.report_metadata.report_id');
+
+    const begin = getInteger(metadataNode.date_range?.begin);
+    const end = getInteger(metadataNode.date_range?.end);
+    if (checkRequired(begin, 'feedback.report_metadata.date_range.begin')) {
+        metadata.begin = new Date(begin * 1000);
+    }
+    if (checkRequired(end, 'feedback.report_metadata.date_range.end')) {
+        metadata.end = new Date(end * 1000);
+    }
+
+    // policy_published
+    const policyNode = feedback.policy_published || {};
+    checkRequired(feedback.policy_published, 'feedback.policy_published');
+
+    const policy = {
+        domain: getString(policyNode.domain).toLowerCase(),
+        adkim: getString(policyNode.adkim).toLowerCase() || 'r',
+        aspf: getString(policyNode.aspf).toLowerCase() || 'r',
+        p: getString(policyNode.p).toLowerCase(),
+        sp: getString(policyNode.sp).toLowerCase() || undefined,
+        pct: getInteger(policyNode.pct),
+        fo: getString(policyNode.fo) || undefined
+    };
+
+    checkRequired(policy.domain, 'feedback.policy_published.domain');
+    checkRequired(policy.p, 'feedback.policy_published.p');
+    checkEnum(policy.p, DISPOSITIONS, 'feedback.policy_published.p');
+    checkEnum(policy.sp, DISPOSITIONS, 'feedback.policy_published.sp');
+    checkEnum(policy.adkim, ALIGNMENT_MODES, 'feedback.policy_published.adkim');
+    checkEnum(policy.aspf, ALIGNMENT_MODES, 'feedback.policy_published.aspf');
+    if (policy.pct === null) {
+        check(!getString(policyNode.pct), 'feedback.policy_published.pct', 'Invalid integer value');
+        policy.pct = 100;
+    }
+    policy.sp = policy.sp || policy.p;
+
+    // records
+    const records = [];
+    const recordNodes = feedback.record || [];
+    check(recordNodes.length, 'feedback.record', 'Missing required element');
+
+    recordNodes.forEach((recordNode, i) => {
+        const path = `feedback.record[${i}]`;
+        const row = recordNode?.row || {};
+        const evaluated = row.policy_evaluated || {};
+        const identifiers = recordNode?.identifiers || {};
+        const authResults = recordNode?.auth_results || {};
+
+        const record = {
+            sourceIp: getString(row.source_ip),
+            count: getInteger(row.count),
+            disposition: getString(evaluated.disposition).toLowerCase(),
+            dkim: getString(evaluated.dkim).toLowerCase(),
+            spf: getString(evaluated.spf).toLowerCase(),
+            reasons: (evaluated.reason || []).map(reason => ({
+                type: getString(reason?.type).toLowerCase(),
+                comment: getString(reason?.comment) || undefined
+            })),
+            envelopeTo: getString(identifiers.envelope_to).toLowerCase() || undefined,
+            envelopeFrom: getString(identifiers.envelope_from).toLowerCase() || undefined,
+            headerFrom: getString(identifiers.header_from).toLowerCase(),
+            authResults: {
+                dkim: (authResults.dkim || []).map(entry => ({
+                    domain: getString(entry?.domain).toLowerCase(),
+                    selector: getString(entry?.selector) || undefined,
+                    result: getString(entry?.result).toLowerCase(),
+                    humanResult: getString(entry?.human_result) || undefined
+                })),
+                spf: (authResults.spf || []).map(entry => ({
+                    domain: getString(entry?.domain).toLowerCase(),
+                    scope: getString(entry?.scope).toLowerCase() || undefined,
+                    result: getString(entry?.result).toLowerCase()
+                }))
+            }
+        };
+
+        if (checkRequired(record.sourceIp, `${path}.row.source_ip`)) {
+            check(net.isIP(record.sourceIp), `${path}.row.source_ip`, `Invalid IP address "${record.sourceIp}"`);
+        }
+        if (checkRequired(record.count, `${path}.row.count`)) {
+            check(record.count >= 0, `${path}.row.count`, 'Invalid message count');
+        }
+        record.count = record.count || 0;
+
+        checkRequired(record.disposition, `${path}.row.policy_evaluated.disposition`);
+        checkEnum(record.disposition, DISPOSITIONS, `${path}.row.policy_evaluated.disposition`);
+        checkRequired(record.dkim, `${path}.row.policy_evaluated.dkim`);
+        checkEnum(record.dkim, DMARC_RESULTS, `${path}.row.policy_evaluated.dkim`);
+        checkRequired(record.spf, `${path}.row.policy_evaluated.spf`);
+        checkEnum(record.spf, DMARC_RESULTS, `${path}.row.policy_evaluated.spf`);
+        record.reasons.forEach((reason, j) => checkEnum(reason.type, POLICY_OVERRIDE_REASONS, `${path}.row.policy_evaluated.reason[${j}].type`));
+
+        checkRequired(record.headerFrom, `${path}.identifiers.header_from`);
+
+        record.authResults.dkim.forEach((entry, j) => {
+            checkRequired(entry.domain, `${path}.auth_results.dkim[${j}].domain`);
+            checkRequired(entry.result, `${path}.auth_results.dkim[${j}].result`);
+            checkEnum(entry.result, DKIM_RESULTS, `${path}.auth_results.dkim[${j}].result`);
+        });
+
+        check(record.authResults.spf.length, `${path}.auth_results.spf`, 'Missing required element');
+        record.authResults.spf.forEach((entry, j) => {
+            checkRequired(entry.domain, `${path}.auth_results.spf[${j}].domain`);
+            checkEnum(entry.scope, SPF_SCOPES, `${path}.auth_results.spf[${j}].scope`);
+            checkRequired(entry.result, `${path}.auth_results.spf[${j}].result`);
+            checkEnum(entry.result, SPF_RESULTS, `${path}.auth_results.spf[${j}].result`);
+        });
+
+        records.push(record);
+    });
+
+    return {
+        valid: !errors.length,
+        errors,
+        metadata,
+        policy,
+        records,
+        summary: summarizeRecords(records)
+    };
+};
+
+module.exports = { parseAggregateReport, summarizeRecords };
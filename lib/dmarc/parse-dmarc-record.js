@@ -0,0 +1,72 @@
+'use strict';
+
+const SIZE_UNITS = {
+    k: 1024,
+    m: 1024 * 1024,
+    g: 1024 * 1024 * 1024,
+    t: 1024 * 1024 * 1024 * 1024
+};
+
+/**
+ * Parses a DMARC TXT record into a key-value object
+ *
+ * @param {String} txt DMARC record value, eg. "v=DMARC1; p=reject"
+ * @returns {Object} parsed tags
+ */
+const parseDmarcRecord = txt =>
+    Object.fromEntries(
+        (txt || '')
+            .toString()
+            .split(';')
+            .map(e => e.trim())
+            .filter(e => e)
+            .map(e => {
+                let splitPos = e.indexOf('=');
+                if (splitPos < 0) {
+                    return [e.toLowerCase().trim(), false];
+                } else if (splitPos === 0) {
+                    return [false, e];
+                }
+                let key = e.substr(0, splitPos).toLowerCase().trim();
+                let val = e.substr(splitPos + 1);
+                if (['pct', 'ri'].includes(key)) {
+                    val = parseInt(val, 10) || 0;
+                }
+                return [key, val];
+            })
+    );
+
+/**
+ * Parses a comma separated list of DMARC report URIs (`rua` and `ruf` tag values)
+ *
+ * @param {String} value Tag value, eg. "mailto:reports@example.com!10m"
+ * @returns {Array} list of `{uri, address, size}` objects, `size` is the size limit in bytes if set
+ */
+const parseReportUris = value =>
+    (value || '')
+        .toString()
+        .split(',')
+        .map(e => e.trim())
+        .filter(e => e)
+        .map(e => {
+            let entry = { uri: e };
+
+            let sizeMatch = e.match(/^(.+?)!(\d+)([kmgt])?$/i);
+            if (sizeMatch) {
+                entry.uri = sizeMatch[1].trim();
+                entry.size = Number(sizeMatch[2]) * (sizeMatch[3] ? SIZE_UNITS[sizeMatch[3].toLowerCase()] : 1);
+            }
+
+            let mailtoMatch = entry.uri.match(/^mailto:([^?]+)/i);
+            if (mailtoMatch) {
+                try {
+                    entry.address = decodeURIComponent(mailtoMatch[1]).trim();
+                } catch (err) {
+                    entry.address = mailtoMatch[1].trim();
+                }
+            }
+
+            return entry;
+        });
+
+module.exports = { parseDmarcRecord, parseReportUris };
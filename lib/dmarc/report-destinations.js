@@ -0,0 +1,111 @@
+'use strict';
+
+const dns = require('node:dns').promises;
+const tldts = require('tldts');
+const { formatDomain, TLDTS_OPTS } = require('../tools');
+const { parseDmarcRecord, parseReportUris } = require('./parse-dmarc-record');
+
+const getOrgDomain = domain => tldts.getDomain(domain, TLDTS_OPTS) || domain;
+
+/**
+ * Resolves the authorization record for an external report destination as described in RFC7489 section 7.1
+ *
+ * @param {String} domain Policy domain
+ * @param {String} destination Destination domain
+ * @param {Function} resolver DNS resolver function
+ * @returns {String|Boolean} DMARC record of the destination or `false` if not authorized
+ */
+const resolveAuthorization = async (domain, destination, resolver) => {
+    try {
+        let txt = await resolver(`${domain}._report._dmarc.${destination}`, 'TXT');
+        txt = (txt || []).map(row => row.join('').trim()).filter(row => /^v=DMARC1\b/i.test(row));
+        return txt.length ? txt[0] : false;
+    } catch (err) {
+        if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') {
+            return false;
+        }
+        throw err;
+    }
+};
+
+/**
+ * Verifies that the report destinations of a DMARC policy are allowed to receive reports.
+ * Destinations in a different organizational domain than the policy domain must publish
+ * an authorization record at `<domain>._report._dmarc.<destination>`. URIs in the authorization record
+ * replace the requested URI only if these point to the destination domain itself.
+ *
+ * @param {String} domain Policy domain
+ * @param {String|Array} uris Value of the `rua` or `ruf` tag, or a list of entries from `parseReportUris()`
+ * @param {Object} [opts]
+ * @param {Function} [opts.resolver] DNS resolver function
+ * @param {String} [opts.type="rua"] Either "rua" or "ruf", used when the destination overrides the report URIs
+ * @param {Number} [opts.size] Size of the encoded report message in bytes, destinations with a smaller size limit are not authorized
+ * @returns {Array} list of `{uri, address, size, external, authorized, reason}` objects
+ */
+const verifyReportDestinations = async (domain, uris, opts) => {
+    opts = opts || {};
+
+    const resolver = opts.resolver || dns.resolve;
+    const type = opts.type === 'ruf' ? 'ruf' : 'rua';
+
+    domain = formatDomain(domain);
+    const orgDomain = getOrgDomain(domain);
+
+    const entries = Array.isArray(uris) ? uris : parseReportUris(uris);
+
+    let results = [];
+    for (let entry of entries) {
+        let result = Object.assign({}, entry, { external: false, authorized: false });
+        results.push(result);
+
+        if (!entry.address || entry.address.indexOf('@') < 0) {
+            result.reason = 'unsupported-scheme';
+            continue;
+        }
+
+        const destination = formatDomain(entry.address.split('@').pop());
+
+        if (getOrgDomain(destination) !== orgDomain) {
+            result.external = true;
+
+            let record;
+            try {
+                record = await resolveAuthorization(domain, destination, resolver);
+            } catch (err) {
+                result.reason = 'temperror';
+                result.error = err.message;
+                continue;
+            }
+
+            if (!record) {
+                result.reason = 'not-authorized';
+                continue;
+            }
+
+            // the destination may replace the requested URIs with its own, but only with addresses in its own domain
+            const overrides = parseReportUris(parseDmarcRecord(record)[type]).filter(
+                override => override.address && formatDomain(override.address.split('@').pop()) === destination
+            );
+            if (overrides.length) {
+                let override = overrides.find(override => override.address.toLowerCase() === entry.address.toLowerCase()) || overrides[0];
+                result.address = override.address;
+                result.uri = override.uri;
+                if (override.size) {
+                    result.size = result.size ? Math.min(result.size, override.size) : override.size;
+                }
+            }
+        }
+
+        if (typeof opts.size === 'number' && result.size && result.size < opts.size) {
+            result.reason = 'too-large';
+            continue;
+        }
+
+        result.authorized = true;
+        result.reason = result.external ? 'authorized' : 'internal';
+    }
+
+    return results;
+};
+
+module.exports = { verifyReportDestinations };
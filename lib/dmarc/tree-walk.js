@@ -0,0 +1,143 @@
+'use strict';
+
+const { parseDmarcRecord } = require('./parse-dmarc-record');
+
+// DMARCbis limits the tree walk to 8 DNS queries
+const MAX_TREE_WALK_QUERIES = 8;
+
+const resolveTxt = async (domain, resolver) => {
+    try {
+        let txt = await resolver(`_dmarc.${domain}`, 'TXT');
+        if (!txt || !txt.length) {
+            return false;
+        }
+
+        txt = txt.map(row => row.join('').trim()).filter(row => /^v=DMARC1\b/i.test(row));
+
+        if (txt.length !== 1) {
+            //no records or multiple records yield in no policy
+            return false;
+        }
+
+        return txt[0];
+    } catch (err) {
+        if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') {
+            return false;
+        }
+        throw err;
+    }
+};
+
+/**
+ * Creates a caching DMARC record lookup function, so that multiple tree walks
+ * for the same message do not repeat DNS queries
+ *
+ * @param {Function} resolver DNS resolver function
+ * @returns {Function} async function that resolves a domain name into a DMARC record string or `false`
+ */
+const createLookup = resolver => {
+    const cache = new Map();
+    return domain => {
+        if (!cache.has(domain)) {
+            cache.set(domain, resolveTxt(domain, resolver));
+        }
+        return cache.get(domain);
+    };
+};
+
+/**
+ * Lists the domain names queried during a tree walk, starting from the domain itself.
+ * Domains with 8 or more labels are shortened to 7 labels after the first query.
+ *
+ * @param {String} domain Domain name to start from
+ * @returns {Array} list of domain names
+ */
+const getTreeWalkDomains = domain => {
+    let labels = domain.split('.').filter(label => label);
+
+    let domains = [labels.join('.')];
+
+    labels = labels.length >= MAX_TREE_WALK_QUERIES ? labels.slice(-(MAX_TREE_WALK_QUERIES - 1)) : labels.slice(1);
+    while (labels.length) {
+        domains.push(labels.join('.'));
+        labels = labels.slice(1);
+    }
+
+    return domains;
+};
+
+/**
+ * Performs a DMARCbis DNS tree walk to find the policy record and the organizational domain
+ *
+ * @param {String} domain Author domain
+ * @param {Function} lookup DMARC record lookup function from `createLookup()`
+ * @returns {Object} `{queried, policy: {domain, reason, rr, record}, orgDomain: {domain, reason}}`, `policy` is `false` if no record was found
+ */
+const walkDmarcTree = async (domain, lookup) => {
+    const labels = domain.split('.').filter(label => label);
+
+    let queried = [];
+    let policy = false;
+    let orgDomain = false;
+    let candidate = false;
+
+    for (let name of getTreeWalkDomains(domain)) {
+        queried.push(name);
+
+        let rr = await lookup(name);
+        if (!rr) {
+            continue;
+        }
+
+        let record = parseDmarcRecord(rr);
+
+        if (!policy) {
+            // the first record found is the policy record
+            policy = {
+                domain: name,
+                reason: name === domain ? 'author-domain' : 'tree-walk',
+                rr,
+                record
+            };
+        }
+
+        let psd = (record.psd || '').toLowerCase().trim();
+
+        if (psd === 'n') {
+            // the domain explicitly declares itself as an organizational domain
+            orgDomain = { domain: name, reason: 'psd=n' };
+            break;
+        }
+
+        // psd=y on the starting domain itself is ignored
+        if (psd === 'y' && queried.length > 1) {
+            // public suffix domain, organizational domain is one label below
+            let nameLabels = name.split('.').length;
+            orgDomain = {
+                domain: nameLabels < labels.length ? labels.slice(-(nameLabels + 1)).join('.') : name,
+                reason: 'psd=y'
+            };
+            break;
+        }
+
+        // keep the record with the fewest labels
+        candidate = name;
+    }
+
+    if (!orgDomain) {
+        orgDomain = candidate ? { domain: candidate, reason: 'fewest-labels' } : { domain, reason: 'no-record' };
+    }
+
+    return { queried, policy, orgDomain };
+};
+
+/**
+ * Resolves the organizational domain for a domain name using a DMARCbis tree walk
+ *
+ * @param {String} domain Domain name
+ * @param {Function} lookup DMARC record lookup function from `createLookup()`
+ * @returns {String} organizational domain
+ */
+const getOrganizationalDomain = async (domain, lookup) => (await walkDmarcTree(domain, lookup)).orgDomain.domain;
+
+module.exports = { resolveTxt, createLookup, getTreeWalkDomains, walkDmarcTree, getOrganizationalDomain };
@@ -3,11 +3,28 @@
 const dns = require('node:dns').promises;
 const punycode = require('punycode.js');
 const tldts = require('tldts');
-const { formatAuthHeaderRow, getAlignment, TLDTS_OPTS } = require('../tools');
+const { formatAuthHeaderRow, formatDomain, getAlignment, TLDTS_OPTS } = require('../tools');
 const getDmarcRecord = require('./get-dmarc-record');
+const { createLookup, getOrganizationalDomain } = require('./tree-walk');
+
+// a domain does not exist if there are no A, AAAA or MX records for it
+const domainExists = async (domain, resolver) => {
+    for (let rr of ['A', 'AAAA', 'MX']) {
+        try {
+            await resolver(domain, rr);
+            return true;
+        } catch (err) {
+            if (err.code !== 'ENOTFOUND') {
+                // ENODATA and DNS failures do not prove that the domain does not exist
+                return true;
+            }
+        }
+    }
+    return false;
+};
 
 const verifyDmarc = async opts => {
-    let { headerFrom, spfDomains, dkimDomains, resolver, arcResult } = opts;
+    let { headerFrom, spfDomains, dkimDomains, resolver, arcResult, treeWalk, psdList } = opts;
 
     resolver = resolver || dns.resolve;
 
@@ -52,9 +69,12 @@ const verifyDmarc = async opts => {
         }
     };
 
+    // DMARCbis tree walk results are cached for the duration of the check
+    const lookup = treeWalk ? createLookup(resolver) : null;
+
     let dmarcRecord;
     try {
-        dmarcRecord = await getDmarcRecord(domain, resolver);
+        dmarcRecord = await getDmarcRecord(domain, resolver, { treeWalk, lookup, psdList });
     } catch (err) {
         // temperror?
         status.result = 'temperror';
@@ -74,14 +94,37 @@ const verifyDmarc = async opts => {
     status.comment = []
         .concat(dmarcRecord.p ? `p=${dmarcRecord.p.toUpperCase()}` : [])
         .concat(dmarcRecord.sp ? `sp=${dmarcRecord.sp.toUpperCase()}` : [])
+        .concat((treeWalk || psdList) && dmarcRecord.np ? `np=${dmarcRecord.np.toUpperCase()}` : [])
         .concat(arcResult?.status?.result ? `arc=${arcResult?.status?.result}` : [])
         .join(' ');
 
     // use "sp" if this is a subdomain of an org domain and "sp" is set, otherwise use "p"
-    const policy = dmarcRecord.isOrgRecord && dmarcRecord.sp ? dmarcRecord.sp : dmarcRecord.p;
+    let policyTag = dmarcRecord.isOrgRecord && dmarcRecord.sp ? 'sp' : 'p';
+
+    if ((treeWalk || psdList) && dmarcRecord.isOrgRecord && dmarcRecord.np && !(await domainExists(domain, resolver))) {
+        // use "np" for non-existent subdomains
+        policyTag = 'np';
+    }
+
+    let getOrgDomain;
+    if (treeWalk) {
+        orgDomain = dmarcRecord.orgDomain;
+
+        // resolve organizational domains for all authenticated domains
+        let orgDomains = new Map([[domain, orgDomain]]);
+        for (let entry of [].concat(dkimDomains || []).concat(spfDomains || [])) {
+            let authDomain = typeof entry === 'string' ? entry : entry?.domain;
+            if (authDomain && !orgDomains.has(authDomain)) {
+                orgDomains.set(authDomain, await getOrganizationalDomain(formatDomain(authDomain), lookup));
+            }
+        }
+        getOrgDomain = authDomain => orgDomains.get(authDomain);
+    }
 
-    const dkimAlignment = getAlignment(domain, dkimDomains, { strict: dmarcRecord.adkim === 's' });
-    const spfAlignment = getAlignment(domain, spfDomains, { strict: dmarcRecord.aspf === 's' });
+    const policy = dmarcRecord[policyTag];
+
+    const dkimAlignment = getAlignment(domain, dkimDomains, { strict: dmarcRecord.adkim === 's' }, getOrgDomain);
+    const spfAlignment = getAlignment(domain, spfDomains, { strict: dmarcRecord.aspf === 's' }, getOrgDomain);
 
     if (dkimAlignment || spfAlignment) {
         // pass
@@ -91,9 +134,11 @@ const verifyDmarc = async opts => {
         status.result = 'fail';
     }
 
-    return formatResponse({
+    let response = {
         status,
         domain: orgDomain || domain,
+        // domain the DMARC record was published for
+        policyDomain: dmarcRecord.policyDomain || (dmarcRecord.isOrgRecord ? orgDomain : domain),
         policy,
         p: dmarcRecord.p,
         sp: dmarcRecord.sp || dmarcRecord.p,
@@ -104,7 +149,22 @@ const verifyDmarc = async opts => {
             spf: { result: spfAlignment?.domain, strict: dmarcRecord.aspf === 's' },
             dkim: { result: dkimAlignment?.domain, strict: dmarcRecord.adkim === 's', underSized: dkimAlignment?.underSized }
         }
-    });
+    };
+
+    if (treeWalk) {
+        response.np = dmarcRecord.np || response.sp;
+        response.testing = (dmarcRecord.t || '').toLowerCase().trim() === 'y';
+        response.treeWalk = Object.assign({ policyTag }, dmarcRecord.treeWalk);
+    } else if (psdList) {
+        response.np = dmarcRecord.np || response.sp;
+        response.psd = {
+            applied: dmarcRecord.isPsdRecord,
+            policyTag,
+            lookupPath: dmarcRecord.lookupPath
+        };
+    }
+
+    return formatResponse(response);
 };
 
 module.exports = verifyDmarc;
@@ -0,0 +1,193 @@
+'use strict';
+
+const dns = require('node:dns');
+const net = require('node:net');
+const ipaddr = require('ipaddr.js');
+const { getReversedAddress, formatAuthHeaderRow } = require('./tools');
+
+// Spamhaus return codes
+const SPAMHAUS_CODES = {
+    '127.0.0.2': 'SBL',
+    '127.0.0.3': 'SBL CSS',
+    '127.0.0.4': 'XBL',
+    '127.0.0.5': 'XBL',
+    '127.0.0.6': 'XBL',
+    '127.0.0.7': 'XBL',
+    '127.0.0.9': 'SBL DROP',
+    '127.0.0.10': 'PBL ISP maintained',
+    '127.0.0.11': 'PBL Spamhaus maintained'
+};
+
+const SPAMHAUS_ERRORS = {
+    '127.255.255.252': 'Typing error in DNSBL name',
+    '127.255.255.254': 'Query via public or open resolver',
+    '127.255.255.255': 'Excessive number of queries'
+};
+
+// DNSWL return codes are 127.0.<category>.<trust>
+const DNSWL_TRUST_LEVELS = ['none', 'low', 'medium', 'high'];
+
+const interpretSpamhaus = address => {
+    if (SPAMHAUS_ERRORS[address]) {
+        return { error: SPAMHAUS_ERRORS[address] };
+    }
+    return { description: SPAMHAUS_CODES[address] || false };
+};
+
+const interpretDnswl = address => {
+    if (address === '127.0.0.255') {
+        return { error: 'Query blocked' };
+    }
+
+    let [, , category, trust] = address.split('.').map(Number);
+    return {
+        description: `category ${category}, trust ${DNSWL_TRUST_LEVELS[trust] || trust}`,
+        category,
+        trust
+    };
+};
+
+// return codes for zones that do not define their own
+const interpretDefault = (address, zone) => {
+    if (zone.codes && Object.prototype.hasOwnProperty.call(zone.codes, address)) {
+        return { description: zone.codes[address] };
+    }
+    return { description: false };
+};
+
+const ZONE_PRESETS = {
+    'zen.spamhaus.org': { type: 'block', interpret: interpretSpamhaus },
+    'sbl.spamhaus.org': { type: 'block', interpret: interpretSpamhaus },
+    'xbl.spamhaus.org': { type: 'block', interpret: interpretSpamhaus },
+    'pbl.spamhaus.org': { type: 'block', interpret: interpretSpamhaus },
+    'sbl-xbl.spamhaus.org': { type: 'block', interpret: interpretSpamhaus },
+    'list.dnswl.org': { type: 'allow', interpret: interpretDnswl }
+};
+
+const normalizeZone = zone => {
+    if (typeof zone === 'string') {
+        zone = { zone };
+    }
+
+    let name = (zone.zone || '')
+        .toString()
+        .toLowerCase()
+        .trim()
+        .replace(/^\.+|\.+$/g, '');
+
+    return Object.assign({ type: 'block', ipv6: true }, ZONE_PRESETS[name], zone, { zone: name });
+};
+
+const checkZone = async (zone, addr, resolver) => {
+    let entry = { zone: zone.zone, type: zone.type, listed: false, addresses: [] };
+
+    if (addr.kind() === 'ipv6' && !zone.ipv6) {
+        entry.skipped = true;
+        return entry;
+    }
+
+    let addresses;
+    try {
+        addresses = (await resolver(`${getReversedAddress(addr)}.${zone.zone}`, 'A')) || [];
+    } catch (err) {
+        if (!['ENOTFOUND', 'ENODATA'].includes(err.code)) {
+            entry.error = err.code || err.message;
+        }
+        return entry;
+    }
+
+    let descriptions = [];
+    for (let address of addresses) {
+        let info = (zone.interpret || interpretDefault)(address, zone);
+        if (info.error) {
+            // return code signals a problem with the query, not a listing
+            entry.error = info.error;
+            continue;
+        }
+
+        entry.addresses.push(address);
+        if (info.description) {
+            descriptions.push(info.description);
+        }
+        if (typeof info.category === 'number') {
+            entry.categories = (entry.categories || []).concat(info.category);
+        }
+        if (typeof info.trust === 'number') {
+            entry.trust = typeof entry.trust === 'number' ? Math.max(entry.trust, info.trust) : info.trust;
+        }
+    }
+
+    entry.listed = entry.addresses.length > 0;
+    if (descriptions.length) {
+        entry.descriptions = descriptions;
+    }
+
+    return entry;
+};
+
+// DNS allowlist result, RFC8904
+const formatDnswl = entry => {
+    let status = {
+        result: entry.listed ? 'pass' : entry.error ? 'temperror' : 'none',
+        // ptype properties
+        dns: {
+            zone: entry.zone
+        },
+        policy: {
+            ip: entry.addresses[0] || false
+        }
+    };
+
+    return { zone: entry.zone, status, info: formatAuthHeaderRow('dnswl', status) };
+};
+
+/**
+ * Checks the client IP address against DNS blocklists and allowlists (RFC5782)
+ *
+ * @param {Object} opts
+ * @param {String} opts.ip Client IP address
+ * @param {Array} opts.zones List of zones to check. Either zone names or objects with the following properties:
+ *   `zone` (zone name), `type` ("block" or "allow", defaults to "block"), `codes` (descriptions for return codes
+ *   as `{address: description}`), `ipv6` (set to `false` if the zone does not list IPv6 addresses).
+ *   Known zones like "zen.spamhaus.org" and "list.dnswl.org" use predefined settings.
+ * @param {Function} [opts.resolver] DNS resolver function
+ * @returns {Object} `{client-ip, blocklisted, allowlisted, results, dnswl}` where `results` lists the outcome for every zone
+ *   and `dnswl` lists Authentication-Results entries for the allowlist zones
+ */
+const dnsbl = async opts => {
+    opts = opts || {};
+
+    let ip = (opts.ip || '').toString().trim();
+    let resolver = opts.resolver || dns.promises.resolve;
+
+    // convert mapped IPv6 IP addresses to IPv4
+    let mappingMatch = ip.match(/^[:A-F]+:((\d+\.){3}\d+)$/i);
+    if (mappingMatch) {
+        ip = mappingMatch[1];
+    }
+
+    let response = { 'client-ip': ip, blocklisted: [], allowlisted: [], results: [], dnswl: [] };
+
+    if (!net.isIP(ip)) {
+        return response;
+    }
+
+    let addr = ipaddr.parse(ip);
+    let zones = [].concat(opts.zones || []).map(normalizeZone);
+
+    response.results = await Promise.all(zones.map(zone => checkZone(zone, addr, resolver)));
+
+    for (let entry of response.results) {
+        if (entry.listed) {
+            response[entry.type === 'allow' ? 'allowlisted' : 'blocklisted'].push(entry.zone);
+        }
+
+        if (entry.type === 'allow' && !entry.skipped) {
+            response.dnswl.push(formatDnswl(entry));
+        }
+    }
+
+    return response;
+};
+
+module.exports = { dnsbl };
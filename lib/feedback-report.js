@@ -0,0 +1,101 @@
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const crypto = require('node:crypto');
+const packageData = require('../package.json');
+const MimeNode = require('nodemailer/lib/mime-node');
+const libmime = require('libmime');
+
+// matches email addresses in header values, used for redacting local parts
+const ADDRESS_REGEX = /([a-z0-9!#$%&'*+/=?^_`{|}~.-]+)@([a-z0-9-]+(?:\.[a-z0-9-]+)+)/gi;
+
+/**
+ * Replaces local parts of email addresses with hashes as suggested by RFC6590, so that reports remain correlatable
+ *
+ * @param {String} value Text to redact
+ * @param {Boolean|String} redact If falsy then the value is returned as is. If a string is used, then it is used as the HMAC key
+ * @returns {String} Redacted text
+ */
+const redactAddresses = (value, redact) => {
+    if (!redact) {
+        return value;
+    }
+
+    return value.replace(ADDRESS_REGEX, (match, localPart, domain) => {
+        const hash = typeof redact === 'string' ? crypto.createHmac('sha256', redact) : crypto.createHash('sha256');
+        return `${hash.update(localPart).digest('hex').substr(0, 16)}@${domain}`;
+    });
+};
+
+/**
+ * Normalizes the original header block and lists the common fields of an authentication failure report (RFC6591)
+ *
+ * @param {Object} opts
+ * @param {String} opts.sender Envelope sender of the original message
+ * @param {Array} [opts.recipients] Envelope recipients of the original message
+ * @param {Date} opts.arrivalDate Time the message was received
+ * @param {String} opts.mta Hostname of the reporting MTA
+ * @param {String} [opts.sourceIp] IP address of the SMTP client
+ * @param {Buffer|String} [opts.headers] Header block of the original message
+ * @param {Boolean|String} [opts.redact] If set, then local parts of email addresses are replaced with hashes
+ * @returns {Object} `{feedback, headers}` where `feedback` is a list of `[key, value]` fields that more fields can be appended to
+ */
+const createAuthFailureFields = opts => {
+    const { sender, arrivalDate, mta, sourceIp, redact } = opts;
+
+    let headers = opts.headers || '';
+    headers = redactAddresses(Buffer.isBuffer(headers) ? headers.toString('binary') : headers, redact)
+        .replace(/\r?\n/g, '\r\n')
+        .replace(/(\r\n)*$/, '\r\n');
+
+    let feedback = [
+        ['Feedback-Type', 'auth-failure'],
+        ['User-Agent', `mailauth/${packageData.version}`],
+        ['Version', '1'],
+        ['Original-Mail-From', `<${redactAddresses(sender || '', redact)}>`]
+    ];
+
+    for (let recipient of [].concat(opts.recipients || [])) {
+        feedback.push(['Original-Rcpt-To', `<${redactAddresses(recipient, redact)}>`]);
+    }
+
+    feedback.push(['Arrival-Date', arrivalDate.toUTCString().replace(/GMT/, '+0000')]);
+    feedback.push(['Reporting-MTA', `dns; ${mta}`]);
+
+    if (sourceIp) {
+        feedback.push(['Source-IP', sourceIp]);
+    }
+
+    return { feedback, headers };
+};
+
+/**
+ * Builds an ARF (RFC5965) formatted feedback report message
+ *
+ * @param {Object} report
+ * @param {String} report.from Sender address of the report
+ * @param {Array} report.to Recipient addresses
+ * @param {String} report.subject Message subject
+ * @param {String} report.text Human readable description of the report
+ * @param {Array} report.feedback List of `[key, value]` fields for the `message/feedback-report` part
+ * @param {String} report.headers Header block of the original message
+ * @returns {Buffer} RFC822 formatted report message
+ */
+const buildFeedbackReport = async report => {
+    const root = new MimeNode('multipart/report; report-type=feedback-report');
+    root.setHeader({
+        from: report.from,
+        to: report.to,
+        subject: report.subject
+    });
+
+    root.createChild('text/plain').setContent(report.text);
+    root.createChild('message/feedback-report').setContent(
+        report.feedback.map(([key, value]) => libmime.foldLines(`${key}: ${value}`, 76)).join('\r\n') + '\r\n'
+    );
+    root.createChild('text/rfc822-headers').setContent(report.headers);
+
+    return await root.build();
+};
+
+module.exports = { redactAddresses, createAuthFailureFields, buildFeedbackReport };
@@ -0,0 +1,135 @@
+'use strict';
+
+const dns = require('node:dns');
+const net = require('node:net');
+const ipaddr = require('ipaddr.js');
+const { getPtrHostname, formatAuthHeaderRow, escapeCommentValue } = require('./tools');
+
+// same limit as for the SPF "ptr" mechanism, RFC7208 4.6.4
+const LIMIT_PTR_RESOLVE_RECORDS = 10;
+
+// how many A/AAAA lookups to run at the same time
+const MAX_PARALLEL_LOOKUPS = 3;
+
+const isNotFound = err => ['ENOTFOUND', 'ENODATA'].includes(err?.code);
+
+const formatHostname = hostname => (hostname || '').toString().toLowerCase().trim().replace(/\.$/, '');
+
+// the comment is placed after the policy property, eg. "iprev=pass policy.iprev=192.0.2.1 (mail.example.com)"
+const formatIprevRow = status => {
+    let row = formatAuthHeaderRow('iprev', Object.assign({}, status, { comment: false }));
+    return status.comment ? `${row} (${escapeCommentValue(status.comment)})` : row;
+};
+
+/**
+ * Checks the reverse DNS of the client IP address (iprev, RFC8601 3). The PTR hostnames are resolved
+ * and the check passes if any of these resolve back to the client IP address.
+ *
+ * @param {Object} opts
+ * @param {String} opts.ip Client IP address
+ * @param {Function} [opts.resolver] DNS resolver function
+ * @param {Number} [opts.maxPtrRecords=10] Maximum number of PTR hostnames to forward resolve
+ * @returns {Object} `{client-ip, hostname, status, info}` where `hostname` is the forward-confirmed PTR hostname
+ */
+const iprev = async opts => {
+    opts = opts || {};
+
+    let ip = (opts.ip || '').toString().trim();
+    let resolver = opts.resolver || dns.promises.resolve;
+    let maxPtrRecords = opts.maxPtrRecords || LIMIT_PTR_RESOLVE_RECORDS;
+
+    // convert mapped IPv6 IP addresses to IPv4
+    let mappingMatch = ip.match(/^[:A-F]+:((\d+\.){3}\d+)$/i);
+    if (mappingMatch) {
+        ip = mappingMatch[1];
+    }
+
+    let response = { 'client-ip': ip, hostname: false };
+
+    let status = {
+        result: 'neutral',
+        comment: false,
+        // ptype properties
+        policy: {
+            iprev: ip
+        }
+    };
+
+    const finish = (result, comment) => {
+        status.result = result;
+        status.comment = comment || false;
+
+        response.status = status;
+        response.info = formatIprevRow(status);
+
+        if (typeof status.comment === 'boolean') {
+            delete status.comment;
+        }
+
+        return response;
+    };
+
+    if (!net.isIP(ip)) {
+        return finish('permerror', 'invalid client IP address');
+    }
+
+    let addr = ipaddr.parse(ip);
+
+    let hostnames;
+    try {
+        hostnames = (await resolver(getPtrHostname(addr), 'PTR')) || [];
+    } catch (err) {
+        if (isNotFound(err)) {
+            return finish('permerror', 'no PTR records found');
+        }
+        return finish('temperror', `PTR lookup failed${err.code ? `: ${err.code}` : ''}`);
+    }
+
+    hostnames = hostnames.map(formatHostname).filter(hostname => hostname);
+    if (!hostnames.length) {
+        return finish('permerror', 'no PTR records found');
+    }
+
+    // only a limited number of hostnames are checked
+    hostnames = hostnames.slice(0, maxPtrRecords);
+    response.hostnames = hostnames;
+
+    let rrType = addr.kind() === 'ipv6' ? 'AAAA' : 'A';
+
+    let tempErrors = 0;
+    for (let batchStart = 0; batchStart < hostnames.length; batchStart += MAX_PARALLEL_LOOKUPS) {
+        let batch = hostnames.slice(batchStart, batchStart + MAX_PARALLEL_LOOKUPS);
+        let results = await Promise.allSettled(batch.map(hostname => resolver(hostname, rrType)));
+
+        for (let i = 0; i < results.length; i++) {
+            let result = results[i];
+            if (result.status === 'rejected') {
+                if (!isNotFound(result.reason)) {
+                    tempErrors++;
+                }
+                continue;
+            }
+
+            let confirmed = (result.value || []).some(value => {
+                try {
+                    return ipaddr.parse(value).toNormalizedString() === addr.toNormalizedString();
+                } catch (err) {
+                    return false;
+                }
+            });
+
+            if (confirmed) {
+                response.hostname = batch[i];
+                return finish('pass', batch[i]);
+            }
+        }
+    }
+
+    if (tempErrors && tempErrors === hostnames.length) {
+        return finish('temperror', `${rrType} lookup failed for ${hostnames.join(', ')}`);
+    }
+
+    return finish('fail', `${hostnames.join(', ')} does not resolve to ${ip}`);
+};
+
+module.exports = { iprev };
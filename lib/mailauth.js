@@ -7,11 +7,46 @@ const { arc, createSeal } = require('./arc');
 const { bimi, validateVMC: validateBimiVmc } = require('./bimi');
 const { validateSvg: validateBimiSvg } = require('./bimi/validate-svg');
 const { parseReceived } = require('./parse-received');
+const { parseSrsAddress, srsReverse } = require('./srs');
+const { iprev } = require('./iprev');
+const { dnsbl } = require('./dnsbl');
 const { sealMessage } = require('./arc');
+const { formatAuthHeaderRow } = require('./tools');
 const libmime = require('libmime');
 const os = require('node:os');
 const { isIP } = require('net');
 
+const AUTH_RESULTS = ['none', 'pass', 'fail', 'temperror', 'permerror'];
+
+// SMTP AUTH result, RFC8601 2.7.4
+const getAuthResult = auth => {
+    if (typeof auth === 'string') {
+        auth = { user: auth };
+    }
+
+    let result = (auth.result || 'pass').toString().toLowerCase();
+    if (!AUTH_RESULTS.includes(result)) {
+        result = 'none';
+    }
+
+    let status = {
+        result,
+        comment: auth.mechanism ? auth.mechanism.toString().toLowerCase() : false,
+        // ptype properties
+        smtp: {
+            auth: auth.user
+        }
+    };
+
+    let authResult = { user: auth.user, mechanism: auth.mechanism || false, status, info: formatAuthHeaderRow('auth', status) };
+
+    if (typeof status.comment === 'boolean') {
+        delete status.comment;
+    }
+
+    return authResult;
+};
+
 /**
  * Verifies DKIM and SPF for an email message
  *
@@ -23,13 +58,30 @@ const { isIP } = require('net');
  * @param {String} [opts.helo] Hostname from EHLO/HELO
  * @param {String} [opts.mta] MTA/MX hostname (defaults to os.hostname)
  * @param {Number} [opts.minBitLength=1024] Minimal allowed length of public keys. If DKIM/ARC key is smaller, then verification fails
+ * @param {Boolean} [opts.dkimDiagnostics=false] If true then DKIM results for failing signatures include a `diagnostics` object
+ * @param {Boolean|Array} [opts.dkimRiskPolicy] If set then passing DKIM signatures with risky properties get the "policy" result. Either `true` for high risks or a list of risk codes
+ * @param {Number} [opts.maxSignatureAge] Age in milliseconds after which DKIM signatures are considered old, defaults to 30 days
  * @param {Object} [opts.seal] ARC sealing options
  * @param {String} [opts.seal.signingDomain] ARC key domain name
  * @param {String} [opts.seal.selector] ARC key selector
  * @param {String|Buffer} [opts.seal.privateKey] Private key for signing
  * @param {Boolean} [opts.disableArc=false] If true then do not perform ARC validation and sealing
- * @param {Boolean} [opts.disableDmarc=false] If true then do not perform DMARC check
- * @param {Boolean} [opts.disableBimi=false] If true then do not perform BIMI check
+ * @param {Boolean} [opts.disableDmarc=false] If true then do not perform DMARC check. Defaults to true for authenticated submissions
+ * @param {Boolean} [opts.disableBimi=false] If true then do not perform BIMI check. Defaults to true for authenticated submissions
+ * @param {Boolean} [opts.iprev=false] If true then perform the reverse DNS (iprev) check for the client IP address
+ * @param {Boolean} [opts.dmarcTreeWalk=false] If true then use the DMARCbis DNS tree walk for DMARC policy and organizational domain discovery
+ * @param {Array} [opts.dmarcPsdList] List of participating public suffix domains for PSD DMARC (RFC9091)
+ * @param {Boolean} [opts.checkHelo=false] If true then the SPF HELO identity is checked in addition to MAIL FROM
+ * @param {Boolean} [opts.heloShortCircuit=false] If true then a SPF HELO fail result fails the MAIL FROM identity without checking it
+ * @param {Boolean|Object} [opts.srs] If set then SRS rewritten envelope senders are recognized and the original sender is reported as `spf.srs`
+ * @param {String|Array} [opts.srs.secret] SRS secret or a list of secrets to verify the address with
+ * @param {Number} [opts.srs.maxAge] Maximum age of SRS0 addresses in days
+ * @param {Object} [opts.dnsbl] If set then the client IP is checked against DNS blocklists and allowlists
+ * @param {Array} [opts.dnsbl.zones] List of DNSBL and DNSWL zones to check
+ * @param {String|Object} [opts.auth] SMTP AUTH information for submissions, either the username or an object
+ * @param {String} [opts.auth.user] Authenticated username
+ * @param {String} [opts.auth.mechanism] SASL mechanism, eg. "PLAIN"
+ * @param {String} [opts.auth.result="pass"] Result of the authentication
  * @returns {Object} Authentication result
  */
 const authenticate = async (input, opts) => {
@@ -37,11 +89,21 @@ const authenticate = async (input, opts) => {
 
     opts.mta = opts.mta || os.hostname();
 
+    const authResult = opts.auth ? getAuthResult(opts.auth) : false;
+
+    // DMARC and BIMI are meant for incoming mail, so these are skipped for submissions unless explicitly enabled
+    const authenticated = !!authResult && authResult.status.result === 'pass';
+    const disableDmarc = opts.disableDmarc ?? authenticated;
+    const disableBimi = opts.disableBimi ?? authenticated;
+
     const dkimResult = await dkimVerify(input, {
         resolver: opts.resolver,
         sender: opts.sender, // defaults to Return-Path header
         seal: opts.seal,
-        minBitLength: opts.minBitLength
+        minBitLength: opts.minBitLength,
+        diagnostics: opts.dkimDiagnostics,
+        riskPolicy: opts.dkimRiskPolicy,
+        maxSignatureAge: opts.maxSignatureAge
     });
 
     const receivedChain = dkimResult.headers?.parsed.filter(r => r.key === 'received').map(row => parseReceived(row.line));
@@ -90,6 +152,40 @@ const authenticate = async (input, opts) => {
 
     const spfResult = await spf(opts);
 
+    if (opts.srs && spfResult && opts.sender) {
+        let srs = parseSrsAddress(opts.sender);
+        if (srs) {
+            spfResult.srs = { type: srs.type, original: srs.original, forwarder: srs.domain };
+
+            if (opts.srs.secret) {
+                try {
+                    srsReverse(opts.sender, { secret: opts.srs.secret, maxAge: opts.srs.maxAge });
+                    spfResult.srs.verified = true;
+                } catch (err) {
+                    spfResult.srs.verified = false;
+                    spfResult.srs.error = err.code;
+                }
+            }
+        }
+    }
+
+    let iprevResult;
+    if (opts.iprev && opts.ip) {
+        iprevResult = await iprev({
+            ip: opts.ip,
+            resolver: opts.resolver
+        });
+    }
+
+    let dnsblResult;
+    if (opts.dnsbl && opts.ip) {
+        dnsblResult = await dnsbl({
+            ip: opts.ip,
+            zones: opts.dnsbl.zones,
+            resolver: opts.resolver
+        });
+    }
+
     let arcResult;
     if (!opts.disableArc) {
         arcResult = await arc(dkimResult.arc, {
@@ -101,6 +197,10 @@ const authenticate = async (input, opts) => {
     let headers = [];
     let arHeader = [];
 
+    if (authResult) {
+        arHeader.push(libmime.foldLines(authResult.info, 160));
+    }
+
     dkimResult?.results?.forEach(row => {
         arHeader.push(`${libmime.foldLines(row.info, 160)}`);
     });
@@ -108,14 +208,27 @@ const authenticate = async (input, opts) => {
     if (spfResult) {
         arHeader.push(libmime.foldLines(spfResult.info, 160));
         headers.push(spfResult.header);
+
+        if (spfResult.heloResult) {
+            arHeader.push(libmime.foldLines(spfResult.heloResult.info, 160));
+            headers.push(spfResult.heloResult.header);
+        }
+    }
+
+    if (iprevResult) {
+        arHeader.push(libmime.foldLines(iprevResult.info, 160));
     }
 
+    dnsblResult?.dnswl.forEach(row => {
+        arHeader.push(libmime.foldLines(row.info, 160));
+    });
+
     if (arcResult?.info) {
         arHeader.push(`${libmime.foldLines(arcResult.info, 160)}`);
     }
 
     let dmarcResult;
-    if (!opts.disableDmarc && dkimResult?.headerFrom) {
+    if (!disableDmarc && dkimResult?.headerFrom) {
         dmarcResult = await dmarc({
             headerFrom: dkimResult.headerFrom,
             spfDomains: [].concat((spfResult && spfResult.status.result === 'pass' && spfResult.domain) || []),
@@ -128,7 +241,9 @@ const authenticate = async (input, opts) => {
                     underSized: r.status.underSized
                 })),
             arcResult,
-            resolver: opts.resolver
+            resolver: opts.resolver,
+            treeWalk: opts.dmarcTreeWalk,
+            psdList: opts.dmarcPsdList
         });
         if (dmarcResult.info) {
             arHeader.push(`${libmime.foldLines(dmarcResult.info, 160)}`);
@@ -136,7 +251,7 @@ const authenticate = async (input, opts) => {
     }
 
     let bimiResult;
-    if (!opts.disableBimi) {
+    if (!disableBimi) {
         bimiResult = await bimi({
             dmarc: dmarcResult,
             headers: dkimResult.headers,
@@ -184,6 +299,9 @@ const authenticate = async (input, opts) => {
         dmarc: dmarcResult || false,
         arc: arcResult || false,
         bimi: bimiResult || false,
+        iprev: iprevResult || false,
+        auth: authResult,
+        dnsbl: dnsblResult || false,
         receivedChain,
         headers: headers.join('\r\n') + '\r\n'
     };
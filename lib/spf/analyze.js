@@ -0,0 +1,192 @@
+'use strict';
+
+const QUALIFIERS = {
+    '+': 'pass',
+    '-': 'fail',
+    '~': 'softfail',
+    '?': 'neutral'
+};
+
+const getResultName = result => (result.error ? result.error : QUALIFIERS[result.qualifier] || 'neutral');
+
+/**
+ * Creates a tracer object that collects the SPF evaluation tree. The tracer is passed to `spfVerify()`
+ * as `opts.tracer` and its `query` method to `limitedResolver()` as the query callback.
+ *
+ * Record nodes have the form `{domain, rr, queries, terms, result, error}` and term nodes
+ * `{term, queries, matched, result, error, record}` where `record` is the node of an included or redirected record.
+ *
+ * @returns {Object} Tracer object, the evaluation tree is available as `tracer.root`
+ */
+const createTracer = () => {
+    let stack = [];
+
+    const currentRecord = () => stack[stack.length - 1];
+    const lastTerm = record => record && record.terms[record.terms.length - 1];
+
+    const tracer = {
+        root: null,
+
+        enterRecord(domain) {
+            let node = { domain, rr: false, queries: [], terms: [], result: false };
+
+            let parent = currentRecord();
+            let term = lastTerm(parent);
+            if (term) {
+                term.record = node;
+            } else if (!tracer.root) {
+                tracer.root = node;
+            }
+
+            stack.push(node);
+        },
+
+        enterTerm(term) {
+            let record = currentRecord();
+            if (record) {
+                record.terms.push({ term, queries: [], matched: false });
+            }
+        },
+
+        query(entry) {
+            let record = currentRecord();
+            if (record) {
+                (lastTerm(record) || record).queries.push(entry);
+            }
+        },
+
+        leaveRecord(result, err) {
+            let node = stack.pop();
+            if (!node) {
+                return;
+            }
+
+            let spfResult = err ? err.spfResult || { error: 'temperror', text: err.message } : result;
+            if (!spfResult) {
+                node.result = 'neutral';
+                return;
+            }
+
+            node.rr = spfResult.rr || node.rr;
+            node.result = getResultName(spfResult);
+            if (spfResult.error && spfResult.text) {
+                node.error = spfResult.text;
+            }
+
+            let term = lastTerm(node);
+            if (!term) {
+                // record was not evaluated at all, eg. record lookup or syntax check failed
+                return;
+            }
+
+            if (spfResult.error) {
+                term.result = spfResult.error;
+                term.error = spfResult.text || spfResult.error;
+            } else if (spfResult.type) {
+                term.matched = true;
+                term.result = getResultName(spfResult);
+            }
+        }
+    };
+
+    return tracer;
+};
+
+const formatResponse = response => {
+    let values = (response || []).map(value => {
+        if (Array.isArray(value)) {
+            // TXT record
+            return JSON.stringify(value.join(''));
+        }
+        if (value && typeof value === 'object') {
+            // MX record
+            return `${value.priority} ${value.exchange}`;
+        }
+        return value;
+    });
+
+    return values.length ? values.join(', ') : 'no records';
+};
+
+const formatQuery = query => {
+    let response;
+    if (query.error) {
+        response = `error (${query.error})`;
+    } else if (query.void) {
+        response = 'void lookup';
+    } else {
+        response = formatResponse(query.response);
+    }
+    return `DNS ${query.type} ${query.domain}: ${response}`;
+};
+
+/**
+ * Converts an SPF evaluation tree into human readable text
+ *
+ * @param {Object} node Record node from `tracer.root`
+ * @param {String} [indent] Indentation prefix for nested records
+ * @returns {String} Indented multi-line description of the evaluation
+ */
+const formatSpfTree = (node, indent) => {
+    indent = indent || '';
+
+    let lines = [`${indent}${node.domain}${node.rr ? ` ${JSON.stringify(node.rr)}` : ''}`];
+
+    for (let query of node.queries) {
+        lines.push(`${indent}  ${formatQuery(query)}`);
+    }
+
+    for (let term of node.terms) {
+        let status;
+        if (term.error) {
+            status = `${term.result} (${term.error})`;
+        } else if (term.matched) {
+            status = `match, ${term.result}`;
+        } else {
+            status = 'no match';
+        }
+
+        lines.push(`${indent}  ${term.term}: ${status}`);
+
+        for (let query of term.queries) {
+            lines.push(`${indent}    ${formatQuery(query)}`);
+        }
+
+        if (term.record) {
+            lines.push(formatSpfTree(term.record, `${indent}    `));
+        }
+    }
+
+    lines.push(`${indent}  result: ${node.result}${node.error ? ` (${node.error})` : ''}`);
+
+    return lines.join('\n');
+};
+
+/**
+ * Finds the mechanism that produced the result of an SPF evaluation tree
+ *
+ * @param {Object} node Record node from `tracer.root`
+ * @returns {Object} `{mechanism, chain}` where `mechanism` is the matching term (or `false` if nothing matched)
+ *   and `chain` lists the domains of the records that were followed to reach it
+ */
+const getMatchChain = node => {
+    let chain = [];
+    let mechanism = false;
+
+    while (node) {
+        chain.push(node.domain);
+
+        let term = node.terms.find(term => term.matched || term.error);
+        if (!term) {
+            break;
+        }
+
+        mechanism = term.term;
+        // follow matching includes and redirects
+        node = term.matched ? term.record : null;
+    }
+
+    return { mechanism, chain };
+};
+
+module.exports = { createTracer, formatSpfTree, getMatchChain };
@@ -0,0 +1,120 @@
+'use strict';
+
+const os = require('node:os');
+const { getCurTime } = require('../tools');
+const { redactAddresses, createAuthFailureFields, buildFeedbackReport } = require('../feedback-report');
+
+// failure classes of the "rr" modifier, RFC6652 section 3
+const FAILURE_CLASSES = {
+    e: ['temperror', 'permerror'],
+    f: ['fail'],
+    s: ['softfail'],
+    n: ['neutral', 'none']
+};
+
+const getFailureClasses = rr => [].concat(rr || ['all']).reduce((list, key) => list.concat(key === 'all' ? Object.keys(FAILURE_CLASSES) : key), []);
+
+/**
+ * Checks the `rr` and `rp` modifiers of the SPF record against the result of the check
+ *
+ * @param {Object} spfResult Result from `spf()` or the `spf` property from `authenticate()`
+ * @param {Object} [opts]
+ * @param {Function} [opts.random=Math.random] Random number generator for `rp` sampling
+ * @returns {Boolean} `true` if the sender domain has requested a failure report for this message
+ */
+const shouldSendSpfReport = (spfResult, opts) => {
+    opts = opts || {};
+
+    const reporting = spfResult?.reporting;
+    const result = spfResult?.status?.result;
+    if (!reporting?.address || !result) {
+        return false;
+    }
+
+    if (!getFailureClasses(reporting.rr).some(key => (FAILURE_CLASSES[key] || []).includes(result))) {
+        return false;
+    }
+
+    const random = typeof opts.random === 'function' ? opts.random : Math.random;
+    const rp = typeof reporting.rp === 'number' ? reporting.rp : 100;
+
+    return random() * 100 < rp;
+};
+
+/**
+ * Generates an SPF authentication failure report (RFC6591) for the `ra` address of the sender domain
+ *
+ * @param {Object} spfResult Result from `spf()` or the `spf` property from `authenticate()`
+ * @param {Object} [opts]
+ * @param {String} [opts.from] Sender address of the report
+ * @param {String} [opts.mta] Hostname of the reporting MTA (defaults to os.hostname)
+ * @param {Array} [opts.recipients] Envelope recipients of the original message
+ * @param {Date} [opts.arrivalDate] Time the message was received, defaults to current time
+ * @param {Buffer|String} [opts.headers] Header block of the original message
+ * @param {Boolean|String} [opts.redact=false] If set, then local parts of email addresses are replaced with hashes. If a string is used, then it is used as the HMAC key
+ * @param {Boolean} [opts.force=false] If true, then generates the report even if the `rr` and `rp` modifiers do not require it
+ * @param {Function} [opts.random=Math.random] Random number generator for `rp` sampling
+ * @returns {Object|Boolean} `{to, message}` or `false` if no report should be sent
+ */
+const createSpfFailureReport = async (spfResult, opts) => {
+    opts = opts || {};
+
+    if (!opts.force && !shouldSendSpfReport(spfResult, opts)) {
+        return false;
+    }
+
+    const to = [].concat(spfResult?.reporting?.address || []);
+    if (!to.length) {
+        let err = new Error('No report recipients found');
+        err.code = 'ENORECIPIENTS';
+        throw err;
+    }
+
+    const mta = opts.mta || os.hostname();
+    const domain = spfResult.domain;
+    const sourceIp = spfResult['client-ip'];
+    const sender = spfResult['envelope-from'] || '';
+    const arrivalDate = getCurTime(opts.arrivalDate);
+    const redact = opts.redact;
+
+    const { feedback, headers: originalHeaders } = createAuthFailureFields({
+        sender,
+        recipients: opts.recipients,
+        arrivalDate,
+        mta,
+        sourceIp,
+        headers: opts.headers,
+        redact
+    });
+
+    if (spfResult.info) {
+        feedback.push(['Authentication-Results', `${mta}; ${redactAddresses(spfResult.info, redact)}`]);
+    }
+
+    feedback.push(['Reported-Domain', domain]);
+    feedback.push(['Auth-Failure', 'spf']);
+
+    if (spfResult.rr) {
+        feedback.push(['SPF-DNS', `txt : ${domain} : ${spfResult.rr}`]);
+    }
+
+    const text = [
+        `This is an SPF authentication failure report for an email message received from IP ${sourceIp || 'unknown'} on ${arrivalDate.toUTCString()}.`,
+        '',
+        `Reported domain: ${domain}`,
+        `SPF result: ${spfResult.status?.result}`
+    ].join('\n');
+
+    const message = await buildFeedbackReport({
+        from: opts.from || `postmaster@${mta}`,
+        to,
+        subject: `SPF failure report for ${domain}`,
+        text,
+        feedback,
+        headers: originalHeaders
+    });
+
+    return { to, message };
+};
+
+module.exports = { shouldSendSpfReport, createSpfFailureReport };
@@ -0,0 +1,428 @@
+/* eslint no-bitwise: 0 */
+'use strict';
+
+const net = require('net');
+const dns = require('node:dns').promises;
+const ipaddr = require('ipaddr.js');
+const { getSpfRecord, parseSpfTerm, parseCidrValue } = require('./spf-verify');
+const { formatDomain } = require('../tools');
+
+// RFC7208 limits DNS lookups to 10, so deeper nesting can not be valid anyway
+const MAX_DEPTH = 10;
+
+// fits into a single TXT character-string
+const DEFAULT_MAX_LENGTH = 255;
+
+const LOOKUP_TERMS = ['include', 'a', 'mx', 'ptr', 'exists', 'redirect'];
+
+const UNFLATTENABLE_REASONS = {
+    macro: 'term uses macros that are expanded for every message',
+    exists: 'exists mechanism depends on the message being checked',
+    ptr: 'ptr mechanism depends on the reverse DNS of the client',
+    qualifier: 'included record uses a non-pass qualifier'
+};
+
+const spfError = text => {
+    let err = new Error(text);
+    err.spfResult = { error: 'permerror', text };
+    return err;
+};
+
+const resolveList = async (resolver, domain, type) => {
+    try {
+        return (await resolver(domain, type)) || [];
+    } catch (err) {
+        if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') {
+            return [];
+        }
+        throw err;
+    }
+};
+
+const toBigInt = addr => addr.toByteArray().reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+
+const fromBigInt = (value, family) => {
+    let length = family === 4 ? 4 : 16;
+    let bytes = [];
+    for (let i = 0; i < length; i++) {
+        bytes.unshift(Number(value & 0xffn));
+        value >>= 8n;
+    }
+    return ipaddr.fromByteArray(bytes).toString();
+};
+
+/**
+ * Collapses a list of address ranges into the smallest set of CIDR blocks that covers the same addresses.
+ * Duplicates and ranges that are contained in other ranges are removed and adjacent blocks are joined.
+ *
+ * @param {Array} ranges List of `{family, start, prefix}` objects where `start` is a BigInt
+ * @returns {Array} List of CIDR strings without the "/32" or "/128" suffix for single addresses
+ */
+const mergeRanges = ranges => {
+    let result = [];
+
+    for (let family of [4, 6]) {
+        let bits = family === 4 ? 32 : 128;
+        let list = ranges
+            .filter(range => range.family === family)
+            .map(range => {
+                let size = 1n << BigInt(bits - range.prefix);
+                return { prefix: range.prefix, start: range.start - (range.start % size) };
+            })
+            .sort((a, b) => (a.start === b.start ? a.prefix - b.prefix : a.start < b.start ? -1 : 1));
+
+        // remove ranges that are covered by a preceding range
+        let covered = [];
+        for (let range of list) {
+            let last = covered[covered.length - 1];
+            if (last && range.start < last.start + (1n << BigInt(bits - last.prefix))) {
+                continue;
+            }
+            covered.push(range);
+        }
+
+        // join sibling blocks until nothing changes
+        let merged = true;
+        while (merged) {
+            merged = false;
+            for (let i = 0; i < covered.length - 1; i++) {
+                let a = covered[i];
+                let b = covered[i + 1];
+                let size = 1n << BigInt(bits - a.prefix);
+                if (a.prefix === b.prefix && a.prefix > 0 && a.start % (size * 2n) === 0n && b.start === a.start + size) {
+                    covered.splice(i, 2, { prefix: a.prefix - 1, start: a.start });
+                    merged = true;
+                }
+            }
+        }
+
+        for (let range of covered) {
+            let address = fromBigInt(range.start, family);
+            result.push(`ip${family}:${address}${range.prefix < bits ? `/${range.prefix}` : ''}`);
+        }
+    }
+
+    return result;
+};
+
+const parseRange = (address, cidr) => {
+    let addr = ipaddr.parse(address);
+    if (addr.kind() === 'ipv6' && addr.isIPv4MappedAddress()) {
+        addr = addr.toIPv4Address();
+        cidr = '';
+    }
+    let family = addr.kind() === 'ipv6' ? 6 : 4;
+    let prefix = cidr ? Number(cidr.substr(1)) : family === 4 ? 32 : 128;
+    return { family, start: toBigInt(addr), prefix };
+};
+
+/**
+ * Resolves the SPF record of a domain into address ranges and terms that have to be kept as is.
+ * Evaluation order matters for non-pass terms, so `items` keeps the record order and only
+ * contiguous runs of pass terms are collected into a single range list.
+ *
+ * @param {String} domain Domain to resolve
+ * @param {Object} ctx Flattening context with the resolver and collected reports
+ * @param {Array} path Domains already visited in the current branch, used for loop detection
+ * @returns {Object} `{domain, rr, items, all, exp}` where `items` is a list of `{ranges}` and `{term}` objects
+ */
+const resolveRecord = async (domain, ctx, path) => {
+    if (path.length > MAX_DEPTH) {
+        throw spfError(`too many nested records when resolving ${domain}`);
+    }
+
+    if (path.includes(domain)) {
+        throw spfError(`record loop detected for ${domain}`);
+    }
+    path = path.concat(domain);
+
+    const { resolver } = ctx;
+    const { rr, terms } = await getSpfRecord(domain, resolver);
+    ctx.records.push({ domain, rr });
+
+    let record = { domain, rr, items: [], all: false, exp: false };
+    let redirect = false;
+
+    const keep = (term, reason) => {
+        record.items.push({ term });
+        if (reason) {
+            ctx.unflattenable.push({ domain, term, reason, description: UNFLATTENABLE_REASONS[reason] });
+        }
+    };
+
+    const addRanges = ranges => {
+        if (!ranges.length) {
+            return;
+        }
+        let last = record.items[record.items.length - 1];
+        if (last && last.ranges) {
+            last.ranges = last.ranges.concat(ranges);
+        } else {
+            record.items.push({ ranges });
+        }
+    };
+
+    for (let term of terms) {
+        let modifierMatch = term.match(/^([a-z][a-z0-9\-_.]*)=(.*)$/i);
+        if (modifierMatch) {
+            let modifier = modifierMatch[1].toLowerCase();
+            let value = modifierMatch[2];
+            if (!value) {
+                throw spfError(`Empty modifier value for ${modifier}`);
+            }
+            if (modifier === 'redirect') {
+                if (redirect) {
+                    throw spfError('more than 1 redirect found');
+                }
+                redirect = value;
+            } else if (modifier === 'exp') {
+                record.exp = term;
+            }
+            continue;
+        }
+
+        let { key, val, qualifier } = parseSpfTerm(term);
+        let type = key.toLowerCase();
+
+        if (type === 'all') {
+            record.all = qualifier;
+            // anything after "all" is never evaluated
+            break;
+        }
+
+        if (!['include', 'a', 'mx', 'ip4', 'ip6', 'exists', 'ptr'].includes(type)) {
+            throw spfError(`Unknown mechanism ${type}`);
+        }
+
+        if (val.indexOf('%') >= 0) {
+            keep(term, 'macro');
+            continue;
+        }
+
+        if (type === 'exists' || type === 'ptr') {
+            keep(term, type);
+            continue;
+        }
+
+        if (qualifier !== '+') {
+            // kept in place, pass ranges are not moved across it
+            keep(term, path.length > 1 ? 'qualifier' : false);
+            continue;
+        }
+
+        switch (type) {
+            case 'ip4':
+            case 'ip6': {
+                let { domain: range, cidr4, cidr6 } = parseCidrValue(val, false, type);
+                if (!range || !net.isIP(range)) {
+                    throw spfError(`invalid IP address: ${val}`);
+                }
+                addRanges([parseRange(range, net.isIPv6(range) ? cidr6 : cidr4)]);
+                break;
+            }
+
+            case 'a':
+            case 'mx': {
+                let { domain: target, cidr4, cidr6 } = parseCidrValue(val, domain, type);
+                target = formatDomain(target);
+
+                let hosts = [target];
+                if (type === 'mx') {
+                    hosts = (await resolveList(resolver, target, 'MX')).sort((a, b) => a.priority - b.priority).map(mx => mx.exchange);
+                }
+
+                for (let host of hosts.filter(host => host)) {
+                    for (let address of await resolveList(resolver, host, 'A')) {
+                        addRanges([parseRange(address, cidr4)]);
+                    }
+                    for (let address of await resolveList(resolver, host, 'AAAA')) {
+                        addRanges([parseRange(address, cidr6)]);
+                    }
+                }
+                break;
+            }
+
+            case 'include': {
+                let sub = await resolveRecord(formatDomain(val.replace(/\.$/, '')), ctx, path);
+                if (sub.items.some(item => item.term)) {
+                    // included record can not be expanded in place, keep the reference instead
+                    keep(term);
+                } else {
+                    addRanges(sub.items.flatMap(item => item.ranges));
+                }
+                break;
+            }
+        }
+    }
+
+    if (redirect && !record.all) {
+        let sub = await resolveRecord(formatDomain(redirect.replace(/\.$/, '')), ctx, path);
+        if (sub.items.some(item => item.term)) {
+            keep(`redirect=${redirect}`);
+        } else {
+            addRanges(sub.items.flatMap(item => item.ranges));
+            record.all = sub.all;
+            record.exp = record.exp || sub.exp;
+        }
+    }
+
+    return record;
+};
+
+const countLookups = terms =>
+    terms.filter(term => {
+        let name = term
+            .split(/[:/=]/)
+            .shift()
+            .toLowerCase()
+            .replace(/^[?\-~+]/, '');
+        return LOOKUP_TERMS.includes(name);
+    }).length;
+
+const recordTooLong = message => {
+    let err = new Error(message);
+    err.code = 'ERECORDTOOLONG';
+    return err;
+};
+
+/**
+ * Builds the main SPF record. If it does not fit into the size limit, runs of flattened ranges are moved
+ * into chains of records, starting from the longest run, where each chained record includes the next one.
+ *
+ * @param {String} domain Domain name the records are published for
+ * @param {Array} segments Record terms in evaluation order, either a kept term or a list of flattened `ip4:` and `ip6:` terms
+ * @param {Array} tailTerms Terms that end the main record, eg. "exp=" and "all"
+ * @param {Object} opts Options with `maxLength` and `prefix`
+ * @returns {Array} List of `{name, value}` records
+ */
+const buildRecords = (domain, segments, tailTerms, opts) => {
+    const build = terms => ['v=spf1'].concat(terms).join(' ');
+    const chainName = n => `${opts.prefix}${n}.${domain}`;
+
+    const buildChain = (ranges, n, records) => {
+        let remaining = ranges.slice();
+        for (; remaining.length; n++) {
+            let terms = [];
+            while (remaining.length) {
+                let last = remaining.length === 1;
+                let next = build(terms.concat(remaining[0], last ? [] : `include:${chainName(n + 1)}`));
+                if (next.length > opts.maxLength) {
+                    break;
+                }
+                terms.push(remaining.shift());
+            }
+
+            if (!terms.length) {
+                throw recordTooLong(`Maximum record length ${opts.maxLength} is too small for "${remaining[0]}"`);
+            }
+
+            if (remaining.length) {
+                terms.push(`include:${chainName(n + 1)}`);
+            }
+
+            records.push({ name: chainName(n), value: build(terms) });
+        }
+        return n;
+    };
+
+    // indexes of segments that are moved into chained records
+    let chained = new Set();
+
+    for (;;) {
+        let records = [];
+        let n = 1;
+        let mainTerms = [];
+        for (let i = 0; i < segments.length; i++) {
+            let segment = segments[i];
+            if (chained.has(i)) {
+                mainTerms.push(`include:${chainName(n)}`);
+                n = buildChain(segment, n, records);
+            } else {
+                mainTerms = mainTerms.concat(segment);
+            }
+        }
+
+        let value = build(mainTerms.concat(tailTerms));
+        if (value.length <= opts.maxLength) {
+            return [{ name: domain, value }].concat(records);
+        }
+
+        let longest = -1;
+        for (let i = 0; i < segments.length; i++) {
+            if (Array.isArray(segments[i]) && !chained.has(i) && (longest < 0 || segments[i].join(' ').length > segments[longest].join(' ').length)) {
+                longest = i;
+            }
+        }
+
+        if (longest < 0) {
+            if (!chained.size) {
+                // nothing to split, the record is as long as it needs to be
+                return [{ name: domain, value }];
+            }
+            throw recordTooLong(`Main record for ${domain} does not fit into maximum record length ${opts.maxLength}`);
+        }
+        chained.add(longest);
+    }
+};
+
+/**
+ * Flattens the SPF record of a domain by resolving `include`, `a`, `mx` and `redirect` terms into
+ * `ip4` and `ip6` ranges. The result is split into a chain of records that stay under the size limit.
+ * Terms that can not be flattened (`exists`, `ptr`, macros, non-pass qualifiers) are kept in the main
+ * record at their original position and listed in `unflattenable`. Flattened ranges are never moved
+ * across kept terms, so the evaluation order of the original record is preserved.
+ *
+ * @param {String} domain Domain name to flatten the SPF record for
+ * @param {Object} [opts]
+ * @param {Function} [opts.resolver] DNS resolver function
+ * @param {Number} [opts.maxLength=255] Maximum length of a generated record
+ * @param {String} [opts.prefix="_spf"] Label prefix for chained records, eg. "_spf1.example.com"
+ * @returns {Object} `{domain, rr, records, ranges, unflattenable, lookups, resolved}`
+ */
+const flattenSpf = async (domain, opts) => {
+    opts = opts || {};
+
+    domain = formatDomain(domain);
+
+    const ctx = {
+        resolver: opts.resolver || dns.resolve,
+        records: [],
+        unflattenable: []
+    };
+
+    const root = await resolveRecord(domain, ctx, []);
+
+    let tailTerms = [];
+    if (root.exp) {
+        tailTerms.push(root.exp);
+    }
+    if (root.all) {
+        tailTerms.push(`${root.all === '+' ? '' : root.all}all`);
+    } else {
+        // keep the redirect last, as "redirect" is ignored if "all" is present
+        let redirectPos = root.items.findIndex(item => item.term && /^redirect=/i.test(item.term));
+        if (redirectPos >= 0) {
+            tailTerms.push(root.items.splice(redirectPos, 1)[0].term);
+        }
+    }
+
+    const segments = root.items.map(item => (item.term ? item.term : mergeRanges(item.ranges)));
+    const ranges = segments.filter(segment => Array.isArray(segment)).flat();
+
+    const records = buildRecords(domain, segments, tailTerms, {
+        maxLength: opts.maxLength || DEFAULT_MAX_LENGTH,
+        prefix: opts.prefix || '_spf'
+    });
+
+    return {
+        domain,
+        rr: root.rr,
+        records,
+        ranges,
+        unflattenable: ctx.unflattenable,
+        lookups: countLookups(records.map(record => record.value.split(/\s+/).slice(1)).flat()),
+        resolved: ctx.records
+    };
+};
+
+module.exports = { flattenSpf, mergeRanges, parseRange, fromBigInt };
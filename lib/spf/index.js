@@ -1,26 +1,31 @@
 'use strict';
 
-const { spfVerify } = require('./spf-verify');
+const { spfVerify, parseSpfTerm, parseCidrValue } = require('./spf-verify');
+const { flattenSpf, parseRange, fromBigInt } = require('./flatten');
+const { createTracer, formatSpfTree, getMatchChain } = require('./analyze');
+const { shouldSendSpfReport, createSpfFailureReport } = require('./failure-report');
 const os = require('node:os');
 const dns = require('node:dns');
 const libmime = require('libmime');
 const Joi = require('joi');
 const domainSchema = Joi.string().domain({ allowUnicode: false, tlds: false });
 const { formatAuthHeaderRow, escapeCommentValue } = require('../tools');
+const ipaddr = require('ipaddr.js');
+const net = require('node:net');
 
 const MAX_RESOLVE_COUNT = 10;
 const MAX_VOID_COUNT = 2;
 
-const formatHeaders = result => {
+const formatHeaders = (result, identity) => {
     let header = `Received-SPF: ${result.status.result}${result.status.comment ? ` (${escapeCommentValue(result.status.comment)})` : ''} client-ip=${
         result['client-ip']
-    };`;
+    };${identity === 'helo' ? ` identity=helo; helo=${result.helo};` : ''}`;
 
     return libmime.foldLines(header, 160);
 };
 
-// DNS resolver method
-let limitedResolver = (resolver, maxResolveCount, maxVoidCount, ignoreFirst) => {
+// DNS resolver method, `onQuery` is called with a `{domain, type, response, void, error}` object for every query
+let limitedResolver = (resolver, maxResolveCount, maxVoidCount, ignoreFirst, onQuery) => {
     let resolveCount = 0;
     let voidCount = 0;
 
@@ -30,6 +35,12 @@ let limitedResolver = (resolver, maxResolveCount, maxVoidCount, ignoreFirst) =>
     maxResolveCount = maxResolveCount || MAX_RESOLVE_COUNT;
     maxVoidCount = maxVoidCount || MAX_VOID_COUNT;
 
+    const report = entry => {
+        if (typeof onQuery === 'function') {
+            onQuery(entry);
+        }
+    };
+
     let resolverFunc = async (domain, type) => {
         // do not allow to make more that MAX_RESOLVE_COUNT DNS requests per SPF check
 
@@ -45,6 +56,7 @@ let limitedResolver = (resolver, maxResolveCount, maxVoidCount, ignoreFirst) =>
                 error: 'permerror',
                 text: 'Too many DNS requests'
             };
+            report({ domain, type, error: error.spfResult.text });
             throw error;
         }
 
@@ -58,13 +70,16 @@ let limitedResolver = (resolver, maxResolveCount, maxVoidCount, ignoreFirst) =>
                 error: 'permerror',
                 text: `Invalid domain ${domain}`
             };
+            report({ domain, type, error: err.spfResult.text });
             throw err;
         }
 
         try {
             let result = await resolver(domain, type);
+            report({ domain, type, response: result });
             return result;
         } catch (err) {
+            report(['ENOTFOUND', 'ENODATA'].includes(err.code) ? { domain, type, void: true } : { domain, type, error: err.code || err.message });
             switch (err.code) {
                 case 'ENOTFOUND':
                 case 'ENODATA': {
@@ -115,21 +130,8 @@ let limitedResolver = (resolver, maxResolveCount, maxVoidCount, ignoreFirst) =>
     return resolverFunc;
 };
 
-/**
- *
- * @param {Object} opts
- * @param {String} opts.sender Email address
- * @param {String} opts.ip Client IP address
- * @param {String} opts.helo Client EHLO/HELO hostname
- * @param {String} [opts.mta] Hostname of the MTA or MX server that processes the message
- * @param {String} [opts.maxResolveCount=10] Maximum DNS lookups allowed
- * @param {String} [opts.maxVoidCount=2] Maximum empty DNS lookups allowed
- */
-const verify = async opts => {
-    let { sender, ip, helo, mta, maxResolveCount, maxVoidCount, resolver } = opts || {};
-
-    mta = mta || os.hostname();
-
+// normalizes the sender address and client IP, and extracts the domain to check
+const normalizeEnvelope = (sender, ip, helo) => {
     sender = sender || `postmaster@${helo}`;
 
     // convert mapped IPv6 IP addresses to IPv4
@@ -147,19 +149,52 @@ const verify = async opts => {
 
     let domain = sender.split('@').pop().toLowerCase().trim() || '-';
 
+    return { sender, ip, domain };
+};
+
+// MAIL FROM result for a message that was not checked as the HELO identity already failed
+const shortCircuitResult = (opts, heloResult) => {
+    let { helo } = opts;
+    let mta = opts.mta || os.hostname();
+    let { sender, ip, domain } = normalizeEnvelope(opts.sender, opts.ip, helo);
+
+    let response = { domain, 'client-ip': ip, helo, 'envelope-from': sender };
+
+    response.status = {
+        result: 'fail',
+        comment: `${mta}: HELO ${helo} failed, MAIL FROM not checked`,
+        smtp: { mailfrom: sender, helo }
+    };
+    response.header = formatHeaders(response, 'mailfrom');
+    response.info = formatAuthHeaderRow('spf', response.status);
+
+    response.shortCircuit = true;
+    response.heloResult = heloResult;
+
+    return response;
+};
+
+// checks a single identity, either "mailfrom" or "helo"
+const checkIdentity = async (opts, identity) => {
+    let { sender, ip, helo, mta, maxResolveCount, maxVoidCount, resolver, explain } = opts || {};
+
+    mta = mta || os.hostname();
+
+    let domain;
+    ({ sender, ip, domain } = normalizeEnvelope(sender, ip, helo));
+
     resolver = resolver || dns.promises.resolve;
 
     let status = {
         result: 'neutral',
         comment: false,
         // ptype properties
-        smtp: {
-            mailfrom: sender,
-            helo
-        }
+        smtp: identity === 'helo' ? { helo } : { mailfrom: sender, helo }
     };
 
-    let verifyResolver = limitedResolver(resolver, maxResolveCount, maxVoidCount, true);
+    let tracer = explain ? createTracer() : false;
+
+    let verifyResolver = limitedResolver(resolver, maxResolveCount, maxVoidCount, true, tracer && tracer.query);
 
     let result;
     try {
@@ -183,7 +218,9 @@ const verify = async opts => {
             resolver: verifyResolver,
 
             // allow to create sub resolvers
-            createSubResolver: () => limitedResolver(resolver, maxResolveCount, maxVoidCount)
+            createSubResolver: () => limitedResolver(resolver, maxResolveCount, maxVoidCount, false, tracer && tracer.query),
+
+            tracer
         });
     } catch (err) {
         if (err.spfResult) {
@@ -262,8 +299,18 @@ const verify = async opts => {
         response.rr = result.rr;
     }
 
+    if (result.explanation && status.result === 'fail') {
+        // can be used in the SMTP rejection response
+        response.explanation = result.explanation;
+    }
+
+    if (result.reporting) {
+        // failure reporting request, RFC6652
+        response.reporting = result.reporting;
+    }
+
     response.status = status;
-    response.header = formatHeaders(response);
+    response.header = formatHeaders(response, identity);
     response.info = formatAuthHeaderRow('spf', status);
 
     if (typeof response.status.comment === 'boolean') {
@@ -274,7 +321,313 @@ const verify = async opts => {
         response.lookups = result.lookups;
     }
 
+    if (tracer && tracer.root) {
+        response.tree = tracer.root;
+    }
+
+    return response;
+};
+
+// serves candidate records instead of the published ones, other queries are passed to the actual resolver
+const candidateResolver = (resolver, records) => {
+    let candidates = new Map();
+    for (let [name, record] of Object.entries(records)) {
+        candidates.set(name.toLowerCase().trim().replace(/\.$/, ''), record);
+    }
+
+    return async (name, rr) => {
+        let key = (name || '').toString().toLowerCase().trim().replace(/\.$/, '');
+        if (rr === 'TXT' && candidates.has(key)) {
+            return [].concat(candidates.get(key) || []).map(record => [record]);
+        }
+        return await resolver(name, rr);
+    };
+};
+
+const isHeloDomain = helo => !!helo && /\./.test(helo) && !/^\[.*\]$/.test(helo) && !domainSchema.validate(helo).error;
+
+/**
+ *
+ * @param {Object} opts
+ * @param {String} opts.sender Email address
+ * @param {String} opts.ip Client IP address
+ * @param {String} opts.helo Client EHLO/HELO hostname
+ * @param {String} [opts.mta] Hostname of the MTA or MX server that processes the message
+ * @param {String} [opts.maxResolveCount=10] Maximum DNS lookups allowed
+ * @param {String} [opts.maxVoidCount=2] Maximum empty DNS lookups allowed
+ * @param {Boolean} [opts.explain] If true, then the result includes the full evaluation tree as `tree`
+ * @param {Boolean} [opts.checkHelo] If true, then the HELO identity is checked separately and the result is included as `heloResult`
+ * @param {Boolean} [opts.heloShortCircuit] If true, then a HELO `fail` result fails the MAIL FROM identity without checking it, the result is marked with `shortCircuit`
+ * @param {String} [opts.record] Candidate SPF record to evaluate as if it was published for the sender domain
+ * @param {Object} [opts.records] Candidate SPF records for other domains, eg. nested includes, as `{domain: record}`
+ */
+const verify = async opts => {
+    opts = opts || {};
+
+    if (opts.record || opts.records) {
+        // evaluate the candidate records and compare the result with the published records
+        let published = await verify(Object.assign({}, opts, { record: false, records: false }));
+
+        let records = Object.assign({}, opts.records || {});
+        if (opts.record) {
+            let sender = opts.sender || `postmaster@${opts.helo}`;
+            records[sender.split('@').pop().toLowerCase().trim()] = opts.record;
+        }
+
+        let response = await verify(
+            Object.assign({}, opts, {
+                record: false,
+                records: false,
+                resolver: candidateResolver(opts.resolver || dns.promises.resolve, records)
+            })
+        );
+
+        response.candidate = true;
+        response.published = published;
+        response.changed = response.status.result !== published.status.result;
+
+        return response;
+    }
+
+    let heloResult;
+    if ((opts.checkHelo || opts.heloShortCircuit) && isHeloDomain(opts.helo)) {
+        heloResult = await checkIdentity(Object.assign({}, opts, { sender: `postmaster@${opts.helo}` }), 'helo');
+
+        if (opts.heloShortCircuit && heloResult.status.result === 'fail') {
+            // RFC7208 2.3, a conclusive HELO result makes the MAIL FROM check unnecessary
+            return shortCircuitResult(opts, heloResult);
+        }
+    }
+
+    let response = await checkIdentity(opts, 'mailfrom');
+    if (heloResult) {
+        response.heloResult = heloResult;
+    }
+
     return response;
 };
 
-module.exports = { spf: verify };
+const QUALIFIERS = {
+    pass: '+',
+    fail: '-',
+    softfail: '~',
+    neutral: '?'
+};
+
+// caches DNS responses, so repeated evaluations resolve the record tree only once
+const cachedResolver = resolver => {
+    let cache = new Map();
+    return async (name, rr) => {
+        let key = `${rr} ${(name || '').toString().toLowerCase()}`;
+        if (!cache.has(key)) {
+            cache.set(key, resolver(name, rr));
+        }
+        return await cache.get(key);
+    };
+};
+
+// upper limit for sub-ranges evaluated for a single CIDR range
+const MAX_RANGE_SEGMENTS = 256;
+
+/**
+ * Collects the address ranges of `ip4`, `ip6`, `a` and `mx` terms from an evaluation tree.
+ * Addresses inside one of these ranges can only get a different result than addresses outside of it.
+ *
+ * @param {Object} node Record node of the evaluation tree
+ * @param {Object} state Collected `{ranges, ipDependent}` where `ipDependent` is set if the tree has terms
+ *   whose result does not depend only on address ranges, eg. `exists`, `ptr` or macros
+ */
+const collectRanges = (node, state) => {
+    for (let entry of (node && node.terms) || []) {
+        if (entry.record) {
+            collectRanges(entry.record, state);
+        }
+
+        if (entry.term.indexOf('%') >= 0) {
+            state.ipDependent = true;
+            continue;
+        }
+
+        let key, val;
+        try {
+            ({ key, val } = parseSpfTerm(entry.term));
+        } catch (err) {
+            continue;
+        }
+
+        let type = key.toLowerCase();
+        try {
+            switch (type) {
+                case 'exists':
+                case 'ptr':
+                    state.ipDependent = true;
+                    break;
+
+                case 'ip4':
+                case 'ip6': {
+                    let { domain: address, cidr4, cidr6 } = parseCidrValue(val, false, type);
+                    if (net.isIP(address)) {
+                        state.ranges.push(parseRange(address, net.isIPv6(address) ? cidr6 : cidr4));
+                    }
+                    break;
+                }
+
+                case 'a':
+                case 'mx': {
+                    let { cidr4, cidr6 } = parseCidrValue(val, node.domain, type);
+                    for (let query of entry.queries.filter(query => ['A', 'AAAA'].includes(query.type))) {
+                        for (let address of (Array.isArray(query.response) && query.response) || []) {
+                            if (net.isIP(address)) {
+                                state.ranges.push(parseRange(address, query.type === 'A' ? cidr4 : cidr6));
+                            }
+                        }
+                    }
+                    break;
+                }
+            }
+        } catch (err) {
+            // invalid terms are reported by the evaluation itself
+        }
+    }
+};
+
+/**
+ * Checks which of the listed IP addresses and CIDR ranges are authorized by the SPF record of a domain.
+ * DNS responses are cached, so the record tree is resolved only once for the whole list.
+ *
+ * Ranges are split on the boundaries of all `ip4`, `ip6`, `a` and `mx` terms that were evaluated, and every
+ * sub-range is evaluated separately. If sub-ranges get different results, then the range is marked as not
+ * `consistent` and `segments` lists the results for every sub-range. If the evaluation depends on terms
+ * other than address ranges (`exists`, `ptr`, macros), then the range is never marked as `consistent`.
+ *
+ * @param {String} domain Domain to check
+ * @param {Array} addresses List of IPv4 and IPv6 addresses or CIDR ranges
+ * @param {Object} [opts]
+ * @param {String} [opts.helo] Client EHLO/HELO hostname for macros, defaults to the domain
+ * @param {String} [opts.mta] Hostname of the MTA or MX server that processes the message
+ * @param {String} [opts.maxResolveCount=10] Maximum DNS lookups allowed
+ * @param {String} [opts.maxVoidCount=2] Maximum empty DNS lookups allowed
+ * @param {Function} [opts.resolver] DNS resolver function
+ * @returns {Object} `{domain, rr, results, summary}` where `results` lists `{address, result, qualifier, mechanism, chain, lookups}` for every entry
+ */
+const coverage = async (domain, addresses, opts) => {
+    opts = opts || {};
+
+    const resolver = cachedResolver(opts.resolver || dns.promises.resolve);
+
+    let rr = false;
+
+    const evaluate = async (ip, state) => {
+        let response = await checkIdentity(
+            Object.assign({}, opts, { sender: `postmaster@${domain}`, helo: opts.helo || domain, ip, resolver, explain: true }),
+            'mailfrom'
+        );
+
+        rr = rr || response.rr || false;
+
+        if (state) {
+            collectRanges(response.tree, state);
+        }
+
+        let { mechanism, chain } = getMatchChain(response.tree);
+        let result = response.status.result;
+
+        return { result, qualifier: QUALIFIERS[result] || false, mechanism, chain, lookups: response.lookups?.count };
+    };
+
+    const sameResult = (a, b) => a.result === b.result && a.mechanism === b.mechanism && a.chain.join() === b.chain.join();
+
+    const evaluateRange = async address => {
+        let [addr, prefix] = ipaddr.parseCIDR(address);
+        let { family, start } = parseRange(addr.toString(), `/${prefix}`);
+        if (family === 4 && addr.kind() === 'ipv6') {
+            // IPv4-mapped range, evaluate as a single address
+            prefix = 32;
+        }
+
+        let bits = family === 4 ? 32 : 128;
+        let size = 2n ** BigInt(bits - prefix);
+        start -= start % size;
+        let end = start + size;
+
+        let state = { ranges: [], ipDependent: false };
+        // start address of every sub-range mapped to its result
+        let segments = new Map();
+        let complete = true;
+
+        for (;;) {
+            let cuts = new Set([start]);
+            for (let range of state.ranges.filter(range => range.family === family)) {
+                let rangeSize = 2n ** BigInt(bits - range.prefix);
+                let rangeStart = range.start - (range.start % rangeSize);
+                for (let cut of [rangeStart, rangeStart + rangeSize]) {
+                    if (cut > start && cut < end) {
+                        cuts.add(cut);
+                    }
+                }
+            }
+
+            let pending = Array.from(cuts).filter(cut => !segments.has(cut));
+            if (!pending.length) {
+                break;
+            }
+
+            if (cuts.size > MAX_RANGE_SEGMENTS) {
+                complete = false;
+                break;
+            }
+
+            for (let cut of pending) {
+                segments.set(cut, await evaluate(fromBigInt(cut, family), state));
+            }
+        }
+
+        let list = [];
+        let sorted = Array.from(segments.keys()).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        for (let i = 0; i < sorted.length; i++) {
+            let value = segments.get(sorted[i]);
+            let last = (i < sorted.length - 1 ? sorted[i + 1] : end) - 1n;
+            let previous = list[list.length - 1];
+            if (previous && sameResult(previous.value, value)) {
+                previous.end = last;
+            } else {
+                list.push({ start: sorted[i], end: last, value });
+            }
+        }
+
+        let entry = Object.assign({ range: true, consistent: complete && !state.ipDependent && list.length === 1 }, list[0].value);
+        if (!entry.consistent) {
+            entry.segments = list.map(segment =>
+                Object.assign({ start: fromBigInt(segment.start, family), end: fromBigInt(segment.end, family) }, segment.value)
+            );
+        }
+        return entry;
+    };
+
+    let results = [];
+    let summary = {};
+
+    for (let address of addresses) {
+        address = (address || '').toString().trim();
+
+        let entry = { address };
+
+        if (net.isIP(address)) {
+            Object.assign(entry, await evaluate(address));
+        } else if (ipaddr.isValidCIDR(address)) {
+            Object.assign(entry, await evaluateRange(address));
+        } else {
+            entry.result = 'invalid';
+            entry.error = 'Invalid IP address or range';
+        }
+
+        let key = entry.range && !entry.consistent ? 'partial' : entry.result;
+        summary[key] = (summary[key] || 0) + 1;
+
+        results.push(entry);
+    }
+
+    return { domain, rr, results, summary };
+};
+
+module.exports = { spf: verify, coverage, flattenSpf, formatSpfTree, shouldSendSpfReport, createSpfFailureReport };
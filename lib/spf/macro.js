@@ -1,5 +1,6 @@
 'use strict';
 
+const { Buffer } = require('node:buffer');
 const net = require('net');
 const ipaddr = require('ipaddr.js');
 const os = require('node:os');
@@ -12,8 +13,12 @@ const os = require('node:os');
  * @param {String} values.ip Sender IP address
  * @param {String} values.helo Client's HELO/EHLO domain
  * @param {String} [values.mta] Hostname of the MTA or MX server that processes the message
+ * @param {Boolean} [explanation] If true, then the input is an explanation string and the explanation-only macro letters c, r and t are allowed
  */
-const macro = (input, values) => {
+// uppercase macro letters are URL escaped, everything except unreserved characters is encoded
+const urlEscape = value => value.replace(/[^A-Za-z0-9\-._~]/gu, c => Buffer.from(c).toString('hex').toUpperCase().replace(/../g, '%$&'));
+
+const macro = (input, values, explanation) => {
     input = (input || '').toString();
 
     let { sender, ip, helo, mta } = values || {};
@@ -54,6 +59,12 @@ const macro = (input, values) => {
 
         let delimiters = '';
 
+        if (!explanation && ['c', 'r', 't'].includes(macroChar.toLowerCase())) {
+            let err = new Error('Syntax error on parsing macro');
+            err.spfResult = { error: 'permerror', message: `Macro letter "${macroChar}" is only allowed in explanation strings` };
+            throw err;
+        }
+
         switch (macroChar.toLowerCase()) {
             case 's':
                 curval = sender;
@@ -158,10 +169,10 @@ const macro = (input, values) => {
             }
 
             // no matter the expansion delimiter, values are joined with dots
-            return curval.join('.');
+            curval = curval.join('.');
         }
 
-        return curval;
+        return macroChar !== macroChar.toLowerCase() ? urlEscape(curval) : curval;
     });
 };
 
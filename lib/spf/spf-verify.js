@@ -58,22 +58,14 @@ const parseCidrValue = (val, defaultValue, type) => {
     };
 };
 
-const spfVerify = async (domain, opts) => {
-    opts = opts || {};
-    if (!opts.ip || !net.isIP(opts.ip)) {
-        return false;
-    }
-
-    try {
-        domain = punycode.toASCII(domain);
-    } catch (err) {
-        // ignore punycode conversion errors
-    }
-
-    let addr = ipaddr.parse(opts.ip);
-
-    let resolver = opts.resolver || dns.resolve;
-
+/**
+ * Fetches the SPF record for a domain and splits it into terms
+ *
+ * @param {String} domain Domain name
+ * @param {Function} resolver DNS resolver function
+ * @returns {Object} `{rr, terms}` where `rr` is the record string and `terms` is a list of record terms without the version
+ */
+const getSpfRecord = async (domain, resolver) => {
     let responses;
     try {
         responses = await resolver(domain, 'TXT');
@@ -118,6 +110,133 @@ const spfVerify = async (domain, opts) => {
         throw err;
     }
 
+    return { rr: spfRr, terms: spfRecord };
+};
+
+/**
+ * Splits a mechanism term into qualifier, mechanism name and value
+ *
+ * @param {String} part Record term, eg. "-ip4:192.0.2.0/24"
+ * @returns {Object} `{key, val, qualifier}`, value for CIDR-only terms includes the leading slash
+ */
+const parseSpfTerm = part => {
+    let key = '';
+    let val = '';
+    let qualifier = '+'; // default is pass
+
+    let splitterPos = part.indexOf(':');
+    if (splitterPos === part.length - 1) {
+        let err = new Error('SPF failure');
+        err.spfResult = { error: 'permerror', text: `unexpected empty value` };
+        throw err;
+    }
+    if (splitterPos >= 0) {
+        key = part.substr(0, splitterPos);
+        val = part.substr(splitterPos + 1);
+    } else {
+        let splitterPos = part.indexOf('/');
+        if (splitterPos >= 0) {
+            key = part.substr(0, splitterPos);
+            val = part.substr(splitterPos); // keep the / for CIDR
+        } else {
+            key = part;
+        }
+    }
+
+    if (/^[?\-~+]/.test(key)) {
+        qualifier = key.charAt(0);
+        key = key.substr(1);
+    }
+
+    return { key, val, qualifier };
+};
+
+/**
+ * Fetches and expands the explanation string for a fail result. Explanation errors must
+ * never change the SPF result, so all failures are ignored and `false` is returned instead.
+ *
+ * @param {String} domain Domain from the "exp" modifier
+ * @param {Object} opts Options object with macro values
+ * @returns {String|Boolean} Explanation string or `false`
+ */
+const getExplanation = async (domain, opts) => {
+    // explanation lookup is not counted against the lookup limit of the check
+    let resolver = typeof opts.createSubResolver === 'function' ? opts.createSubResolver() : opts.resolver || dns.resolve;
+
+    // too long names are truncated from the left side, RFC7208 7.3
+    while (domain.length > 253 && domain.indexOf('.') >= 0) {
+        domain = domain.substr(domain.indexOf('.') + 1);
+    }
+
+    try {
+        let responses = await resolver(domain, 'TXT');
+        if (!responses || responses.length !== 1) {
+            return false;
+        }
+
+        let explanation = macro([].concat(responses[0]).join(''), opts, true).trim();
+        if (!explanation || /[^\x20-\x7E]/.test(explanation)) {
+            return false;
+        }
+
+        return explanation;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Parses failure reporting modifiers ("ra", "rp" and "rr") from SPF record terms, RFC6652
+ *
+ * @param {Array} terms SPF record terms
+ * @param {String} domain Domain of the SPF record, used as the domain part of the report address
+ * @returns {Object|Boolean} `{address, rp, rr}` or `false` if the record does not request reports
+ */
+const getReportingModifiers = (terms, domain) => {
+    let values = {};
+    for (let term of terms) {
+        let match = typeof term === 'string' && term.match(/^(ra|rp|rr)=(.*)$/i);
+        if (match) {
+            values[match[1].toLowerCase()] = match[2];
+        }
+    }
+
+    if (!values.ra || !/^[^\s@%]+$/.test(values.ra)) {
+        // no valid report address set
+        return false;
+    }
+
+    // invalid values are ignored and defaults are used instead
+    let rp = /^\d{1,3}$/.test(values.rp || '') ? Math.min(Number(values.rp), 100) : 100;
+    let rr = (values.rr || '')
+        .split(':')
+        .map(value => value.trim().toLowerCase())
+        .filter(value => ['all', 'e', 'f', 's', 'n'].includes(value));
+
+    return { address: `${values.ra}@${domain}`, rp, rr: rr.length ? rr : ['all'] };
+};
+
+const spfVerify = async (domain, opts) => {
+    opts = opts || {};
+    if (!opts.ip || !net.isIP(opts.ip)) {
+        return false;
+    }
+
+    try {
+        domain = punycode.toASCII(domain);
+    } catch (err) {
+        // ignore punycode conversion errors
+    }
+
+    let addr = ipaddr.parse(opts.ip);
+
+    let resolver = opts.resolver || dns.resolve;
+
+    let spfRr;
+    let spfRecord;
+    let reporting = false;
+    let redirected = false;
+
     let getResult = async () => {
         // this check is only for passing test suite
         for (let i = spfRecord.length - 1; i >= 0; i--) {
@@ -143,9 +262,9 @@ const spfVerify = async (domain, opts) => {
                     let err = new Error('SPF failure');
                     err.spfResult = { error: 'permerror', text: `Empty modifier value for ${modifier}` };
                     throw err;
-                } else if (modifier === 'redirect' && !/^([\x21-\x2D\x2f-\x7e]+\.)+[a-z]+[a-z\-0-9]*$/.test(value)) {
+                } else if (['redirect', 'exp'].includes(modifier) && !/^([\x21-\x2D\x2f-\x7e]+\.)+[a-z]+[a-z\-0-9]*$/.test(value)) {
                     let err = new Error('SPF failure');
-                    err.spfResult = { error: 'permerror', text: `Invalid redirect target ${value}` };
+                    err.spfResult = { error: 'permerror', text: `Invalid ${modifier} target ${value}` };
                     throw err;
                 }
 
@@ -174,6 +293,12 @@ const spfVerify = async (domain, opts) => {
             throw err;
         }
 
+        if (spfRecord.filter(p => p && p.modifier === 'exp').length > 1) {
+            let err = new Error('SPF failure');
+            err.spfResult = { error: 'permerror', text: `more than 1 exp found` };
+            throw err;
+        }
+
         for (let i = 0; i < spfRecord.length; i++) {
             let part = spfRecord[i];
 
@@ -188,9 +313,15 @@ const spfVerify = async (domain, opts) => {
                                 continue;
                             }
 
+                            if (opts.tracer) {
+                                opts.tracer.enterTerm(`redirect=${value}`);
+                            }
+
                             try {
                                 let subResult = await spfVerify(value, opts);
                                 if (subResult) {
+                                    // explanation of the original domain is not used after redirect
+                                    redirected = true;
                                     return subResult;
                                 }
                             } catch (err) {
@@ -205,6 +336,7 @@ const spfVerify = async (domain, opts) => {
                         }
                         break;
 
+                    // "exp" is only used for fail results, once the evaluation is finished
                     case 'exp':
                     default:
                     // do nothing
@@ -213,33 +345,11 @@ const spfVerify = async (domain, opts) => {
                 continue;
             }
 
-            let key = '';
-            let val = '';
-            let qualifier = '+'; // default is pass
-
-            let splitterPos = part.indexOf(':');
-            if (splitterPos === part.length - 1) {
-                let err = new Error('SPF failure');
-                err.spfResult = { error: 'permerror', text: `unexpected empty value` };
-                throw err;
-            }
-            if (splitterPos >= 0) {
-                key = part.substr(0, splitterPos);
-                val = part.substr(splitterPos + 1);
-            } else {
-                let splitterPos = part.indexOf('/');
-                if (splitterPos >= 0) {
-                    key = part.substr(0, splitterPos);
-                    val = part.substr(splitterPos); // keep the / for CIDR
-                } else {
-                    key = part;
-                }
+            if (opts.tracer) {
+                opts.tracer.enterTerm(part);
             }
 
-            if (/^[?\-~+]/.test(key)) {
-                qualifier = key.charAt(0);
-                key = key.substr(1);
-            }
+            let { key, val, qualifier } = parseSpfTerm(part);
 
             let type = key.toLowerCase();
             switch (type) {
@@ -257,7 +367,8 @@ const spfVerify = async (domain, opts) => {
                             let redirect = macro(val, opts)
                                 // remove trailing dot
                                 .replace(/\.$/, '');
-                            let sub = await spfVerify(redirect, opts);
+                            // explanations of included records are never used
+                            let sub = await spfVerify(redirect, Object.assign({}, opts, { included: true }));
                             if (sub && sub.qualifier === '+') {
                                 // ignore other valid responses
                                 return { type, val, include: sub, qualifier };
@@ -477,7 +588,15 @@ const spfVerify = async (domain, opts) => {
         return false;
     };
 
+    if (opts.tracer) {
+        // collect evaluation tree
+        opts.tracer.enterRecord(domain);
+    }
+
     try {
+        ({ rr: spfRr, terms: spfRecord } = await getSpfRecord(domain, resolver));
+        reporting = getReportingModifiers(spfRecord, domain);
+
         let res = await getResult();
 
         if (res && spfRr) {
@@ -489,13 +608,43 @@ const spfVerify = async (domain, opts) => {
                 rr: spfRr
             };
         }
+
+        // only the final result of the check gets an explanation, RFC7208 6.2
+        if (res && res.qualifier === '-' && !redirected && !opts.included) {
+            let exp = spfRecord.find(part => part && part.modifier === 'exp');
+            let explanation = exp && (await getExplanation(exp.value, opts));
+            if (explanation) {
+                res.explanation = explanation;
+            }
+        }
+
+        if (res && !redirected) {
+            // reporting modifiers of a redirect target take precedence, included records are not used
+            if (reporting) {
+                res.reporting = reporting;
+            } else {
+                delete res.reporting;
+            }
+        }
+
+        if (opts.tracer) {
+            opts.tracer.leaveRecord(res);
+        }
         return res;
     } catch (err) {
         if (spfRr && err.spfResult) {
             err.spfResult.rr = spfRr;
         }
+
+        if (reporting && err.spfResult && !err.spfResult.reporting) {
+            err.spfResult.reporting = reporting;
+        }
+
+        if (opts.tracer) {
+            opts.tracer.leaveRecord(false, err);
+        }
         throw err;
     }
 };
 
-module.exports = { spfVerify };
+module.exports = { spfVerify, getSpfRecord, parseSpfTerm, parseCidrValue };
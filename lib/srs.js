@@ -0,0 +1,205 @@
+'use strict';
+
+const crypto = require('node:crypto');
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// timestamps are days since epoch modulo 1024, encoded as two base32 characters
+const TIMESTAMP_PRECISION = 24 * 3600 * 1000;
+const TIMESTAMP_SLOTS = 1024;
+
+const DEFAULT_HASH_LENGTH = 4;
+const DEFAULT_MAX_AGE = 21;
+
+const SRS0_RE = /^SRS0([=+-])([^=]+)=([^=]{2})=([^=]+)=(.+)$/i;
+const SRS1_RE = /^SRS1([=+-])([^=]+)=([^=]+)=([=+-].+)$/i;
+
+const srsError = (message, code) => {
+    let err = new Error(message);
+    err.code = code;
+    return err;
+};
+
+const getSecrets = secret => {
+    let secrets = [].concat(secret || []).filter(secret => secret);
+    if (!secrets.length) {
+        throw srsError('SRS secret is required', 'ESRSSECRET');
+    }
+    return secrets;
+};
+
+const splitAddress = address => {
+    address = (address || '').toString().trim();
+    let atPos = address.lastIndexOf('@');
+    if (atPos < 1 || atPos === address.length - 1) {
+        return false;
+    }
+    return { local: address.substr(0, atPos), domain: address.substr(atPos + 1) };
+};
+
+const getTimestamp = now => {
+    let days = Math.floor((now ? new Date(now) : new Date()).getTime() / TIMESTAMP_PRECISION) % TIMESTAMP_SLOTS;
+    return BASE32.charAt(Math.floor(days / 32)) + BASE32.charAt(days % 32);
+};
+
+const decodeTimestamp = value => {
+    value = (value || '').toUpperCase();
+    let high = BASE32.indexOf(value.charAt(0));
+    let low = BASE32.indexOf(value.charAt(1));
+    if (value.length !== 2 || high < 0 || low < 0) {
+        return false;
+    }
+    return high * 32 + low;
+};
+
+// hashed values are lowercased as mail systems do not always preserve the case of addresses
+const getHash = (secret, values, hashLength) =>
+    crypto
+        .createHmac('sha1', secret)
+        .update(values.join('').toLowerCase())
+        .digest('base64')
+        .substr(0, hashLength || DEFAULT_HASH_LENGTH);
+
+const verifyHash = (hash, values, secrets) => secrets.some(secret => getHash(secret, values, hash.length).toLowerCase() === hash.toLowerCase());
+
+/**
+ * Parses an SRS0 or SRS1 address without verifying it
+ *
+ * @param {String} address Email address
+ * @returns {Object|Boolean} `{type, hash, domain, original, ...}` or `false` if the address is not an SRS address.
+ *   SRS0 results include `timestamp`, SRS1 results include `firstHost` and `opaque` for the embedded SRS0 part.
+ */
+const parseSrsAddress = address => {
+    let parts = splitAddress(address);
+    if (!parts) {
+        return false;
+    }
+
+    let match = parts.local.match(SRS0_RE);
+    if (match) {
+        return {
+            type: 'SRS0',
+            hash: match[2],
+            timestamp: match[3],
+            domain: parts.domain,
+            original: `${match[5]}@${match[4]}`
+        };
+    }
+
+    match = parts.local.match(SRS1_RE);
+    if (match) {
+        // original sender is taken from the embedded SRS0 part
+        let inner = parseSrsAddress(`SRS0${match[4]}@${match[3]}`);
+        return {
+            type: 'SRS1',
+            hash: match[2],
+            firstHost: match[3],
+            opaque: match[4],
+            domain: parts.domain,
+            original: inner ? inner.original : false
+        };
+    }
+
+    return false;
+};
+
+/**
+ * Rewrites an envelope sender address for forwarding. Regular addresses are converted into SRS0
+ * addresses and SRS addresses from other forwarders into SRS1 addresses.
+ *
+ * @param {String} address Envelope sender address
+ * @param {Object} opts
+ * @param {String|Array} opts.secret Secret for the hash, if a list is given then the first secret is used
+ * @param {String} opts.domain Domain name of the forwarder
+ * @param {Number} [opts.hashLength=4] Length of the hash in characters
+ * @param {Date} [opts.now] Current time
+ * @returns {String} Rewritten address
+ */
+const srsRewrite = (address, opts) => {
+    opts = opts || {};
+
+    const secret = getSecrets(opts.secret)[0];
+    const domain = (opts.domain || '').toString().trim();
+    if (!domain) {
+        throw srsError('Forwarder domain is required', 'ESRSDOMAIN');
+    }
+
+    let parts = splitAddress(address);
+    if (!parts) {
+        // null sender and other unusual addresses are not rewritten
+        return address;
+    }
+
+    if (parts.domain.toLowerCase() === domain.toLowerCase()) {
+        // no need to rewrite local addresses
+        return address;
+    }
+
+    let srs = parseSrsAddress(address);
+
+    if (srs && srs.type === 'SRS0') {
+        let opaque = parts.local.substr(4);
+        let hash = getHash(secret, [parts.domain, opaque], opts.hashLength);
+        return `SRS1=${hash}=${parts.domain}=${opaque}@${domain}`;
+    }
+
+    if (srs && srs.type === 'SRS1') {
+        // keep the first forwarder, only the last hop is replaced
+        let hash = getHash(secret, [srs.firstHost, srs.opaque], opts.hashLength);
+        return `SRS1=${hash}=${srs.firstHost}=${srs.opaque}@${domain}`;
+    }
+
+    let timestamp = getTimestamp(opts.now);
+    let hash = getHash(secret, [timestamp, parts.domain, parts.local], opts.hashLength);
+    return `SRS0=${hash}=${timestamp}=${parts.domain}=${parts.local}@${domain}`;
+};
+
+/**
+ * Reverses an SRS address, eg. for routing a bounce back to the original sender.
+ * SRS0 addresses are converted into the original address and SRS1 addresses into
+ * the SRS0 address of the first forwarder.
+ *
+ * @param {String} address SRS address
+ * @param {Object} opts
+ * @param {String|Array} opts.secret Secret or a list of secrets to verify the hash with, allows to rotate keys
+ * @param {Number} [opts.maxAge=21] Maximum age of an SRS0 address in days
+ * @param {Date} [opts.now] Current time
+ * @returns {String} Reversed address
+ */
+const srsReverse = (address, opts) => {
+    opts = opts || {};
+
+    const secrets = getSecrets(opts.secret);
+
+    let srs = parseSrsAddress(address);
+    if (!srs) {
+        throw srsError('Not an SRS address', 'ESRSFORMAT');
+    }
+
+    if (srs.type === 'SRS1') {
+        if (!verifyHash(srs.hash, [srs.firstHost, srs.opaque], secrets)) {
+            throw srsError('Invalid SRS hash', 'ESRSHASH');
+        }
+        return `SRS0${srs.opaque}@${srs.firstHost}`;
+    }
+
+    let { local, domain } = splitAddress(srs.original);
+    if (!verifyHash(srs.hash, [srs.timestamp, domain, local], secrets)) {
+        throw srsError('Invalid SRS hash', 'ESRSHASH');
+    }
+
+    let timestamp = decodeTimestamp(srs.timestamp);
+    if (timestamp === false) {
+        throw srsError('Invalid SRS timestamp', 'ESRSFORMAT');
+    }
+
+    let maxAge = typeof opts.maxAge === 'number' ? opts.maxAge : DEFAULT_MAX_AGE;
+    let today = decodeTimestamp(getTimestamp(opts.now));
+    if ((today - timestamp + TIMESTAMP_SLOTS) % TIMESTAMP_SLOTS > maxAge) {
+        throw srsError('SRS address has expired', 'ESRSEXPIRED');
+    }
+
+    return srs.original;
+};
+
+module.exports = { srsRewrite, srsReverse, parseSrsAddress };
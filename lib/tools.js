@@ -23,6 +23,9 @@ const defaultDKIMFieldNames =
     'List-Owner:List-Archive:BIMI-Selector';
 
 const defaultARCFieldNames = `DKIM-Signature:Delivered-To:${defaultDKIMFieldNames}`;
+// headers that are oversigned by default
+const defaultOversignFieldNames = 'From:To:Subject:Date:Reply-To:Content-Type';
+
 const defaultASFieldNames = `ARC-Authentication-Results:ARC-Message-Signature:ARC-Seal`;
 
 const keyOrderingDKIM = ['v', 'a', 'c', 'd', 'h', 'i', 'l', 'q', 's', 't', 'x', 'z', 'bh', 'b'];
@@ -104,12 +107,40 @@ const parseHeaders = buf => {
     return { parsed: rows, original: buf };
 };
 
-const getSigningHeaderLines = (parsedHeaders, fieldNames, verify) => {
-    fieldNames = (typeof fieldNames === 'string' ? fieldNames : defaultDKIMFieldNames)
+const parseFieldNames = fieldNames =>
+    (Array.isArray(fieldNames) ? fieldNames.join(':') : fieldNames)
         .split(':')
-        .map(key => key.trim().toLowerCase())
+        .map(key => key.trim())
         .filter(key => key);
 
+/**
+ * Selects header lines to sign or verify
+ *
+ * @param {Array} parsedHeaders Parsed header lines
+ * @param {String} [fieldNames] Colon separated list of header keys
+ * @param {Boolean} [verify] If true, then `fieldNames` is the `h=` tag value of a signature
+ * @param {String|Array} [oversignFieldNames] Header keys to oversign when signing. Each key is listed once more than it occurs in the header,
+ *   so additional headers with the same key can not be added without breaking the signature
+ * @returns {Object} `{keys, headers}` where `keys` is the value for the `h=` tag and `headers` lists the header lines to sign
+ */
+const getSigningHeaderLines = (parsedHeaders, fieldNames, verify, oversignFieldNames) => {
+    fieldNames = parseFieldNames(typeof fieldNames === 'string' ? fieldNames : defaultDKIMFieldNames).map(key => key.toLowerCase());
+
+    let oversignList = [];
+    if (!verify && oversignFieldNames) {
+        // use the casing from the list for keys that do not exist in the header
+        for (let casedKey of parseFieldNames(oversignFieldNames === true ? defaultOversignFieldNames : oversignFieldNames)) {
+            let key = casedKey.toLowerCase();
+            if (!oversignList.some(entry => entry.key === key)) {
+                oversignList.push({ key, casedKey });
+            }
+            if (!fieldNames.includes(key)) {
+                // all existing instances must be signed as well
+                fieldNames.push(key);
+            }
+        }
+    }
+
     let signingList = [];
 
     if (verify) {
@@ -133,8 +164,17 @@ const getSigningHeaderLines = (parsedHeaders, fieldNames, verify) => {
         }
     }
 
+    // list oversigned keys after all existing headers, these do not match any header lines
+    let oversignedKeys = oversignList.map(entry => {
+        let lastMatch = signingList.find(header => header.key === entry.key);
+        return lastMatch ? lastMatch.casedKey : entry.casedKey;
+    });
+
     return {
-        keys: signingList.map(entry => entry.casedKey).join(': '),
+        keys: signingList
+            .map(entry => entry.casedKey)
+            .concat(oversignedKeys)
+            .join(': '),
         headers: signingList
     };
 };
@@ -434,7 +474,7 @@ const formatAuthHeaderRow = (method, status) => {
         parts.push(`(${escapeCommentValue(status.comment)})`);
     }
 
-    for (let ptype of ['policy', 'smtp', 'body', 'header']) {
+    for (let ptype of ['dns', 'policy', 'smtp', 'body', 'header']) {
         if (!status[ptype] || typeof status[ptype] !== 'object') {
             continue;
         }
@@ -474,7 +514,10 @@ const formatDomain = domain => {
     return domain;
 };
 
-const getAlignment = (fromDomain, domainList, strict) => {
+const getAlignment = (fromDomain, domainList, strict, getOrgDomain) => {
+    // organizational domain resolver can be overridden, eg. for DMARCbis tree walk results
+    const orgDomainOf = domain => (getOrgDomain && getOrgDomain(domain)) || tldts.getDomain(domain, TLDTS_OPTS) || domain;
+
     domainList = []
         .concat(domainList || [])
         .map(entry => {
@@ -488,7 +531,7 @@ const getAlignment = (fromDomain, domainList, strict) => {
     if (strict) {
         fromDomain = formatDomain(fromDomain);
         for (let entry of domainList) {
-            let domain = formatDomain(tldts.getDomain(entry.domain, TLDTS_OPTS) || entry.domain);
+            let domain = formatDomain(orgDomainOf(entry.domain));
             if (formatDomain(domain) === fromDomain) {
                 return entry;
             }
@@ -496,9 +539,9 @@ const getAlignment = (fromDomain, domainList, strict) => {
     }
 
     // match org domains
-    fromDomain = formatDomain(tldts.getDomain(fromDomain, TLDTS_OPTS) || fromDomain);
+    fromDomain = formatDomain(orgDomainOf(fromDomain));
     for (let entry of domainList) {
-        let domain = formatDomain(tldts.getDomain(entry.domain, TLDTS_OPTS) || entry.domain);
+        let domain = formatDomain(orgDomainOf(entry.domain));
         if (domain === fromDomain) {
             return entry;
         }
@@ -532,21 +575,24 @@ const validateAlgorithm = (algorithm, strict) => {
     }
 };
 
-const getPtrHostname = parsedAddr => {
+// reversed octets for IPv4 and reversed nibbles for IPv6, as used for PTR and DNSBL queries
+const getReversedAddress = parsedAddr => {
     let bytes = parsedAddr.toByteArray();
     if (bytes.length === 4) {
-        return `${bytes
+        return bytes
             .map(a => a.toString(10))
             .reverse()
-            .join('.')}.in-addr.arpa`;
+            .join('.');
     } else {
-        return `${bytes
+        return bytes
             .flatMap(a => a.toString(16).padStart(2, '0').split(''))
             .reverse()
-            .join('.')}.ip6.arpa`;
+            .join('.');
     }
 };
 
+const getPtrHostname = parsedAddr => `${getReversedAddress(parsedAddr)}.${parsedAddr.kind() === 'ipv4' ? 'in-addr' : 'ip6'}.arpa`;
+
 function getCurTime(timeValue) {
     if (timeValue) {
         if (typeof timeValue === 'object' && typeof timeValue.toISOString === 'function') {
@@ -576,6 +622,7 @@ module.exports = {
 
     defaultDKIMFieldNames,
     defaultARCFieldNames,
+    defaultOversignFieldNames,
     defaultASFieldNames,
 
     getSigningHeaderLines,
@@ -595,6 +642,7 @@ module.exports = {
     formatDomain,
 
     getPtrHostname,
+    getReversedAddress,
 
     getCurTime,
 
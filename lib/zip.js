@@ -0,0 +1,203 @@
+/* eslint no-bitwise: 0 */
+
+'use strict';
+
+// Minimal ZIP archive support for DMARC report attachments
+
+const { Buffer } = require('node:buffer');
+const zlib = require('node:zlib');
+
+const CRC_TABLE = new Int32Array(256);
+for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[i] = c;
+}
+
+const crc32 = buf => {
+    let crc = -1;
+    for (let i = 0; i < buf.length; i++) {
+        crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+};
+
+const getDosTime = date => {
+    let time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    let day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+};
+
+/**
+ * Creates a ZIP archive from a list of files. Files are compressed using DEFLATE.
+ *
+ * @param {Array} files List of `{filename, content, [date]}` objects
+ * @returns {Buffer} ZIP archive
+ */
+const createZip = files => {
+    let localChunks = [];
+    let centralChunks = [];
+    let offset = 0;
+
+    for (let file of [].concat(files || [])) {
+        let filename = Buffer.from(file.filename || 'file');
+        let content = typeof file.content === 'string' ? Buffer.from(file.content) : file.content || Buffer.alloc(0);
+        let compressed = zlib.deflateRawSync(content);
+        let checksum = crc32(content);
+        let { time, day } = getDosTime(file.date || new Date());
+
+        let localHeader = Buffer.alloc(30);
+        localHeader.writeUInt32LE(0x04034b50, 0);
+        localHeader.writeUInt16LE(20, 4); // version needed to extract
+        localHeader.writeUInt16LE(0x0800, 6); // UTF-8 file names
+        localHeader.writeUInt16LE(8, 8); // DEFLATE
+        localHeader.writeUInt16LE(time, 10);
+        localHeader.writeUInt16LE(day, 12);
+        localHeader.writeUInt32LE(checksum, 14);
+        localHeader.writeUInt32LE(compressed.length, 18);
+        localHeader.writeUInt32LE(content.length, 22);
+        localHeader.writeUInt16LE(filename.length, 26);
+        localHeader.writeUInt16LE(0, 28);
+
+        let centralHeader = Buffer.alloc(46);
+        centralHeader.writeUInt32LE(0x02014b50, 0);
+        centralHeader.writeUInt16LE(20, 4); // version made by
+        centralHeader.writeUInt16LE(20, 6); // version needed to extract
+        centralHeader.writeUInt16LE(0x0800, 8);
+        centralHeader.writeUInt16LE(8, 10);
+        centralHeader.writeUInt16LE(time, 12);
+        centralHeader.writeUInt16LE(day, 14);
+        centralHeader.writeUInt32LE(checksum, 16);
+        centralHeader.writeUInt32LE(compressed.length, 20);
+        centralHeader.writeUInt32LE(content.length, 24);
+        centralHeader.writeUInt16LE(filename.length, 28);
+        // extra length, comment length, disk number, attributes are all zero
+        centralHeader.writeUInt32LE(offset, 42);
+
+        localChunks.push(localHeader, filename, compressed);
+        centralChunks.push(centralHeader, filename);
+
+        offset += localHeader.length + filename.length + compressed.length;
+    }
+
+    let centralDirectory = Buffer.concat(centralChunks);
+
+    let endRecord = Buffer.alloc(22);
+    endRecord.writeUInt32LE(0x06054b50, 0);
+    endRecord.writeUInt16LE(centralChunks.length / 2, 8);
+    endRecord.writeUInt16LE(centralChunks.length / 2, 10);
+    endRecord.writeUInt32LE(centralDirectory.length, 12);
+    endRecord.writeUInt32LE(offset, 16);
+
+    return Buffer.concat(localChunks.concat(centralDirectory, endRecord));
+};
+
+const tooLarge = maxSize => {
+    let err = new Error(`Uncompressed ZIP content exceeds ${maxSize} bytes`);
+    err.code = 'ETOOLARGE';
+    return err;
+};
+
+/**
+ * Extracts files from a ZIP archive. Only stored and DEFLATE compressed entries are supported.
+ *
+ * @param {Buffer} buf ZIP archive
+ * @param {Object} [opts]
+ * @param {Number} [opts.maxSize] Maximum total size of extracted content in bytes
+ * @returns {Array} List of `{filename, content}` objects
+ */
+const extractZip = (buf, opts) => {
+    let maxSize = (opts && opts.maxSize) || Infinity;
+    let totalSize = 0;
+
+    let endPos = -1;
+    // end of central directory record is located at the end of the file, followed by an optional comment
+    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+        if (buf.readUInt32LE(i) === 0x06054b50) {
+            endPos = i;
+            break;
+        }
+    }
+
+    if (endPos < 0) {
+        let err = new Error('Invalid ZIP archive');
+        err.code = 'EINVALIDZIP';
+        throw err;
+    }
+
+    let entries = buf.readUInt16LE(endPos + 10);
+    let pos = buf.readUInt32LE(endPos + 16);
+
+    let files = [];
+    for (let i = 0; i < entries; i++) {
+        if (pos + 46 > buf.length || buf.readUInt32LE(pos) !== 0x02014b50) {
+            let err = new Error('Invalid ZIP central directory');
+            err.code = 'EINVALIDZIP';
+            throw err;
+        }
+
+        let method = buf.readUInt16LE(pos + 10);
+        let compressedSize = buf.readUInt32LE(pos + 20);
+        let uncompressedSize = buf.readUInt32LE(pos + 24);
+        let filenameLength = buf.readUInt16LE(pos + 28);
+        let extraLength = buf.readUInt16LE(pos + 30);
+        let commentLength = buf.readUInt16LE(pos + 32);
+        let localPos = buf.readUInt32LE(pos + 42);
+        let filename = buf.slice(pos + 46, pos + 46 + filenameLength).toString();
+
+        pos += 46 + filenameLength + extraLength + commentLength;
+
+        if (localPos + 30 > buf.length || buf.readUInt32LE(localPos) !== 0x04034b50) {
+            let err = new Error('Invalid ZIP file header');
+            err.code = 'EINVALIDZIP';
+            throw err;
+        }
+
+        if (/\/$/.test(filename)) {
+            // skip directories
+            continue;
+        }
+
+        // check the declared size first, the actual output is limited as well as the header can not be trusted
+        if (totalSize + uncompressedSize > maxSize) {
+            throw tooLarge(maxSize);
+        }
+
+        let dataPos = localPos + 30 + buf.readUInt16LE(localPos + 26) + buf.readUInt16LE(localPos + 28);
+        let data = buf.slice(dataPos, dataPos + compressedSize);
+
+        let content;
+        switch (method) {
+            case 0:
+                content = data;
+                break;
+            case 8:
+                try {
+                    content = zlib.inflateRawSync(data, maxSize < Infinity ? { maxOutputLength: Math.max(maxSize - totalSize, 1) } : {});
+                } catch (err) {
+                    if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+                        throw tooLarge(maxSize);
+                    }
+                    throw err;
+                }
+                break;
+            default: {
+                let err = new Error(`Unsupported ZIP compression method ${method}`);
+                err.code = 'EINVALIDZIP';
+                throw err;
+            }
+        }
+
+        totalSize += content.length;
+        if (totalSize > maxSize) {
+            throw tooLarge(maxSize);
+        }
+        files.push({ filename, content });
+    }
+
+    return files;
+};
+
+module.exports = { createZip, extractZip, crc32 };
@@ -0,0 +1,151 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const { PassThrough } = require('node:stream');
+let { parseAuthenticationResults, filterAuthenticationResults, AuthResultsFilterStream } = require('../lib/authentication-results');
+
+chai.config.includeStack = true;
+
+const message = Buffer.from(
+    [
+        'Authentication-Results: mx.example.com; spf=pass smtp.mailfrom=attacker@example.net',
+        'Received: from mail.example.net by relay.example.org',
+        'Authentication-Results: relay.example.org;',
+        ' dkim=pass header.d=example.net',
+        'authentication-results: MX.EXAMPLE.COM 1; dmarc=pass',
+        'Subject: test',
+        '',
+        'Authentication-Results: mx.example.com; body is not modified',
+        ''
+    ].join('\r\n')
+);
+
+describe('Authentication-Results Tests', () => {
+    it('Should parse Authentication-Results headers', async () => {
+        let parsed = parseAuthenticationResults(
+            [
+                'Authentication-Results: mx.example.com 1;',
+                ' dkim=pass (good signature) header.i=@example.com header.s=default header.b="TXuCNlsq";',
+                ' spf=fail reason="not permitted" smtp.mailfrom=user@example.com',
+                '   smtp.helo=mail.example.com;',
+                ' auth/1 = pass (cram-md5) smtp.auth=sender@example.net;',
+                ' iprev=pass policy.iprev=192.0.2.200 (mail.example.com)'
+            ].join('\r\n')
+        );
+
+        expect(parsed.authservId).to.equal('mx.example.com');
+        expect(parsed.version).to.equal(1);
+        expect(parsed.results).to.deep.equal([
+            {
+                method: 'dkim',
+                result: 'pass',
+                comment: 'good signature',
+                properties: { header: { i: '@example.com', s: 'default', b: 'TXuCNlsq' } }
+            },
+            {
+                method: 'spf',
+                result: 'fail',
+                reason: 'not permitted',
+                properties: { smtp: { mailfrom: 'user@example.com', helo: 'mail.example.com' } }
+            },
+            {
+                method: 'auth',
+                version: 1,
+                result: 'pass',
+                comment: 'cram-md5',
+                properties: { smtp: { auth: 'sender@example.net' } }
+            },
+            {
+                method: 'iprev',
+                result: 'pass',
+                comment: 'mail.example.com',
+                properties: { policy: { iprev: '192.0.2.200' } }
+            }
+        ]);
+
+        parsed = parseAuthenticationResults('example.org 1; none');
+        expect(parsed).to.deep.equal({ authservId: 'example.org', version: 1, results: [] });
+
+        // comments inside the header are ignored
+        parsed = parseAuthenticationResults('"mx.example.com" (nested (comment)); spf=pass smtp.mailfrom="user;name"@example.com');
+        expect(parsed.authservId).to.equal('mx.example.com');
+        expect(parsed.results[0].properties.smtp.mailfrom).to.equal('"user;name"@example.com');
+
+        expect(parseAuthenticationResults('')).to.be.false;
+    });
+
+    it('Should remove forged headers', async () => {
+        let { message: filtered, forged } = await filterAuthenticationResults(message, { authservId: 'mx.example.com' });
+
+        expect(filtered.toString()).to.equal(
+            [
+                'Received: from mail.example.net by relay.example.org',
+                'Authentication-Results: relay.example.org;',
+                ' dkim=pass header.d=example.net',
+                'Subject: test',
+                '',
+                'Authentication-Results: mx.example.com; body is not modified',
+                ''
+            ].join('\r\n')
+        );
+
+        expect(forged.length).to.equal(2);
+        expect(forged[0].results[0].properties.smtp.mailfrom).to.equal('attacker@example.net');
+    });
+
+    it('Should rename forged headers', async () => {
+        let { message: filtered } = await filterAuthenticationResults(message, { authservId: ['other.example.com', 'mx.example.com'], action: 'rename' });
+
+        expect(filtered.toString()).to.match(/^X-Original-Authentication-Results: mx\.example\.com; spf=pass/);
+        expect(filtered.toString()).to.include('\r\nX-Original-Authentication-Results: MX.EXAMPLE.COM 1; dmarc=pass\r\n');
+        expect(filtered.toString()).to.include('\r\nAuthentication-Results: relay.example.org;\r\n');
+    });
+
+    it('Should rename headers with whitespace before the colon', async () => {
+        let input = Buffer.from(
+            ['Authentication-Results : mx.example.com; spf=pass smtp.mailfrom=attacker@example.net', 'Subject: test', '', 'Hello!', ''].join('\r\n')
+        );
+        let { message: filtered, forged } = await filterAuthenticationResults(input, { authservId: 'mx.example.com', action: 'rename' });
+
+        expect(forged.length).to.equal(1);
+        expect(filtered.toString()).to.equal(
+            ['X-Original-Authentication-Results: mx.example.com; spf=pass smtp.mailfrom=attacker@example.net', 'Subject: test', '', 'Hello!', ''].join('\r\n')
+        );
+    });
+
+    it('Should filter headers as a stream', async () => {
+        let input = new PassThrough();
+        let filter = new AuthResultsFilterStream({ authservId: 'mx.example.com' });
+
+        let chunks = [];
+        let output = new Promise((resolve, reject) => {
+            filter.on('data', chunk => chunks.push(chunk));
+            filter.on('end', () => resolve(Buffer.concat(chunks)));
+            filter.on('error', reject);
+        });
+
+        input.pipe(filter);
+        // write in small chunks, so the header is split between writes
+        for (let i = 0; i < message.length; i += 10) {
+            input.write(message.slice(i, i + 10));
+        }
+        input.end();
+
+        let { message: filtered } = await filterAuthenticationResults(message, { authservId: 'mx.example.com' });
+        expect((await output).toString()).to.equal(filtered.toString());
+        expect(filter.forged.length).to.equal(2);
+    });
+
+    it('Should require authserv-id', async () => {
+        let err;
+        try {
+            await filterAuthenticationResults(message, {});
+        } catch (E) {
+            err = E;
+        }
+        expect(err.code).to.equal('ENOAUTHSERVID');
+    });
+});
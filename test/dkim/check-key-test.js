@@ -0,0 +1,120 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const { checkDkimKey } = require('../../lib/dkim/check-key');
+const { generateDkimKey } = require('../../lib/dkim/keygen');
+
+chai.config.includeStack = true;
+
+const getResolver = records => async (name, rr) => {
+    if (records[name] && rr === 'TXT') {
+        return [[records[name]]];
+    }
+    let err = new Error('Error');
+    err.code = 'ENOTFOUND';
+    throw err;
+};
+
+describe('DKIM Key Check Tests', () => {
+    let rsaKey, ed25519Key;
+
+    beforeEach(async () => {
+        rsaKey = rsaKey || (await generateDkimKey({ bits: 1024 }));
+        ed25519Key = ed25519Key || (await generateDkimKey({ type: 'ed25519' }));
+    });
+
+    it('Should match published key', async () => {
+        let result = await checkDkimKey({
+            domain: 'example.com',
+            selector: 'test',
+            privateKey: rsaKey.privateKey,
+            resolver: getResolver({ 'test._domainkey.example.com': rsaKey.record })
+        });
+
+        expect(result.name).to.equal('test._domainkey.example.com');
+        expect(result.result).to.equal('match');
+        expect(result.privateKey).to.deep.equal({ type: 'rsa', bits: 1024 });
+        expect(result.publicKey).to.deep.equal({ type: 'rsa', bits: 1024, flags: [], hashAlgorithms: [], serviceTypes: [] });
+        expect(result.issues).to.deep.equal([]);
+
+        result = await checkDkimKey({
+            domain: 'example.com',
+            selector: 'test',
+            privateKey: ed25519Key.privateKey,
+            resolver: getResolver({ 'test._domainkey.example.com': ed25519Key.record })
+        });
+
+        expect(result.result).to.equal('match');
+        expect(result.publicKey.type).to.equal('ed25519');
+    });
+
+    it('Should detect mismatching keys', async () => {
+        let otherKey = await generateDkimKey({ bits: 1024 });
+
+        let result = await checkDkimKey({
+            domain: 'example.com',
+            selector: 'test',
+            privateKey: rsaKey.privateKey,
+            resolver: getResolver({ 'test._domainkey.example.com': otherKey.record })
+        });
+        expect(result.result).to.equal('mismatch');
+        expect(result.issues.map(issue => issue.code)).to.deep.equal(['key-mismatch']);
+
+        result = await checkDkimKey({
+            domain: 'example.com',
+            selector: 'test',
+            privateKey: rsaKey.privateKey,
+            resolver: getResolver({ 'test._domainkey.example.com': ed25519Key.record })
+        });
+        expect(result.result).to.equal('mismatch');
+        expect(result.issues.map(issue => issue.code)).to.deep.equal(['key-type-mismatch']);
+    });
+
+    it('Should report record restrictions', async () => {
+        let result = await checkDkimKey({
+            domain: 'example.com',
+            selector: 'test',
+            privateKey: rsaKey.privateKey,
+            resolver: getResolver({ 'test._domainkey.example.com': rsaKey.record.replace('k=rsa;', 'k=rsa; t=y:s; h=sha1; s=tlsrpt;') })
+        });
+
+        expect(result.result).to.equal('match');
+        expect(result.publicKey).to.deep.include({ flags: ['y', 's'], hashAlgorithms: ['sha1'], serviceTypes: ['tlsrpt'] });
+        expect(result.issues.map(issue => `${issue.level} ${issue.code}`)).to.deep.equal([
+            'error hash-not-allowed',
+            'error service-not-allowed',
+            'warning testing',
+            'warning strict'
+        ]);
+    });
+
+    it('Should report lookup errors', async () => {
+        let result = await checkDkimKey({
+            domain: 'example.com',
+            selector: 'test',
+            privateKey: rsaKey.privateKey,
+            resolver: getResolver({ 'test._domainkey.example.com': 'v=DKIM1; k=rsa; p=' })
+        });
+        expect(result.result).to.equal('error');
+        expect(result.issues[0].code).to.equal('revoked-key');
+
+        result = await checkDkimKey({ domain: 'example.com', selector: 'missing', privateKey: rsaKey.privateKey, resolver: getResolver({}) });
+        expect(result.issues[0].code).to.equal('no-key');
+
+        result = await checkDkimKey({ domain: 'example.com', selector: 'test', privateKey: 'invalid', resolver: getResolver({}) });
+        expect(result.issues[0].code).to.equal('invalid-private-key');
+
+        result = await checkDkimKey({
+            domain: 'example.com',
+            selector: 'test',
+            privateKey: ed25519Key.privateKey,
+            algorithm: 'rsa-sha256',
+            resolver: getResolver({ 'test._domainkey.example.com': ed25519Key.record })
+        });
+        expect(result.result).to.equal('match');
+        expect(result.issues[0].code).to.equal('algorithm-mismatch');
+    });
+});
@@ -0,0 +1,159 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const crypto = require('node:crypto');
+const chai = require('chai');
+const expect = chai.expect;
+
+const { dkimSign } = require('../../lib/dkim/sign');
+const { dkimVerify } = require('../../lib/dkim/verify');
+const { generateDkimKey } = require('../../lib/dkim/keygen');
+const { parseCopiedHeaders, getBodyDiagnostics } = require('../../lib/dkim/diagnostics');
+const { dkimBody } = require('../../lib/dkim/body');
+
+chai.config.includeStack = true;
+
+const message = [
+    'From: user@example.com',
+    'Subject: hello',
+    'Content-Type: multipart/mixed; boundary="abc"',
+    '',
+    'preamble',
+    '--abc',
+    'Content-Type: text/plain',
+    '',
+    'Part one',
+    '--abc',
+    'Content-Type: text/plain',
+    '',
+    'Part two',
+    '--abc--',
+    ''
+].join('\r\n');
+
+describe('DKIM Diagnostics Tests', () => {
+    let key, resolver;
+
+    beforeEach(async () => {
+        if (!key) {
+            key = await generateDkimKey({ bits: 1024, selector: 'test', domain: 'example.com' });
+            resolver = async name => {
+                if (name === key.name) {
+                    return [key.txt];
+                }
+                let err = new Error('Error');
+                err.code = 'ENOTFOUND';
+                throw err;
+            };
+        }
+    });
+
+    const signAndVerify = async (modify, signOpts) => {
+        let signResult = await dkimSign(message, {
+            signatureData: [Object.assign({ signingDomain: 'example.com', selector: 'test', privateKey: key.privateKey }, signOpts)]
+        });
+        let signed = modify(signResult.signatures + message);
+        let result = await dkimVerify(Buffer.from(signed), { resolver, diagnostics: true });
+        return result.results[0];
+    };
+
+    it('Should not include diagnostics for valid signatures', async () => {
+        let result = await signAndVerify(signed => signed);
+        expect(result.status.result).to.equal('pass');
+        expect(result.diagnostics).to.be.undefined;
+    });
+
+    it('Should detect footer after the MIME structure', async () => {
+        let result = await signAndVerify(signed => signed + 'Footer text\r\n');
+
+        expect(result.status.comment).to.equal('body hash did not verify');
+        expect(result.diagnostics.reason).to.equal('body');
+        expect(result.diagnostics.body.parts.map(part => part.part)).to.deep.equal([1, 2]);
+        expect(result.diagnostics.body.modification).to.deep.equal({ type: 'appended', offset: 109, length: 13, location: 'epilogue' });
+    });
+
+    it('Should detect added MIME parts', async () => {
+        let result = await signAndVerify(signed => signed.replace('--abc--', '--abc\r\nContent-Type: text/plain\r\n\r\nFooter\r\n--abc--'));
+
+        expect(result.diagnostics.body.parts.length).to.equal(3);
+        expect(result.diagnostics.body.modification).to.deep.include({ type: 'parts-added', part: 3 });
+    });
+
+    it('Should detect content appended to a MIME part', async () => {
+        let result = await signAndVerify(signed => signed.replace('--abc--', 'Footer\r\n--abc--'));
+
+        expect(result.diagnostics.body.modification).to.deep.equal({ type: 'appended', offset: 100, length: 8, location: 'part', part: 2 });
+    });
+
+    it('Should detect truncated body', async () => {
+        let result = await signAndVerify(signed => signed.replace('Part two\r\n--abc--\r\n', ''), { maxBodyLength: 100 });
+
+        expect(result.diagnostics.body).to.deep.include({ maxBodyLength: 100, canonicalizedLength: 88 });
+        expect(result.diagnostics.body.modification).to.deep.equal({ type: 'truncated', offset: 88, length: 12 });
+    });
+
+    it('Should compare copied headers', async () => {
+        let result = await signAndVerify(signed =>
+            signed
+                .replace('Subject: hello', 'Subject: changed')
+                .replace('DKIM-Signature: ', 'DKIM-Signature: z=From:user@example.com|Subject:hello|To:rcpt=40example.net; ')
+        );
+
+        expect(result.status.comment).to.equal('bad signature');
+        expect(result.diagnostics.reason).to.equal('header');
+        expect(result.diagnostics.header.canonicalizedHeader).to.match(
+            /^content-type:multipart\/mixed; boundary="abc"\r\nsubject:changed\r\nfrom:user@example.com\r\n/
+        );
+        expect(result.diagnostics.header.copiedHeaders).to.deep.equal([
+            { key: 'From', original: 'user@example.com', current: 'user@example.com', changed: false },
+            { key: 'Subject', original: 'hello', current: 'changed', changed: true },
+            { key: 'To', original: 'rcpt@example.net', current: false, changed: true }
+        ]);
+    });
+
+    it('Should limit the kept body copy', async () => {
+        let hasher = dkimBody('relaxed/relaxed', 'sha256');
+        hasher.keepCanonicalizedBody(10);
+        hasher.update(Buffer.from('Hello world!\r\nSecond line\r\n'));
+        hasher.digest('base64');
+
+        expect(Buffer.concat(hasher.canonicalizedChunks).toString()).to.equal('Hello worl');
+        expect(hasher.canonicalizedLength).to.equal(27);
+    });
+
+    it('Should detect appended content from a partial body', async () => {
+        let body = Buffer.from('Hello world!\r\nFooter\r\n');
+        let bodyHash = crypto.createHash('sha256').update('Hello world!\r\n').digest('base64');
+
+        let diagnostics = getBodyDiagnostics(body.subarray(0, 16), { hashAlgo: 'sha256', bodyHash, canonicalizedLength: body.length });
+        expect(diagnostics).to.deep.equal({
+            canonicalizedLength: 22,
+            examinedLength: 16,
+            modification: { type: 'appended', offset: 14, length: 8, location: 'body' }
+        });
+    });
+
+    it('Should skip part checks for messages with many parts', async () => {
+        let lines = [];
+        for (let i = 0; i < 2000; i++) {
+            lines.push('--abc', 'Content-Type: text/plain', '', 'Part content');
+        }
+        lines.push('--abc--', '');
+        let body = Buffer.from(lines.join('\r\n'));
+
+        let start = Date.now();
+        let diagnostics = getBodyDiagnostics(body, { hashAlgo: 'sha256', bodyHash: 'invalid', boundary: 'abc' });
+        expect(Date.now() - start).to.be.below(1000);
+        expect(diagnostics.parts.length).to.equal(2000);
+        expect(diagnostics.modification).to.be.undefined;
+    });
+
+    it('Should decode copied header values', async () => {
+        expect(parseCopiedHeaders('Subject:hello=3B=20world|To:a=7Cb\r\n\t|Date:x')).to.deep.equal([
+            { key: 'Subject', value: 'hello; world' },
+            { key: 'To', value: 'a|b' },
+            { key: 'Date', value: 'x' }
+        ]);
+    });
+});
@@ -0,0 +1,94 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const chai = require('chai');
+const expect = chai.expect;
+
+const { dkimSign } = require('../../lib/dkim/sign');
+const { dkimVerify } = require('../../lib/dkim/verify');
+const { generateDkimKey } = require('../../lib/dkim/keygen');
+const { getSigningHeaderLines, parseHeaders } = require('../../lib/tools');
+
+chai.config.includeStack = true;
+
+const message = [
+    'From: user@example.com',
+    'To: rcpt@example.net',
+    'Received: from localhost',
+    'To: other@example.net',
+    'Subject: hello',
+    '',
+    'Hello world!',
+    ''
+].join('\r\n');
+
+describe('DKIM Oversigning Tests', () => {
+    let key, resolver;
+
+    beforeEach(async () => {
+        if (!key) {
+            key = await generateDkimKey({ bits: 1024, selector: 'test', domain: 'example.com' });
+            resolver = async name => {
+                if (name === key.name) {
+                    return [key.txt];
+                }
+                let err = new Error('Error');
+                err.code = 'ENOTFOUND';
+                throw err;
+            };
+        }
+    });
+
+    const sign = async options =>
+        (await dkimSign(message, Object.assign({ signatureData: [{ signingDomain: 'example.com', selector: 'test', privateKey: key.privateKey }] }, options)))
+            .signatures;
+
+    const verify = async signed => (await dkimVerify(Buffer.from(signed), { resolver })).results[0];
+
+    it('Should list oversigned keys', async () => {
+        let { parsed } = parseHeaders(Buffer.from(message));
+
+        let { keys, headers } = getSigningHeaderLines(parsed, 'From:To:Subject', false, 'to:Reply-To:Received');
+        expect(keys).to.equal('Subject: To: Received: To: From: To: Reply-To: Received');
+        expect(headers.map(header => header.key)).to.deep.equal(['subject', 'to', 'received', 'to', 'from']);
+
+        // oversigning is ignored for verification
+        ({ keys } = getSigningHeaderLines(parsed, 'From:From', true, true));
+        expect(keys).to.equal('From');
+
+        ({ keys } = getSigningHeaderLines(parsed, 'From', false, true));
+        expect(keys).to.equal('Subject: To: To: From: From: To: Subject: Date: Reply-To: Content-Type');
+    });
+
+    it('Should reject added headers', async () => {
+        let signatures = await sign({ oversign: true });
+        expect(signatures).to.match(/h=Subject: To: To: From: \w/);
+
+        let result = await verify(signatures + message);
+        expect(result.status.result).to.equal('pass');
+        expect(result.risks.filter(risk => ['unsigned-header', 'not-oversigned'].includes(risk.code))).to.deep.equal([]);
+
+        for (let added of ['From: attacker@example.org', 'Subject: changed', 'Reply-To: attacker@example.org']) {
+            result = await verify(signatures + added + '\r\n' + message);
+            expect(result.status.result).to.equal('fail');
+        }
+
+        // without oversigning, a prepended From header does not break the signature
+        signatures = await sign();
+        result = await verify(signatures + 'From: attacker@example.org\r\n' + message);
+        expect(result.status.result).to.equal('pass');
+    });
+
+    it('Should oversign custom header list', async () => {
+        let signatures = await sign({ oversign: ['From'] });
+        let result = await verify(signatures + message);
+        expect(result.status.result).to.equal('pass');
+
+        result = await verify(signatures + 'From: attacker@example.org\r\n' + message);
+        expect(result.status.result).to.equal('fail');
+
+        result = await verify(signatures + 'Subject: changed\r\n' + message);
+        expect(result.status.result).to.equal('pass');
+    });
+});
@@ -0,0 +1,99 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const chai = require('chai');
+const expect = chai.expect;
+
+const { dkimSign } = require('../../lib/dkim/sign');
+const { dkimVerify } = require('../../lib/dkim/verify');
+const { generateDkimKey } = require('../../lib/dkim/keygen');
+
+chai.config.includeStack = true;
+
+const message = ['From: user@example.com', 'To: rcpt@example.net', 'Subject: hello', '', 'Hello world!', ''].join('\r\n');
+
+const curTime = new Date('2024-06-01T00:00:00Z');
+
+describe('DKIM Risk Assessment Tests', () => {
+    let key, resolver;
+
+    beforeEach(async () => {
+        if (!key) {
+            key = await generateDkimKey({ bits: 1024, selector: 'test', domain: 'example.com' });
+            resolver = async name => {
+                if (name === key.name) {
+                    return [key.txt];
+                }
+                let err = new Error('Error');
+                err.code = 'ENOTFOUND';
+                throw err;
+            };
+        }
+    });
+
+    const signAndVerify = async (signOpts, verifyOpts, modify) => {
+        let signResult = await dkimSign(
+            message,
+            Object.assign(
+                {
+                    signTime: curTime,
+                    signatureData: [{ signingDomain: 'example.com', selector: 'test', privateKey: key.privateKey }]
+                },
+                signOpts
+            )
+        );
+        let signed = (modify || (signed => signed))(signResult.signatures + message);
+        let result = await dkimVerify(Buffer.from(signed), Object.assign({ resolver, curTime }, verifyOpts));
+        return result.results[0];
+    };
+
+    it('Should list risks for a passing signature', async () => {
+        let result = await signAndVerify({ headerList: 'From:Subject' });
+
+        expect(result.status.result).to.equal('pass');
+        expect(result.risks.map(risk => `${risk.level} ${risk.code}${risk.header ? ` ${risk.header}` : ''}`)).to.deep.equal([
+            'medium not-oversigned from',
+            'low not-oversigned subject',
+            'medium unsigned-header to',
+            'medium weak-key',
+            'low no-expiration'
+        ]);
+    });
+
+    it('Should detect weak signature properties', async () => {
+        let result = await signAndVerify(
+            {
+                algorithm: 'rsa-sha1',
+                signTime: new Date('2024-01-01T00:00:00Z'),
+                signatureData: [{ signingDomain: 'example.com', selector: 'test', privateKey: key.privateKey, maxBodyLength: 5 }]
+            },
+            {}
+        );
+
+        expect(result.status.result).to.equal('pass');
+        let codes = result.risks.map(risk => risk.code);
+        expect(codes).to.include.members(['unsigned-content', 'sha1', 'old-signature']);
+        expect(codes).to.not.include('no-timestamp');
+    });
+
+    it('Should detect identity mismatch', async () => {
+        let result = await signAndVerify({}, {}, signed => signed.replace('d=example.com;', 'd=example.com; i=user@example.org;'));
+        expect(result.risks.find(risk => risk.code === 'identity-mismatch')).to.deep.include({ level: 'high' });
+    });
+
+    it('Should apply risk policy', async () => {
+        let result = await signAndVerify({ algorithm: 'rsa-sha1' }, { riskPolicy: true });
+        expect(result.status.result).to.equal('policy');
+        expect(result.status.policy['dkim-rules']).to.equal('sha1');
+        expect(result.info).to.match(/^dkim=policy policy.dkim-rules=sha1 /);
+
+        result = await signAndVerify({ headerList: 'From:Subject' }, { riskPolicy: ['weak-key', 'unsigned-header'] });
+        expect(result.status.policy['dkim-rules']).to.equal('unsigned-header,weak-key');
+        expect(result.info).to.include('policy.dkim-rules="unsigned-header,weak-key"');
+
+        // low risks are ignored by default
+        result = await signAndVerify({}, { riskPolicy: true });
+        expect(result.status.result).to.equal('pass');
+    });
+});
@@ -0,0 +1,167 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const zlib = require('node:zlib');
+const chai = require('chai');
+const expect = chai.expect;
+const { XMLParser } = require('fast-xml-parser');
+
+let { dmarc, AggregateReport, createReportMessage } = require('../../lib/dmarc');
+
+chai.config.includeStack = true;
+
+const ARRAY_PATHS = ['feedback.record', 'feedback.record.auth_results.dkim'];
+
+const resolver = async (name, rr) => {
+    if (rr === 'TXT' && name === '_dmarc.example.com') {
+        return [['v=DMARC1; p=reject; sp=quarantine; rua=mailto:dmarc@example.com,mailto:other@example.net!10m']];
+    }
+    let err = new Error('Error');
+    err.code = 'ENOTFOUND';
+    throw err;
+};
+
+const getResult = async (from, ip, pass) => {
+    const spf = {
+        domain: 'example.com',
+        'client-ip': ip,
+        status: { result: pass ? 'pass' : 'fail' }
+    };
+
+    const dkim = {
+        results: [
+            {
+                signingDomain: pass ? 'example.com' : 'example.org',
+                selector: 'test',
+                status: { result: 'pass' }
+            }
+        ]
+    };
+
+    return {
+        spf,
+        dkim,
+        dmarc: await dmarc({
+            headerFrom: from,
+            spfDomains: pass ? ['example.com'] : [],
+            dkimDomains: pass ? [{ domain: 'example.com' }] : [{ domain: 'example.org' }],
+            resolver
+        })
+    };
+};
+
+describe('DMARC Aggregate Report Tests', () => {
+    it('Should group results into records', async () => {
+        const report = new AggregateReport({
+            orgName: 'Receiver',
+            email: 'noreply-dmarc@receiver.example',
+            submitter: 'mx.receiver.example',
+            reportId: 'test-report',
+            begin: new Date('2024-01-01T00:00:00Z'),
+            end: new Date('2024-01-02T00:00:00Z')
+        });
+
+        expect(report.add(await getResult('user@example.com', '192.0.2.1', true))).to.be.true;
+        expect(report.add(await getResult('user@example.com', '192.0.2.1', true))).to.be.true;
+        expect(report.add(await getResult('user@sub.example.com', '192.0.2.2', false))).to.be.true;
+        expect(report.add(await getResult('user@unknown.example.net', '192.0.2.2', false))).to.be.false;
+
+        const reports = report.getReports();
+        expect(reports.length).to.equal(1);
+        expect(reports[0].messages).to.equal(3);
+        expect(reports[0].rua.map(e => e.address)).to.deep.equal(['dmarc@example.com', 'other@example.net']);
+
+        const parsed = new XMLParser({ isArray: (name, jpath) => ARRAY_PATHS.includes(jpath) }).parse(reports[0].xml);
+
+        expect(parsed.feedback.report_metadata).to.deep.equal({
+            org_name: 'Receiver',
+            email: 'noreply-dmarc@receiver.example',
+            report_id: 'test-report',
+            date_range: { begin: 1704067200, end: 1704153600 }
+        });
+
+        expect(parsed.feedback.policy_published).to.deep.equal({
+            domain: 'example.com',
+            adkim: 'r',
+            aspf: 'r',
+            p: 'reject',
+            sp: 'quarantine',
+            pct: 100,
+            fo: 0
+        });
+
+        const records = parsed.feedback.record;
+        expect(records.length).to.equal(2);
+
+        expect(records[0].row).to.deep.equal({
+            source_ip: '192.0.2.1',
+            count: 2,
+            policy_evaluated: { disposition: 'none', dkim: 'pass', spf: 'pass' }
+        });
+        expect(records[0].identifiers).to.deep.equal({ envelope_from: 'example.com', header_from: 'example.com' });
+
+        expect(records[1].row.policy_evaluated).to.deep.equal({ disposition: 'quarantine', dkim: 'fail', spf: 'fail' });
+        expect(records[1].identifiers.header_from).to.equal('sub.example.com');
+        expect(records[1].auth_results.dkim[0]).to.deep.equal({ domain: 'example.org', selector: 'test', result: 'pass' });
+        expect(records[1].auth_results.spf).to.deep.equal({ domain: 'example.com', scope: 'mfrom', result: 'fail' });
+    });
+
+    it('Should require reporting organization details', async () => {
+        expect(() => new AggregateReport())
+            .to.throw()
+            .with.property('code', 'ENOORGNAME');
+        expect(() => new AggregateReport({ email: 'noreply-dmarc@receiver.example' }))
+            .to.throw()
+            .with.property('code', 'ENOORGNAME');
+        expect(() => new AggregateReport({ orgName: 'Receiver' }))
+            .to.throw()
+            .with.property('code', 'ENOEMAIL');
+    });
+
+    it('Should use provided disposition and override reasons', async () => {
+        const report = new AggregateReport({ orgName: 'Receiver', email: 'noreply-dmarc@receiver.example', reportId: 'test' });
+
+        report.add(await getResult('user@example.com', '192.0.2.3', false), {
+            disposition: 'none',
+            reasons: [{ type: 'forwarded', comment: 'known forwarder' }]
+        });
+
+        const parsed = new XMLParser().parse(report.getReports()[0].xml);
+        expect(parsed.feedback.record.row.policy_evaluated).to.deep.equal({
+            disposition: 'none',
+            dkim: 'fail',
+            spf: 'fail',
+            reason: { type: 'forwarded', comment: 'known forwarder' }
+        });
+    });
+
+    it('Should create report email', async () => {
+        const report = new AggregateReport({
+            orgName: 'Receiver',
+            email: 'noreply-dmarc@receiver.example',
+            submitter: 'mx.receiver.example',
+            reportId: 'test-report',
+            begin: new Date('2024-01-01T00:00:00Z'),
+            end: new Date('2024-01-02T00:00:00Z')
+        });
+        report.add(await getResult('user@example.com', '192.0.2.1', true));
+
+        const [entry] = report.getReports();
+
+        const gzipped = await createReportMessage(entry, { resolver });
+        expect(gzipped.filename).to.equal('mx.receiver.example!example.com!1704067200!1704153600.xml.gz');
+        // external destination does not authorize the reports
+        expect(gzipped.to).to.deep.equal(['dmarc@example.com']);
+        expect(gzipped.destinations[1]).to.deep.include({ address: 'other@example.net', authorized: false, reason: 'not-authorized' });
+        expect(zlib.gunzipSync(gzipped.attachment).toString()).to.equal(entry.xml);
+
+        const message = gzipped.message.toString().replace(/\r?\n\s+/g, ' ');
+        expect(message).to.include('Subject: Report Domain: example.com Submitter: mx.receiver.example Report-ID: <test-report>');
+        expect(message).to.include('Content-Type: application/gzip');
+
+        const zipped = await createReportMessage(entry, { compression: 'zip', verifyDestinations: false });
+        expect(zipped.to).to.deep.equal(['dmarc@example.com', 'other@example.net']);
+        expect(zipped.filename).to.equal('mx.receiver.example!example.com!1704067200!1704153600.zip');
+        expect(zipped.attachment.readUInt32LE(0)).to.equal(0x04034b50);
+    });
+});
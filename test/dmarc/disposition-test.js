@@ -0,0 +1,94 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { getDisposition } = require('../../lib/dmarc');
+
+chai.config.includeStack = true;
+
+const getResult = (result, policy, pct, arc) => ({
+    dmarc: {
+        status: { result },
+        policy,
+        pct
+    },
+    arc: arc || { status: { result: 'none' } }
+});
+
+const trustedArc = signingDomain => ({
+    status: { result: 'pass' },
+    signature: { signingDomain },
+    authenticationResults: { dmarc: { result: 'pass' } }
+});
+
+describe('DMARC Disposition Tests', () => {
+    it('Should apply policy for failing messages', async () => {
+        expect(getDisposition(getResult('fail', 'reject'))).to.deep.equal({ disposition: 'reject', policy: 'reject', reasons: [] });
+        expect(getDisposition(getResult('pass', 'reject'))).to.deep.equal({ disposition: 'none', policy: 'reject', reasons: [] });
+        expect(getDisposition(getResult('none'))).to.deep.equal({ disposition: 'none', policy: 'none', reasons: [] });
+        expect(getDisposition(false).disposition).to.equal('none');
+    });
+
+    it('Should sample by pct', async () => {
+        expect(getDisposition(getResult('fail', 'reject', 20), { random: () => 0.1 })).to.deep.equal({
+            disposition: 'reject',
+            policy: 'reject',
+            reasons: []
+        });
+
+        expect(getDisposition(getResult('fail', 'reject', 20), { random: () => 0.5 })).to.deep.equal({
+            disposition: 'quarantine',
+            policy: 'reject',
+            reasons: [{ type: 'sampled_out', comment: 'pct=20' }]
+        });
+
+        expect(getDisposition(getResult('fail', 'quarantine', 0), { random: () => 0 }).disposition).to.equal('none');
+    });
+
+    it('Should override for trusted forwarders', async () => {
+        expect(getDisposition(getResult('fail', 'reject', 100, trustedArc('google.com')))).to.deep.equal({
+            disposition: 'none',
+            policy: 'reject',
+            reasons: [{ type: 'trusted_forwarder', comment: 'arc=pass as.d=google.com' }]
+        });
+
+        // not in the default trust list
+        expect(getDisposition(getResult('fail', 'reject', 100, trustedArc('example.com'))).disposition).to.equal('reject');
+
+        const custom = getDisposition(getResult('fail', 'reject', 100, trustedArc('arc.example.com')), { trustedForwarders: ['example.com'] });
+        expect(custom.disposition).to.equal('none');
+
+        // ARC chain does not vouch for DMARC
+        const arc = trustedArc('google.com');
+        arc.authenticationResults.dmarc.result = 'fail';
+        expect(getDisposition(getResult('fail', 'reject', 100, arc)).disposition).to.equal('reject');
+    });
+
+    it('Should apply local overrides', async () => {
+        expect(getDisposition(getResult('fail', 'reject'), { forwarded: 'known forwarder' })).to.deep.equal({
+            disposition: 'none',
+            policy: 'reject',
+            reasons: [{ type: 'forwarded', comment: 'known forwarder' }]
+        });
+
+        expect(getDisposition(getResult('fail', 'quarantine'), { mailingList: true })).to.deep.equal({
+            disposition: 'none',
+            policy: 'quarantine',
+            reasons: [{ type: 'mailing_list' }]
+        });
+
+        expect(getDisposition(getResult('fail', 'reject'), { localPolicy: 'quarantine' })).to.deep.equal({
+            disposition: 'quarantine',
+            policy: 'reject',
+            reasons: [{ type: 'local_policy' }]
+        });
+
+        expect(getDisposition(getResult('pass', 'reject'), { localPolicy: 'none', mailingList: true })).to.deep.equal({
+            disposition: 'none',
+            policy: 'reject',
+            reasons: []
+        });
+    });
+});
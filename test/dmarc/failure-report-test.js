@@ -0,0 +1,123 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { authenticate } = require('../../lib/mailauth');
+let { shouldSendFailureReport, createFailureReport } = require('../../lib/dmarc');
+
+chai.config.includeStack = true;
+
+const message = Buffer.from(
+    [
+        'From: Sender <user@example.com>',
+        'To: Recipient <rcpt@receiver.example>',
+        'Subject: Test message',
+        'Message-ID: <abc@example.com>',
+        '',
+        'Hello world!',
+        ''
+    ].join('\r\n')
+);
+
+const getResolver = dmarcRecord => async (name, rr) => {
+    if (rr === 'TXT' && name === '_dmarc.example.com') {
+        return [[dmarcRecord]];
+    }
+    if (rr === 'TXT' && name === 'example.com') {
+        return [['v=spf1 ip4:192.0.2.1 -all']];
+    }
+    let err = new Error('Error');
+    err.code = 'ENOTFOUND';
+    throw err;
+};
+
+const getResult = async (dmarcRecord, ip) =>
+    await authenticate(message, {
+        ip,
+        helo: 'mx.example.com',
+        sender: 'bounces@example.com',
+        mta: 'mx.receiver.example',
+        disableArc: true,
+        disableBimi: true,
+        resolver: getResolver(dmarcRecord)
+    });
+
+describe('DMARC Failure Report Tests', () => {
+    it('Should evaluate fo options', async () => {
+        const failing = await getResult('v=DMARC1; p=reject; ruf=mailto:ruf@example.com', '192.0.2.2');
+        expect(failing.dmarc.status.result).to.equal('fail');
+        expect(shouldSendFailureReport(failing)).to.be.true;
+
+        const passing = await getResult('v=DMARC1; p=reject; ruf=mailto:ruf@example.com', '192.0.2.1');
+        expect(passing.dmarc.status.result).to.equal('pass');
+        expect(shouldSendFailureReport(passing)).to.be.false;
+
+        // DKIM did not produce an aligned pass
+        const partial = await getResult('v=DMARC1; p=reject; fo=1; ruf=mailto:ruf@example.com', '192.0.2.1');
+        expect(shouldSendFailureReport(partial)).to.be.true;
+
+        const spfOnly = await getResult('v=DMARC1; p=reject; fo=s; ruf=mailto:ruf@example.com', '192.0.2.1');
+        expect(shouldSendFailureReport(spfOnly)).to.be.false;
+
+        const noRuf = await getResult('v=DMARC1; p=reject; rua=mailto:rua@example.com', '192.0.2.2');
+        expect(shouldSendFailureReport(noRuf)).to.be.false;
+
+        const otherFormat = await getResult('v=DMARC1; p=reject; rf=iodef; ruf=mailto:ruf@example.com', '192.0.2.2');
+        expect(shouldSendFailureReport(otherFormat)).to.be.false;
+    });
+
+    it('Should create ARF report', async () => {
+        const result = await getResult('v=DMARC1; p=reject; fo=0:s; ruf=mailto:ruf@example.com', '192.0.2.2');
+
+        const report = await createFailureReport(result, {
+            from: 'postmaster@receiver.example',
+            mta: 'mx.receiver.example',
+            recipients: ['rcpt@receiver.example'],
+            arrivalDate: new Date('2024-01-01T00:00:00Z'),
+            deliveryResult: 'reject'
+        });
+
+        expect(report.to).to.deep.equal(['ruf@example.com']);
+        expect(report.authFailure).to.equal('dmarc');
+        expect(report.identityAlignment).to.equal('none');
+
+        const output = report.message.toString().replace(/\r?\n\s+/g, ' ');
+        expect(output).to.include('Content-Type: multipart/report; report-type=feedback-report;');
+        expect(output).to.include('Content-Type: message/feedback-report');
+        expect(output).to.include('Content-Type: text/rfc822-headers');
+        expect(output).to.include('Feedback-Type: auth-failure');
+        expect(output).to.include('Original-Mail-From: <bounces@example.com>');
+        expect(output).to.include('Original-Rcpt-To: <rcpt@receiver.example>');
+        expect(output).to.include('Arrival-Date: Mon, 01 Jan 2024 00:00:00 +0000');
+        expect(output).to.include('Source-IP: 192.0.2.2');
+        expect(output).to.include('Reported-Domain: example.com');
+        expect(output).to.include('Auth-Failure: dmarc');
+        expect(output).to.include('Identity-Alignment: none');
+        expect(output).to.include('Subject: Test message');
+    });
+
+    it('Should redact addresses', async () => {
+        const result = await getResult('v=DMARC1; p=reject; ruf=mailto:ruf@example.com', '192.0.2.2');
+
+        const report = await createFailureReport(result, { redact: 'secret', recipients: ['rcpt@receiver.example'] });
+
+        const output = report.message.toString();
+        expect(output).to.not.include('user@example.com');
+        expect(output).to.not.include('bounces@example.com');
+        expect(output).to.not.include('rcpt@receiver.example');
+        expect(output).to.match(/Original-Mail-From: <[0-9a-f]{16}@example\.com>/);
+    });
+
+    it('Should skip messages that do not require a report', async () => {
+        const result = await getResult('v=DMARC1; p=reject; ruf=mailto:ruf@example.com', '192.0.2.1');
+        expect(await createFailureReport(result)).to.be.false;
+    });
+
+    it('Should skip reports when no destination is authorized', async () => {
+        const result = await getResult('v=DMARC1; p=reject; ruf=mailto:ruf@reports.example.net,mailto:ruf@unknown.example', '192.0.2.2');
+        expect(shouldSendFailureReport(result)).to.be.true;
+        expect(await createFailureReport(result)).to.be.false;
+    });
+});
@@ -0,0 +1,76 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { lintDmarcRecord, buildDmarcRecord } = require('../../lib/dmarc');
+
+chai.config.includeStack = true;
+
+describe('DMARC Record Linter Tests', () => {
+    it('Should accept a valid record', async () => {
+        const result = lintDmarcRecord('v=DMARC1; p=reject; sp=quarantine; pct=100; rua=mailto:dmarc@example.com!10m; ruf=mailto:ruf@example.com; fo=1:d');
+        expect(result.valid).to.be.true;
+        expect(result.issues).to.deep.equal([]);
+        expect(result.record.p).to.equal('reject');
+    });
+
+    it('Should report errors with positions', async () => {
+        const result = lintDmarcRecord('v=DMARC1; p=rejetc; pct=150; rua=reports@example.com; p=none');
+        expect(result.valid).to.be.false;
+        expect(result.issues).to.deep.equal([
+            { severity: 'error', tag: 'p', message: 'Invalid value "rejetc" for tag "p", did you mean "reject"?', position: 12, length: 6 },
+            { severity: 'error', tag: 'pct', message: 'Invalid value "150" for tag "pct", expecting an integer between 0 and 100', position: 24, length: 3 },
+            { severity: 'error', tag: 'rua', message: 'Report URI "reports@example.com" is missing the "mailto:" scheme', position: 33, length: 19 },
+            { severity: 'error', tag: 'p', message: 'Duplicate tag "p"', position: 54, length: 6 }
+        ]);
+    });
+
+    it('Should report structural problems', async () => {
+        expect(lintDmarcRecord('').issues[0].message).to.equal('Empty DMARC record');
+        expect(lintDmarcRecord('p=reject; v=DMARC1').issues.map(issue => issue.message)).to.include('Record must start with "v=DMARC1"');
+        expect(lintDmarcRecord('v=DMARC2; p=none; rua=mailto:a@example.com').issues[0].message).to.equal('Invalid version "DMARC2", expecting "DMARC1"');
+
+        const missingPolicy = lintDmarcRecord('v=DMARC1; rua=mailto:a@example.com; fo=1; foo=bar');
+        expect(missingPolicy.valid).to.be.true;
+        expect(missingPolicy.issues.map(issue => [issue.severity, issue.tag])).to.deep.equal([
+            ['warning', 'p'],
+            ['warning', 'fo'],
+            ['warning', 'foo']
+        ]);
+    });
+
+    it('Should build canonical records', async () => {
+        expect(
+            buildDmarcRecord({
+                rua: ['dmarc@example.com', 'mailto:other@example.net!10m'],
+                p: 'Reject',
+                adkim: 'r',
+                aspf: 's',
+                pct: 100,
+                fo: ['1', 'd'],
+                ruf: 'ruf@example.com',
+                t: true
+            })
+        ).to.equal('v=DMARC1; p=reject; t=y; aspf=s; fo=1:d; rua=mailto:dmarc@example.com,mailto:other@example.net!10m; ruf=mailto:ruf@example.com');
+    });
+
+    it('Should build records from mixed-case tag names', async () => {
+        expect(buildDmarcRecord({ P: 'reject', SP: 'none', Rua: 'dmarc@example.com' })).to.equal('v=DMARC1; p=reject; sp=none; rua=mailto:dmarc@example.com');
+        expect(() => buildDmarcRecord({ p: 'reject', P: 'none' })).to.throw(/Duplicate DMARC tag/);
+    });
+
+    it('Should refuse to build invalid records', async () => {
+        let error;
+        try {
+            buildDmarcRecord({ p: 'rejetc' });
+        } catch (err) {
+            error = err;
+        }
+        expect(error.code).to.equal('EINVALIDRECORD');
+        expect(error.issues[0].tag).to.equal('p');
+
+        expect(() => buildDmarcRecord({ p: 'reject', policy: 'none' })).to.throw(/Unknown DMARC tag/);
+    });
+});
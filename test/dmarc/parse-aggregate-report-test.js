@@ -0,0 +1,220 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const zlib = require('node:zlib');
+const chai = require('chai');
+const expect = chai.expect;
+
+let { parseAggregateReport } = require('../../lib/dmarc/parse-aggregate-report');
+let { createZip } = require('../../lib/zip');
+
+chai.config.includeStack = true;
+
+const reportXml = `<?xml version="1.0" encoding="UTF-8" ?>
+<feedback>
+  <version>1.0</version>
+  <report_metadata>
+    <org_name>google.com</org_name>
+    <email>noreply-dmarc-support@google.com</email>
+    <extra_contact_info>https://support.google.com/a/answer/2466580</extra_contact_info>
+    <report_id>1234567890</report_id>
+    <date_range>
+      <begin>1704067200</begin>
+      <end>1704153599</end>
+    </date_range>
+  </report_metadata>
+  <policy_published>
+    <domain>example.com</domain>
+    <adkim>r</adkim>
+    <aspf>s</aspf>
+    <p>reject</p>
+    <sp>reject</sp>
+    <pct>100</pct>
+    <np>reject</np>
+  </policy_published>
+  <record>
+    <row>
+      <source_ip>192.0.2.1</source_ip>
+      <count>5</count>
+      <policy_evaluated>
+        <disposition>none</disposition>
+        <dkim>pass</dkim>
+        <spf>pass</spf>
+      </policy_evaluated>
+    </row>
+    <identifiers>
+      <header_from>example.com</header_from>
+    </identifiers>
+    <auth_results>
+      <dkim>
+        <domain>example.com</domain>
+        <result>pass</result>
+        <selector>s1</selector>
+      </dkim>
+      <spf>
+        <domain>example.com</domain>
+        <result>pass</result>
+      </spf>
+    </auth_results>
+  </record>
+  <record>
+    <row>
+      <source_ip>192.0.2.1</source_ip>
+      <count>2</count>
+      <policy_evaluated>
+        <disposition>none</disposition>
+        <dkim>pass</dkim>
+        <spf>fail</spf>
+      </policy_evaluated>
+    </row>
+    <identifiers>
+      <header_from>example.com</header_from>
+    </identifiers>
+    <auth_results>
+      <dkim>
+        <domain>example.com</domain>
+        <result>pass</result>
+        <selector>s1</selector>
+      </dkim>
+      <spf>
+        <domain>bounce.example.net</domain>
+        <result>pass</result>
+      </spf>
+    </auth_results>
+  </record>
+  <record>
+    <row>
+      <source_ip>2001:db8::1</source_ip>
+      <count>3</count>
+      <policy_evaluated>
+        <disposition>reject</disposition>
+        <dkim>fail</dkim>
+        <spf>fail</spf>
+      </policy_evaluated>
+    </row>
+    <identifiers>
+      <header_from>example.com</header_from>
+    </identifiers>
+    <auth_results>
+      <spf>
+        <domain>spoofer.example</domain>
+        <result>softfail</result>
+      </spf>
+    </auth_results>
+  </record>
+</feedback>
+`;
+
+const checkReport = report => {
+    expect(report.valid).to.be.true;
+    expect(report.metadata.orgName).to.equal('google.com');
+    expect(report.metadata.reportId).to.equal('1234567890');
+    expect(report.metadata.begin.toISOString()).to.equal('2024-01-01T00:00:00.000Z');
+    expect(report.policy).to.deep.include({ domain: 'example.com', p: 'reject', sp: 'reject', pct: 100, adkim: 'r', aspf: 's' });
+    expect(report.records.length).to.equal(3);
+    expect(report.records[0].authResults.dkim[0]).to.deep.include({ domain: 'example.com', selector: 's1', result: 'pass' });
+
+    expect(report.summary).to.deep.include({
+        messages: 10,
+        dmarc: { pass: 7, fail: 3 },
+        dkim: { pass: 7, fail: 3 },
+        spf: { pass: 5, fail: 5 },
+        disposition: { none: 7, quarantine: 0, reject: 3 }
+    });
+
+    expect(report.summary.sources.map(s => [s.sourceIp, s.messages, s.dmarc.pass])).to.deep.equal([
+        ['192.0.2.1', 7, 7],
+        ['2001:db8::1', 3, 0]
+    ]);
+};
+
+describe('DMARC Aggregate Report Parser Tests', () => {
+    it('Should parse raw XML report', async () => {
+        checkReport(parseAggregateReport(reportXml));
+    });
+
+    it('Should parse compressed reports', async () => {
+        checkReport(parseAggregateReport(zlib.gzipSync(Buffer.from(reportXml))));
+        checkReport(parseAggregateReport(createZip([{ filename: 'google.com!example.com!1704067200!1704153599.xml', content: reportXml }])));
+    });
+
+    it('Should parse report from an email message', async () => {
+        const attachment = zlib.gzipSync(Buffer.from(reportXml)).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+        const message = [
+            'From: noreply-dmarc-support@google.com',
+            'To: dmarc@example.com',
+            'Subject: Report domain: example.com Submitter: google.com Report-ID: 1234567890',
+            'MIME-Version: 1.0',
+            'Content-Type: multipart/mixed; boundary="abc"',
+            '',
+            '--abc',
+            'Content-Type: text/plain',
+            '',
+            'This is an aggregate report',
+            '--abc',
+            'Content-Type: application/gzip; name="google.com!example.com!1704067200!1704153599.xml.gz"',
+            'Content-Disposition: attachment',
+            'Content-Transfer-Encoding: base64',
+            '',
+            attachment,
+            '--abc--',
+            ''
+        ].join('\r\n');
+
+        checkReport(parseAggregateReport(message));
+    });
+
+    it('Should report schema errors', async () => {
+        const report = parseAggregateReport(reportXml.replace('<p>reject</p>', '<p>rejetc</p>').replace('<source_ip>192.0.2.1</source_ip>', ''));
+        expect(report.valid).to.be.false;
+        expect(report.errors).to.deep.equal([
+            { path: 'feedback.policy_published.p', message: 'Unexpected value "rejetc"' },
+            { path: 'feedback.record[0].row.source_ip', message: 'Missing required element' }
+        ]);
+    });
+
+    it('Should limit decompressed size', async () => {
+        const bomb = Buffer.alloc(2 * 1024 * 1024, 0x20);
+
+        let err;
+        try {
+            parseAggregateReport(zlib.gzipSync(Buffer.concat([Buffer.from(reportXml), bomb])), { maxReportSize: 1024 * 1024 });
+        } catch (E) {
+            err = E;
+        }
+        expect(err?.code).to.equal('ETOOLARGE');
+
+        // declared size in the central directory is checked before inflating
+        const zip = createZip([{ filename: 'report.xml', content: Buffer.concat([Buffer.from(reportXml), bomb]) }]);
+        expect(() => parseAggregateReport(zip, { maxReportSize: 1024 * 1024 })).to.throw(/exceeds/);
+
+        // declared size is forged, inflated output is still limited
+        const centralPos = zip.readUInt32LE(zip.length - 6);
+        zip.writeUInt32LE(100, centralPos + 24);
+        expect(() => parseAggregateReport(zip, { maxReportSize: 1024 * 1024 })).to.throw(/exceeds/);
+
+        checkReport(parseAggregateReport(zlib.gzipSync(Buffer.from(reportXml)), { maxReportSize: 1024 * 1024 }));
+    });
+
+    it('Should limit nesting depth', async () => {
+        let input = Buffer.from(reportXml);
+        for (let i = 0; i < 3; i++) {
+            input = zlib.gzipSync(input);
+        }
+        checkReport(parseAggregateReport(input));
+
+        let err;
+        try {
+            parseAggregateReport(zlib.gzipSync(input));
+        } catch (E) {
+            err = E;
+        }
+        expect(err?.code).to.equal('ETOODEEP');
+    });
+
+    it('Should fail on non-report input', async () => {
+        expect(() => parseAggregateReport('Subject: test\r\n\r\nHello world')).to.throw(/No report found/);
+        expect(() => parseAggregateReport('<feedback><report_metadata></feedback>')).to.throw(/Invalid XML/);
+    });
+});
@@ -0,0 +1,105 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { dmarc } = require('../../lib/dmarc');
+
+chai.config.includeStack = true;
+
+const records = {
+    '_dmarc.bank': 'v=DMARC1; p=reject; sp=quarantine; np=reject',
+    '_dmarc.other.bank': 'v=DMARC1; p=none'
+};
+
+const resolver = async (name, rr) => {
+    if (rr === 'TXT' && records[name]) {
+        return [[records[name]]];
+    }
+    if (rr === 'MX' && name === 'example.bank') {
+        return [{ exchange: 'mx.example.bank', priority: 10 }];
+    }
+    let err = new Error('Error');
+    err.code = 'ENOTFOUND';
+    throw err;
+};
+
+describe('PSD DMARC Tests', () => {
+    it('Should use PSD record for non-existent domains', async () => {
+        const result = await dmarc({
+            headerFrom: 'user@mail.example.bank',
+            spfDomains: [],
+            dkimDomains: [],
+            resolver,
+            psdList: ['bank']
+        });
+
+        expect(result.status.result).to.equal('fail');
+        expect(result.domain).to.equal('example.bank');
+        expect(result.policyDomain).to.equal('bank');
+        expect(result.policy).to.equal('reject');
+        expect(result.np).to.equal('reject');
+        expect(result.psd).to.deep.equal({
+            applied: true,
+            policyTag: 'np',
+            lookupPath: ['mail.example.bank', 'example.bank', 'bank']
+        });
+    });
+
+    it('Should use PSD record for existing domains', async () => {
+        const result = await dmarc({
+            headerFrom: 'user@example.bank',
+            spfDomains: [],
+            dkimDomains: [],
+            resolver,
+            psdList: ['bank']
+        });
+
+        expect(result.policy).to.equal('quarantine');
+        expect(result.psd).to.deep.equal({
+            applied: true,
+            policyTag: 'sp',
+            lookupPath: ['example.bank', 'bank']
+        });
+    });
+
+    it('Should prefer organizational domain record', async () => {
+        const result = await dmarc({
+            headerFrom: 'user@www.other.bank',
+            spfDomains: [],
+            dkimDomains: [],
+            resolver,
+            psdList: ['bank']
+        });
+
+        expect(result.policy).to.equal('none');
+        expect(result.policyDomain).to.equal('other.bank');
+        expect(result.psd).to.deep.equal({
+            applied: false,
+            policyTag: 'p',
+            lookupPath: ['www.other.bank', 'other.bank']
+        });
+    });
+
+    it('Should ignore non-participating public suffixes', async () => {
+        const result = await dmarc({
+            headerFrom: 'user@example.bank',
+            spfDomains: [],
+            dkimDomains: [],
+            resolver
+        });
+
+        expect(result.status.result).to.equal('none');
+
+        const otherList = await dmarc({
+            headerFrom: 'user@example.bank',
+            spfDomains: [],
+            dkimDomains: [],
+            resolver,
+            psdList: ['com']
+        });
+
+        expect(otherList.status.result).to.equal('none');
+    });
+});
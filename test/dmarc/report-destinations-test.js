@@ -0,0 +1,121 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { verifyReportDestinations, AggregateReport, createReportMessage } = require('../../lib/dmarc');
+
+chai.config.includeStack = true;
+
+const records = {
+    'example.com._report._dmarc.reports.example.net': 'v=DMARC1',
+    'example.com._report._dmarc.override.example.org': 'v=DMARC1; rua=mailto:dmarc@override.example.org!1k',
+    'example.com._report._dmarc.redirect.example.org': 'v=DMARC1; rua=mailto:dmarc@elsewhere.example!1k',
+    '_dmarc.example.com': 'v=DMARC1; p=reject; rua=mailto:dmarc@example.com,mailto:a@reports.example.net,mailto:b@unknown.example,mailto:c@override.example.org'
+};
+
+const resolver = async (name, rr) => {
+    if (rr === 'TXT' && records[name]) {
+        return [[records[name]]];
+    }
+    if (name.endsWith('.failing.example')) {
+        let err = new Error('Error');
+        err.code = 'ETIMEOUT';
+        throw err;
+    }
+    let err = new Error('Error');
+    err.code = 'ENOTFOUND';
+    throw err;
+};
+
+describe('DMARC Report Destination Tests', () => {
+    it('Should verify external destinations', async () => {
+        const results = await verifyReportDestinations(
+            'example.com',
+            'mailto:dmarc@sub.example.com!10m,mailto:a@reports.example.net,mailto:b@unknown.example,mailto:c@override.example.org,mailto:d@x.failing.example,https://example.com/report',
+            { resolver }
+        );
+
+        expect(results.map(entry => [entry.address, entry.authorized, entry.reason])).to.deep.equal([
+            ['dmarc@sub.example.com', true, 'internal'],
+            ['a@reports.example.net', true, 'authorized'],
+            ['b@unknown.example', false, 'not-authorized'],
+            ['dmarc@override.example.org', true, 'authorized'],
+            ['d@x.failing.example', false, 'temperror'],
+            [undefined, false, 'unsupported-scheme']
+        ]);
+        expect(results[0].size).to.equal(10 * 1024 * 1024);
+        expect(results[3].size).to.equal(1024);
+    });
+
+    it('Should ignore overrides to other domains', async () => {
+        const results = await verifyReportDestinations('example.com', 'mailto:a@redirect.example.org', { resolver });
+
+        expect(results[0]).to.deep.include({ address: 'a@redirect.example.org', authorized: true, reason: 'authorized' });
+        expect(results[0].size).to.be.undefined;
+    });
+
+    it('Should honor size limits', async () => {
+        const results = await verifyReportDestinations('example.com', 'mailto:dmarc@example.com!10k,mailto:c@override.example.org', {
+            resolver,
+            size: 5000
+        });
+
+        expect(results.map(entry => [entry.authorized, entry.reason])).to.deep.equal([
+            [true, 'internal'],
+            [false, 'too-large']
+        ]);
+    });
+
+    it('Should send aggregate reports to authorized destinations only', async () => {
+        const report = new AggregateReport({ orgName: 'Receiver', email: 'noreply-dmarc@receiver.example', reportId: 'test' });
+        report.add({
+            spf: { domain: 'example.com', 'client-ip': '192.0.2.1', status: { result: 'pass' } },
+            dmarc: {
+                status: { result: 'pass', header: { d: 'example.com' } },
+                domain: 'example.com',
+                policyDomain: 'example.com',
+                policy: 'reject',
+                rr: records['_dmarc.example.com'],
+                alignment: { spf: { result: 'example.com' }, dkim: { result: false } }
+            }
+        });
+
+        const [entry] = report.getReports();
+        const result = await createReportMessage(entry, { resolver });
+
+        expect(result.to).to.deep.equal(['dmarc@example.com', 'a@reports.example.net']);
+        expect(result.destinations.length).to.equal(4);
+
+        // the compressed report is smaller than 1k, the encoded message is not
+        expect(result.attachment.length).to.be.below(1024);
+        expect(result.message.length).to.be.above(1024);
+        expect(result.destinations[3]).to.deep.include({ address: 'dmarc@override.example.org', authorized: false, reason: 'too-large' });
+    });
+
+    it('Should return no recipients when no destination is authorized', async () => {
+        const report = new AggregateReport({ orgName: 'Receiver', email: 'noreply-dmarc@receiver.example', reportId: 'test' });
+        report.add({
+            spf: { domain: 'example.net', 'client-ip': '192.0.2.1', status: { result: 'pass' } },
+            dmarc: {
+                status: { result: 'pass', header: { d: 'example.net' } },
+                domain: 'example.net',
+                policyDomain: 'example.net',
+                policy: 'reject',
+                rr: 'v=DMARC1; p=reject; rua=mailto:a@unknown.example,mailto:b@x.failing.example',
+                alignment: { spf: { result: 'example.net' }, dkim: { result: false } }
+            }
+        });
+
+        const [entry] = report.getReports();
+        const result = await createReportMessage(entry, { resolver });
+
+        expect(result.to).to.deep.equal([]);
+        expect(result.message).to.not.exist;
+        expect(result.destinations.map(entry => [entry.address, entry.reason])).to.deep.equal([
+            ['a@unknown.example', 'not-authorized'],
+            ['b@x.failing.example', 'temperror']
+        ]);
+    });
+});
@@ -0,0 +1,152 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { dmarc } = require('../../lib/dmarc');
+let { getTreeWalkDomains } = require('../../lib/dmarc/tree-walk');
+
+chai.config.includeStack = true;
+
+const records = {
+    '_dmarc.example.com': 'v=DMARC1; p=reject; sp=none; np=quarantine; t=y',
+    '_dmarc.example': 'v=DMARC1; p=reject; psd=y',
+    '_dmarc.sub.example.org': 'v=DMARC1; p=quarantine; psd=n',
+    '_dmarc.example.org': 'v=DMARC1; p=reject',
+    '_dmarc.psd.example.net': 'v=DMARC1; p=reject; psd=y',
+    '_dmarc.example.net': 'v=DMARC1; p=none'
+};
+
+const queries = [];
+
+const resolver = async (name, rr) => {
+    queries.push(`${rr}:${name}`);
+    if (rr === 'TXT' && records[name]) {
+        return [[records[name]]];
+    }
+    if (rr === 'A' && name === 'www.example.com') {
+        return ['192.0.2.1'];
+    }
+    let err = new Error('Error');
+    err.code = 'ENOTFOUND';
+    throw err;
+};
+
+describe('DMARCbis Tree Walk Tests', () => {
+    beforeEach(() => {
+        queries.length = 0;
+    });
+
+    it('Should list tree walk domains', async () => {
+        expect(getTreeWalkDomains('a.b.example.com')).to.deep.equal(['a.b.example.com', 'b.example.com', 'example.com', 'com']);
+        expect(getTreeWalkDomains('a.b.c.d.e.f.g.h.i.example')).to.deep.equal([
+            'a.b.c.d.e.f.g.h.i.example',
+            'd.e.f.g.h.i.example',
+            'e.f.g.h.i.example',
+            'f.g.h.i.example',
+            'g.h.i.example',
+            'h.i.example',
+            'i.example',
+            'example'
+        ]);
+    });
+
+    it('Should find policy from an ancestor domain', async () => {
+        const result = await dmarc({
+            headerFrom: 'user@a.b.example.com',
+            spfDomains: [],
+            dkimDomains: [{ domain: 'mail.example.com' }],
+            resolver,
+            treeWalk: true
+        });
+
+        expect(result.status.result).to.equal('pass');
+        expect(result.domain).to.equal('example.com');
+        expect(result.policyDomain).to.equal('example.com');
+        expect(result.testing).to.be.true;
+        expect(result.alignment.dkim.result).to.equal('mail.example.com');
+        expect(result.treeWalk).to.deep.equal({
+            policyTag: 'np',
+            queried: ['a.b.example.com', 'b.example.com', 'example.com', 'com'],
+            policy: { domain: 'example.com', reason: 'tree-walk' },
+            orgDomain: { domain: 'example.com', reason: 'fewest-labels' }
+        });
+        // a.b.example.com does not exist
+        expect(result.policy).to.equal('quarantine');
+    });
+
+    it('Should use sp for existing subdomains', async () => {
+        const result = await dmarc({
+            headerFrom: 'user@www.example.com',
+            spfDomains: [],
+            dkimDomains: [],
+            resolver,
+            treeWalk: true
+        });
+
+        expect(result.status.result).to.equal('fail');
+        expect(result.policy).to.equal('none');
+        expect(result.treeWalk.policyTag).to.equal('sp');
+    });
+
+    it('Should stop at psd=y and psd=n records', async () => {
+        const psd = await dmarc({
+            headerFrom: 'user@mail.brand.example',
+            spfDomains: ['other.brand.example'],
+            dkimDomains: [{ domain: 'another.example' }],
+            resolver,
+            treeWalk: true
+        });
+
+        expect(psd.policyDomain).to.equal('example');
+        expect(psd.domain).to.equal('brand.example');
+        expect(psd.treeWalk.orgDomain).to.deep.equal({ domain: 'brand.example', reason: 'psd=y' });
+        expect(psd.alignment.spf.result).to.equal('other.brand.example');
+        expect(psd.alignment.dkim.result).to.not.be.ok;
+
+        const orgRecord = await dmarc({
+            headerFrom: 'user@sub.example.org',
+            spfDomains: [],
+            dkimDomains: [{ domain: 'example.org' }],
+            resolver,
+            treeWalk: true
+        });
+
+        expect(orgRecord.policy).to.equal('quarantine');
+        expect(orgRecord.treeWalk.policy).to.deep.equal({ domain: 'sub.example.org', reason: 'author-domain' });
+        expect(orgRecord.treeWalk.orgDomain).to.deep.equal({ domain: 'sub.example.org', reason: 'psd=n' });
+        expect(orgRecord.treeWalk.queried).to.deep.equal(['sub.example.org']);
+        // example.org is a separate organizational domain
+        expect(orgRecord.status.result).to.equal('fail');
+    });
+
+    it('Should ignore psd=y on the author domain', async () => {
+        const result = await dmarc({
+            headerFrom: 'user@psd.example.net',
+            spfDomains: [],
+            dkimDomains: [{ domain: 'example.net' }],
+            resolver,
+            treeWalk: true
+        });
+
+        expect(result.policy).to.equal('reject');
+        expect(result.treeWalk.policy).to.deep.equal({ domain: 'psd.example.net', reason: 'author-domain' });
+        expect(result.treeWalk.orgDomain).to.deep.equal({ domain: 'example.net', reason: 'fewest-labels' });
+        expect(result.treeWalk.queried).to.deep.equal(['psd.example.net', 'example.net', 'net']);
+        expect(result.status.result).to.equal('pass');
+    });
+
+    it('Should not perform tree walk by default', async () => {
+        const result = await dmarc({
+            headerFrom: 'user@a.b.example.com',
+            spfDomains: [],
+            dkimDomains: [],
+            resolver
+        });
+
+        expect(result.policy).to.equal('none');
+        expect(result.treeWalk).to.not.exist;
+        expect(queries).to.deep.equal(['TXT:_dmarc.a.b.example.com', 'TXT:_dmarc.example.com']);
+    });
+});
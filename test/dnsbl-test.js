@@ -0,0 +1,98 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { dnsbl } = require('../lib/dnsbl');
+let { authenticate } = require('../lib/mailauth');
+
+chai.config.includeStack = true;
+
+const queries = [];
+
+// local stand-in for the DNS zones
+const resolver = async (name, rr) => {
+    const zone = {
+        '2.0.0.127.zen.spamhaus.org': { A: ['127.0.0.2', '127.0.0.4'] },
+        '3.0.0.127.zen.spamhaus.org': { A: ['127.255.255.254'] },
+        '1.2.0.192.list.dnswl.org': { A: ['127.0.15.2'] },
+        '1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.bl.example.net': { A: ['127.0.0.2'] },
+        '2.0.0.127.bl.example.net': { A: ['127.0.0.3'] }
+    };
+
+    queries.push(`${rr} ${name}`);
+
+    if (name === '4.0.0.127.list.dnswl.org') {
+        let err = new Error('Error');
+        err.code = 'ETIMEOUT';
+        throw err;
+    }
+
+    let match = zone[name]?.[rr];
+    if (!match) {
+        let err = new Error('Error');
+        err.code = 'ENOTFOUND';
+        throw err;
+    }
+    return match;
+};
+
+describe('DNSBL Tests', () => {
+    it('Should check blocklists', async () => {
+        queries.splice(0);
+
+        let result = await dnsbl({ ip: '127.0.0.2', zones: ['zen.spamhaus.org', { zone: 'bl.example.net', codes: { '127.0.0.3': 'Spam source' } }], resolver });
+
+        expect(queries).to.deep.equal(['A 2.0.0.127.zen.spamhaus.org', 'A 2.0.0.127.bl.example.net']);
+        expect(result.blocklisted).to.deep.equal(['zen.spamhaus.org', 'bl.example.net']);
+        expect(result.results[0]).to.deep.include({ listed: true, addresses: ['127.0.0.2', '127.0.0.4'], descriptions: ['SBL', 'XBL'] });
+        expect(result.results[1]).to.deep.include({ listed: true, descriptions: ['Spam source'] });
+        expect(result.dnswl).to.deep.equal([]);
+
+        // error codes are not listings
+        result = await dnsbl({ ip: '127.0.0.3', zones: ['zen.spamhaus.org'], resolver });
+        expect(result.blocklisted).to.deep.equal([]);
+        expect(result.results[0]).to.deep.include({ listed: false, error: 'Query via public or open resolver' });
+    });
+
+    it('Should check IPv6 addresses', async () => {
+        queries.splice(0);
+
+        let result = await dnsbl({ ip: '2001:db8::1', zones: ['bl.example.net', { zone: 'bl4.example.net', ipv6: false }], resolver });
+        expect(result.blocklisted).to.deep.equal(['bl.example.net']);
+        expect(result.results[1].skipped).to.be.true;
+        expect(queries.length).to.equal(1);
+    });
+
+    it('Should check allowlists', async () => {
+        let result = await dnsbl({ ip: '192.0.2.1', zones: ['list.dnswl.org'], resolver });
+        expect(result.allowlisted).to.deep.equal(['list.dnswl.org']);
+        expect(result.results[0]).to.deep.include({ listed: true, trust: 2, categories: [15] });
+        expect(result.dnswl[0].info).to.equal('dnswl=pass dns.zone=list.dnswl.org policy.ip=127.0.15.2');
+
+        result = await dnsbl({ ip: '192.0.2.2', zones: ['list.dnswl.org'], resolver });
+        expect(result.dnswl[0].info).to.equal('dnswl=none dns.zone=list.dnswl.org');
+
+        result = await dnsbl({ ip: '127.0.0.4', zones: ['list.dnswl.org'], resolver });
+        expect(result.dnswl[0].info).to.equal('dnswl=temperror dns.zone=list.dnswl.org');
+    });
+
+    it('Should add dnswl results to authentication results', async () => {
+        const message = Buffer.from(['From: user@example.com', 'Subject: test', '', 'Hello!', ''].join('\r\n'));
+
+        let result = await authenticate(message, {
+            ip: '192.0.2.1',
+            helo: 'mail.example.com',
+            sender: 'user@example.com',
+            mta: 'mx.example.org',
+            disableArc: true,
+            disableBimi: true,
+            dnsbl: { zones: ['zen.spamhaus.org', 'list.dnswl.org'] },
+            resolver
+        });
+
+        expect(result.dnsbl.allowlisted).to.deep.equal(['list.dnswl.org']);
+        expect(result.headers).to.include('dnswl=pass dns.zone=list.dnswl.org policy.ip=127.0.15.2');
+    });
+});
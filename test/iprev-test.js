@@ -0,0 +1,126 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { iprev } = require('../lib/iprev');
+let { authenticate } = require('../lib/mailauth');
+
+chai.config.includeStack = true;
+
+const resolver = async (name, rr) => {
+    const zone = {
+        '1.2.0.192.in-addr.arpa': { PTR: ['mail.example.com.'] },
+        '2.2.0.192.in-addr.arpa': { PTR: ['other.example.com'] },
+        '3.2.0.192.in-addr.arpa': { PTR: ['slow.example.com'] },
+        '1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa': { PTR: ['mail6.example.com'] },
+        'mail.example.com': { A: ['192.0.2.1'] },
+        'other.example.com': { A: ['192.0.2.200'] },
+        'mail6.example.com': { AAAA: ['2001:db8:0:0::1'] }
+    };
+
+    if (name === '4.2.0.192.in-addr.arpa' || name === 'slow.example.com') {
+        let err = new Error('Error');
+        err.code = 'ETIMEOUT';
+        throw err;
+    }
+
+    let match = zone[name]?.[rr];
+    if (!match) {
+        let err = new Error('Error');
+        err.code = 'ENOTFOUND';
+        throw err;
+    }
+    return match;
+};
+
+describe('iprev Tests', () => {
+    it('Should pass forward-confirmed hostnames', async () => {
+        let result = await iprev({ ip: '192.0.2.1', resolver });
+        expect(result.status.result).to.equal('pass');
+        expect(result.hostname).to.equal('mail.example.com');
+        expect(result.info).to.equal('iprev=pass policy.iprev=192.0.2.1 (mail.example.com)');
+
+        result = await iprev({ ip: '2001:db8::1', resolver });
+        expect(result.status.result).to.equal('pass');
+        expect(result.hostname).to.equal('mail6.example.com');
+
+        // mapped IPv4 address
+        result = await iprev({ ip: '::ffff:192.0.2.1', resolver });
+        expect(result.status.result).to.equal('pass');
+        expect(result['client-ip']).to.equal('192.0.2.1');
+    });
+
+    it('Should fail unconfirmed hostnames', async () => {
+        let result = await iprev({ ip: '192.0.2.2', resolver });
+        expect(result.status.result).to.equal('fail');
+        expect(result.hostname).to.be.false;
+        expect(result.hostnames).to.deep.equal(['other.example.com']);
+        expect(result.info).to.match(/^iprev=fail policy\.iprev=192\.0\.2\.2 \(/);
+    });
+
+    it('Should report errors', async () => {
+        let result = await iprev({ ip: '192.0.2.99', resolver });
+        expect(result.status.result).to.equal('permerror');
+
+        result = await iprev({ ip: '192.0.2.3', resolver });
+        expect(result.status.result).to.equal('temperror');
+
+        result = await iprev({ ip: '192.0.2.4', resolver });
+        expect(result.status.result).to.equal('temperror');
+
+        result = await iprev({ ip: 'not-an-ip', resolver });
+        expect(result.status.result).to.equal('permerror');
+    });
+
+    it('Should limit parallel lookups', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        let lookups = 0;
+
+        let result = await iprev({
+            ip: '192.0.2.10',
+            resolver: async (name, rr) => {
+                if (rr === 'PTR') {
+                    return Array.from({ length: 12 }, (v, i) => `host${i}.example.com`);
+                }
+                lookups++;
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await new Promise(resolve => setImmediate(resolve));
+                running--;
+                return [name === 'host4.example.com' ? '192.0.2.10' : '192.0.2.11'];
+            }
+        });
+
+        expect(result.status.result).to.equal('pass');
+        expect(result.hostname).to.equal('host4.example.com');
+        expect(maxRunning).to.equal(3);
+        // lookups stop after the batch that confirmed the hostname
+        expect(lookups).to.equal(6);
+    });
+
+    it('Should add iprev to authentication results', async () => {
+        const message = Buffer.from(['From: user@example.com', 'Subject: test', '', 'Hello!', ''].join('\r\n'));
+        const opts = {
+            ip: '192.0.2.1',
+            helo: 'mail.example.com',
+            sender: 'user@example.com',
+            mta: 'mx.example.org',
+            disableArc: true,
+            disableBimi: true,
+            iprev: true,
+            resolver
+        };
+
+        let result = await authenticate(message, opts);
+        expect(result.iprev.status.result).to.equal('pass');
+        expect(result.headers).to.include('iprev=pass policy.iprev=192.0.2.1 (mail.example.com)');
+
+        // iprev is not checked by default
+        result = await authenticate(message, Object.assign({}, opts, { iprev: false }));
+        expect(result.iprev).to.be.false;
+        expect(result.headers).to.not.include('iprev=');
+    });
+});
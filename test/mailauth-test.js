@@ -0,0 +1,84 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { authenticate } = require('../lib/mailauth');
+
+chai.config.includeStack = true;
+
+const message = Buffer.from(['From: user@example.com', 'To: rcpt@example.net', 'Subject: test', '', 'Hello!', ''].join('\r\n'));
+
+const resolver = async (name, rr) => {
+    if (name === 'example.com' && rr === 'TXT') {
+        return [['v=spf1 ip4:192.0.2.1 -all']];
+    }
+    if (name === '_dmarc.example.com' && rr === 'TXT') {
+        return [['v=DMARC1; p=reject']];
+    }
+    let err = new Error('Error');
+    err.code = 'ENOTFOUND';
+    throw err;
+};
+
+const opts = {
+    ip: '192.0.2.1',
+    helo: 'client.example.com',
+    sender: 'user@example.com',
+    mta: 'smtp.example.com',
+    disableArc: true,
+    disableIprev: true,
+    resolver
+};
+
+describe('Authenticate Tests', () => {
+    it('Should add SMTP AUTH result', async () => {
+        let result = await authenticate(message, Object.assign({}, opts, { auth: { user: 'user@example.com', mechanism: 'PLAIN' } }));
+
+        expect(result.auth).to.deep.equal({
+            user: 'user@example.com',
+            mechanism: 'PLAIN',
+            status: { result: 'pass', comment: 'plain', smtp: { auth: 'user@example.com' } },
+            info: 'auth=pass (plain) smtp.auth=user@example.com'
+        });
+        expect(result.headers).to.include('auth=pass (plain) smtp.auth=user@example.com');
+
+        result = await authenticate(message, Object.assign({}, opts, { auth: 'user@example.com' }));
+        expect(result.auth.info).to.equal('auth=pass smtp.auth=user@example.com');
+
+        result = await authenticate(message, opts);
+        expect(result.auth).to.be.false;
+        expect(result.headers).to.not.include('auth=');
+    });
+
+    it('Should skip DMARC and BIMI for authenticated submissions', async () => {
+        let result = await authenticate(message, Object.assign({}, opts, { auth: { user: 'user@example.com' } }));
+        expect(result.dmarc).to.be.false;
+        expect(result.bimi).to.be.false;
+        expect(result.headers).to.not.include('dmarc=');
+
+        // checks can be enabled explicitly
+        result = await authenticate(message, Object.assign({}, opts, { auth: { user: 'user@example.com' }, disableDmarc: false }));
+        expect(result.dmarc.status.result).to.equal('pass');
+
+        // failed authentication is reported, but does not change the checks
+        result = await authenticate(message, Object.assign({}, opts, { auth: { user: 'user@example.com', result: 'fail' } }));
+        expect(result.auth.info).to.equal('auth=fail smtp.auth=user@example.com');
+        expect(result.dmarc.status.result).to.equal('pass');
+    });
+
+    it('Should not change the options object of the caller', async () => {
+        const reused = Object.assign({}, opts);
+
+        reused.auth = { user: 'user@example.com' };
+        let result = await authenticate(message, reused);
+        expect(result.dmarc).to.be.false;
+        expect(reused.disableDmarc).to.be.undefined;
+        expect(reused.disableBimi).to.be.undefined;
+
+        delete reused.auth;
+        result = await authenticate(message, reused);
+        expect(result.dmarc.status.result).to.equal('pass');
+    });
+});
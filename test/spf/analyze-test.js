@@ -0,0 +1,71 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { spf, formatSpfTree } = require('../../lib/spf');
+
+chai.config.includeStack = true;
+
+const createResolver = zone => async (domain, type) => {
+    let match = zone[domain]?.[type];
+    if (!match) {
+        let err = new Error('Error');
+        err.code = 'ENOTFOUND';
+        throw err;
+    }
+    return match;
+};
+
+describe('SPF Analyzer Tests', () => {
+    it('Should return the evaluation tree', async () => {
+        const resolver = createResolver({
+            'example.com': { TXT: [['v=spf1 a include:_spf.example.net -all']], A: ['192.0.2.1'] },
+            '_spf.example.net': { TXT: [['v=spf1 ip4:198.51.100.0/24 -all']] }
+        });
+
+        let result = await spf({ sender: 'user@example.com', ip: '198.51.100.10', mta: 'mx.example.com', resolver, explain: true });
+
+        expect(result.status.result).to.equal('pass');
+
+        const tree = result.tree;
+        expect(tree.domain).to.equal('example.com');
+        expect(tree.rr).to.equal('v=spf1 a include:_spf.example.net -all');
+        expect(tree.result).to.equal('pass');
+        expect(tree.queries).to.deep.equal([{ domain: 'example.com', type: 'TXT', response: [['v=spf1 a include:_spf.example.net -all']] }]);
+
+        expect(tree.terms.map(term => [term.term, term.matched])).to.deep.equal([
+            ['a', false],
+            ['include:_spf.example.net', true]
+        ]);
+        expect(tree.terms[0].queries).to.deep.equal([{ domain: 'example.com', type: 'A', response: ['192.0.2.1'] }]);
+
+        const include = tree.terms[1].record;
+        expect(include.domain).to.equal('_spf.example.net');
+        expect(include.terms).to.deep.equal([{ term: 'ip4:198.51.100.0/24', queries: [], matched: true, result: 'pass' }]);
+
+        // tree is not included by default
+        result = await spf({ sender: 'user@example.com', ip: '198.51.100.10', mta: 'mx.example.com', resolver });
+        expect(result.tree).to.not.exist;
+    });
+
+    it('Should show where permerrors come from', async () => {
+        const resolver = createResolver({
+            'example.com': { TXT: [['v=spf1 include:missing.example.com -all']] }
+        });
+
+        let result = await spf({ sender: 'user@example.com', ip: '198.51.100.10', mta: 'mx.example.com', resolver, explain: true });
+
+        expect(result.status.result).to.equal('permerror');
+
+        const term = result.tree.terms[0];
+        expect(term.result).to.equal('permerror');
+        expect(term.record.queries).to.deep.equal([{ domain: 'missing.example.com', type: 'TXT', void: true }]);
+        expect(term.record.error).to.equal('no SPF records found for missing.example.com');
+
+        const text = formatSpfTree(result.tree);
+        expect(text).to.include('include:missing.example.com: permerror (no SPF records found for missing.example.com)');
+        expect(text).to.include('DNS TXT missing.example.com: void lookup');
+    });
+});
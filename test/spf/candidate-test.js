@@ -0,0 +1,72 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { spf } = require('../../lib/spf');
+
+chai.config.includeStack = true;
+
+const queries = [];
+
+const resolver = async (name, rr) => {
+    const zone = {
+        'example.com': { TXT: [['v=spf1 include:_spf.example.com -all']] },
+        '_spf.example.com': { TXT: [['v=spf1 ip4:192.0.2.0/24 -all']] },
+        '_spf.provider.net': { TXT: [['v=spf1 ip4:198.51.100.0/24 -all']] }
+    };
+
+    queries.push(`${rr} ${name}`);
+
+    let match = zone[name]?.[rr];
+    if (!match) {
+        let err = new Error('Error');
+        err.code = 'ENOTFOUND';
+        throw err;
+    }
+    return match;
+};
+
+const opts = { sender: 'user@example.com', helo: 'mail.example.com', mta: 'mx.example.com', resolver };
+
+describe('SPF Candidate Record Tests', () => {
+    it('Should evaluate a candidate record', async () => {
+        queries.splice(0);
+
+        let result = await spf(Object.assign({}, opts, { ip: '198.51.100.1', record: 'v=spf1 include:_spf.example.com include:_spf.provider.net -all' }));
+
+        expect(result.candidate).to.be.true;
+        expect(result.status.result).to.equal('pass');
+        expect(result.rr).to.equal('v=spf1 include:_spf.example.com include:_spf.provider.net -all');
+
+        expect(result.published.status.result).to.equal('fail');
+        expect(result.published.rr).to.equal('v=spf1 include:_spf.example.com -all');
+        expect(result.changed).to.be.true;
+
+        // unmodified includes are resolved through the normal resolver
+        expect(queries.filter(query => query === 'TXT _spf.example.com').length).to.equal(2);
+        expect(queries).to.include('TXT _spf.provider.net');
+    });
+
+    it('Should use candidate records for nested includes', async () => {
+        let result = await spf(Object.assign({}, opts, { ip: '198.51.100.1', records: { '_spf.example.com': 'v=spf1 ip4:198.51.100.0/24 -all' } }));
+
+        expect(result.status.result).to.equal('pass');
+        expect(result.rr).to.equal('v=spf1 include:_spf.example.com -all');
+        expect(result.published.status.result).to.equal('fail');
+        expect(result.changed).to.be.true;
+
+        result = await spf(Object.assign({}, opts, { ip: '192.0.2.1', record: 'v=spf1 ip4:192.0.2.0/24 ~all' }));
+        expect(result.status.result).to.equal('pass');
+        expect(result.published.status.result).to.equal('pass');
+        expect(result.changed).to.be.false;
+    });
+
+    it('Should report syntax errors in the candidate record', async () => {
+        let result = await spf(Object.assign({}, opts, { ip: '192.0.2.1', record: 'v=spf1 ip4:192.0.2.0/33 -all' }));
+        expect(result.status.result).to.equal('permerror');
+        expect(result.published.status.result).to.equal('pass');
+        expect(result.changed).to.be.true;
+    });
+});
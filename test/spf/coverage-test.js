@@ -0,0 +1,114 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { coverage } = require('../../lib/spf');
+
+chai.config.includeStack = true;
+
+const queries = [];
+
+const resolver = async (name, rr) => {
+    const zone = {
+        'example.com': { TXT: [['v=spf1 ip4:192.0.2.0/25 include:_spf.provider.net ~all']] },
+        '_spf.provider.net': { TXT: [['v=spf1 ip4:198.51.100.0/24 ip6:2001:db8::/32 -all']] }
+    };
+
+    queries.push(`${rr} ${name}`);
+
+    let match = zone[name]?.[rr];
+    if (!match) {
+        let err = new Error('Error');
+        err.code = 'ENOTFOUND';
+        throw err;
+    }
+    return match;
+};
+
+describe('SPF Coverage Tests', () => {
+    it('Should evaluate a list of addresses', async () => {
+        queries.splice(0);
+
+        let result = await coverage('example.com', ['192.0.2.1', '198.51.100.10', '2001:db8::1', '203.0.113.1', 'not-an-ip'], {
+            mta: 'mx.example.com',
+            resolver
+        });
+
+        expect(result.rr).to.equal('v=spf1 ip4:192.0.2.0/25 include:_spf.provider.net ~all');
+
+        expect(result.results[0]).to.deep.include({
+            address: '192.0.2.1',
+            result: 'pass',
+            qualifier: '+',
+            mechanism: 'ip4:192.0.2.0/25',
+            chain: ['example.com']
+        });
+
+        expect(result.results[1]).to.deep.include({
+            address: '198.51.100.10',
+            result: 'pass',
+            qualifier: '+',
+            mechanism: 'ip4:198.51.100.0/24',
+            chain: ['example.com', '_spf.provider.net']
+        });
+
+        expect(result.results[2]).to.deep.include({ result: 'pass', mechanism: 'ip6:2001:db8::/32', chain: ['example.com', '_spf.provider.net'] });
+        expect(result.results[3]).to.deep.include({ result: 'softfail', qualifier: '~', mechanism: '~all', chain: ['example.com'] });
+        expect(result.results[4]).to.deep.include({ result: 'invalid' });
+
+        expect(result.summary).to.deep.equal({ pass: 3, softfail: 1, invalid: 1 });
+
+        // record tree is resolved only once
+        expect(queries.filter(query => query === 'TXT example.com').length).to.equal(1);
+        expect(queries.filter(query => query === 'TXT _spf.provider.net').length).to.equal(1);
+    });
+
+    it('Should evaluate CIDR ranges', async () => {
+        let result = await coverage('example.com', ['192.0.2.0/26', '192.0.2.0/24', '2001:db8:1::/48'], { resolver });
+
+        expect(result.results[0]).to.deep.include({ range: true, consistent: true, result: 'pass', mechanism: 'ip4:192.0.2.0/25' });
+
+        // range is only partially covered
+        expect(result.results[1]).to.deep.include({ range: true, consistent: false, result: 'pass' });
+        expect(result.results[1].segments.map(segment => [segment.start, segment.end, segment.result])).to.deep.equal([
+            ['192.0.2.0', '192.0.2.127', 'pass'],
+            ['192.0.2.128', '192.0.2.255', 'softfail']
+        ]);
+
+        expect(result.results[2]).to.deep.include({ range: true, consistent: true, result: 'pass', mechanism: 'ip6:2001:db8::/32' });
+
+        expect(result.summary).to.deep.equal({ pass: 2, partial: 1 });
+    });
+
+    it('Should detect holes inside a range', async () => {
+        const holeResolver = async (name, rr) => {
+            const zone = {
+                'example.com': { TXT: [['v=spf1 -ip4:10.0.5.0/24 include:_spf.example.com ip4:10.0.0.0/16 -all']] },
+                '_spf.example.com': { TXT: [['v=spf1 ~a:host.example.com/28 -all']] },
+                'host.example.com': { A: ['10.0.9.1'] }
+            };
+            let match = zone[name]?.[rr];
+            if (!match) {
+                let err = new Error('Error');
+                err.code = 'ENOTFOUND';
+                throw err;
+            }
+            return match;
+        };
+
+        let result = await coverage('example.com', ['10.0.0.0/16', '10.0.5.9', '10.0.128.0/17'], { resolver: holeResolver });
+
+        expect(result.results[0]).to.deep.include({ range: true, consistent: false, result: 'pass', mechanism: 'ip4:10.0.0.0/16' });
+        expect(result.results[0].segments.map(segment => [segment.start, segment.end, segment.result])).to.deep.equal([
+            ['10.0.0.0', '10.0.4.255', 'pass'],
+            ['10.0.5.0', '10.0.5.255', 'fail'],
+            ['10.0.6.0', '10.0.255.255', 'pass']
+        ]);
+        expect(result.results[1]).to.deep.include({ result: 'fail', mechanism: '-ip4:10.0.5.0/24' });
+
+        expect(result.results[2]).to.deep.include({ range: true, consistent: true, result: 'pass' });
+        expect(result.summary).to.deep.equal({ partial: 1, fail: 1, pass: 1 });
+    });
+});
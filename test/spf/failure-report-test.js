@@ -0,0 +1,115 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { spf, shouldSendSpfReport, createSpfFailureReport } = require('../../lib/spf');
+
+chai.config.includeStack = true;
+
+const getResolver = records => async (name, rr) => {
+    if (rr === 'TXT' && records[name]) {
+        return [[records[name]]];
+    }
+    let err = new Error('Error');
+    err.code = 'ENOTFOUND';
+    throw err;
+};
+
+const check = async (records, ip) =>
+    await spf({
+        sender: 'user@example.com',
+        ip,
+        helo: 'mx.example.com',
+        mta: 'mx.receiver.example',
+        resolver: getResolver(records)
+    });
+
+describe('SPF Failure Report Tests', () => {
+    it('Should parse reporting modifiers', async () => {
+        let result = await check({ 'example.com': 'v=spf1 ip4:192.0.2.1 ra=spf-reports rp=50 rr=f:s -all' }, '192.0.2.2');
+        expect(result.status.result).to.equal('fail');
+        expect(result.reporting).to.deep.equal({ address: 'spf-reports@example.com', rp: 50, rr: ['f', 's'] });
+
+        // defaults are used for missing and invalid values
+        result = await check({ 'example.com': 'v=spf1 ip4:192.0.2.1 ra=spf-reports rp=abc rr=x -all' }, '192.0.2.2');
+        expect(result.reporting).to.deep.equal({ address: 'spf-reports@example.com', rp: 100, rr: ['all'] });
+
+        result = await check({ 'example.com': 'v=spf1 ip4:192.0.2.1 -all' }, '192.0.2.2');
+        expect(result.reporting).to.not.exist;
+    });
+
+    it('Should use reporting modifiers from redirect target', async () => {
+        let result = await check(
+            {
+                'example.com': 'v=spf1 ra=root redirect=_spf.example.net',
+                '_spf.example.net': 'v=spf1 ip4:192.0.2.1 ra=target -all'
+            },
+            '192.0.2.2'
+        );
+        expect(result.reporting.address).to.equal('target@_spf.example.net');
+
+        // modifiers from included records are not used
+        result = await check(
+            {
+                'example.com': 'v=spf1 include:_spf.example.net ~all',
+                '_spf.example.net': 'v=spf1 ip4:192.0.2.1 ra=included -all'
+            },
+            '192.0.2.2'
+        );
+        expect(result.reporting).to.not.exist;
+    });
+
+    it('Should check failure classes and sampling', async () => {
+        const spfResult = { status: { result: 'softfail' }, reporting: { address: 'spf-reports@example.com', rp: 50, rr: ['f'] } };
+        expect(shouldSendSpfReport(spfResult)).to.be.false;
+
+        spfResult.reporting.rr = ['f', 's'];
+        expect(shouldSendSpfReport(spfResult, { random: () => 0.1 })).to.be.true;
+        expect(shouldSendSpfReport(spfResult, { random: () => 0.9 })).to.be.false;
+
+        spfResult.reporting = { address: 'spf-reports@example.com', rp: 100, rr: ['all'] };
+        expect(shouldSendSpfReport(spfResult)).to.be.true;
+
+        spfResult.status.result = 'pass';
+        expect(shouldSendSpfReport(spfResult)).to.be.false;
+    });
+
+    it('Should generate an ARF report', async () => {
+        let result = await check({ 'example.com': 'v=spf1 ip4:192.0.2.1 ra=spf-reports rr=f -all' }, '192.0.2.2');
+
+        let report = await createSpfFailureReport(result, {
+            mta: 'mx.receiver.example',
+            recipients: ['rcpt@receiver.example'],
+            arrivalDate: new Date('2024-01-01T00:00:00Z'),
+            headers: 'From: user@example.com\r\nSubject: test\r\n',
+            redact: true
+        });
+
+        expect(report.to).to.deep.equal(['spf-reports@example.com']);
+
+        let message = report.message.toString();
+        expect(message).to.match(/^Content-Type: multipart\/report; report-type=feedback-report/m);
+        expect(message).to.include('Feedback-Type: auth-failure');
+        expect(message).to.include('Auth-Failure: spf');
+        expect(message).to.include('Reported-Domain: example.com');
+        expect(message).to.include('Source-IP: 192.0.2.2');
+        expect(message).to.include('SPF-DNS: txt : example.com : v=spf1 ip4:192.0.2.1 ra=spf-reports rr=f -all');
+        expect(message).to.not.include('user@example.com');
+
+        // result class is not requested
+        result = await check({ 'example.com': 'v=spf1 ip4:192.0.2.1 ra=spf-reports rr=f ~all' }, '192.0.2.2');
+        expect(await createSpfFailureReport(result)).to.be.false;
+
+        // no report address published
+        result = await check({ 'example.com': 'v=spf1 ip4:192.0.2.1 -all' }, '192.0.2.2');
+        let err;
+        try {
+            await createSpfFailureReport(result, { force: true });
+        } catch (E) {
+            err = E;
+        }
+        expect(err.code).to.equal('ENORECIPIENTS');
+    });
+});
@@ -0,0 +1,160 @@
+/* eslint no-unused-expressions:0, no-bitwise: 0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { flattenSpf, mergeRanges } = require('../../lib/spf/flatten');
+let { spfVerify } = require('../../lib/spf/spf-verify');
+
+chai.config.includeStack = true;
+
+const createResolver = zone => async (domain, type) => {
+    let match = zone[domain]?.[type];
+    if (!match) {
+        let err = new Error('Error');
+        err.code = 'ENOTFOUND';
+        throw err;
+    }
+    return match;
+};
+
+const range = (address, prefix) => {
+    let parts = address.split('.').map(Number);
+    return { family: 4, start: BigInt(((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3]), prefix };
+};
+
+describe('SPF Flattening Tests', () => {
+    it('Should merge adjacent and overlapping ranges', async () => {
+        expect(mergeRanges([range('192.0.2.0', 25), range('192.0.2.128', 25), range('192.0.2.10', 32)])).to.deep.equal(['ip4:192.0.2.0/24']);
+        expect(mergeRanges([range('192.0.2.1', 32), range('192.0.2.2', 32), range('192.0.2.3', 32)])).to.deep.equal(['ip4:192.0.2.1', 'ip4:192.0.2.2/31']);
+        expect(mergeRanges([range('192.0.2.77', 24)])).to.deep.equal(['ip4:192.0.2.0/24']);
+    });
+
+    it('Should resolve includes, a, mx and redirect into ranges', async () => {
+        const resolver = createResolver({
+            'example.com': {
+                TXT: [['v=spf1 a mx/30 include:_spf.provider.net ip6:2001:db8::/33 redirect=_spf.example.com']],
+                A: ['192.0.2.1'],
+                MX: [{ priority: 10, exchange: 'mx.example.com' }]
+            },
+            '_spf.example.com': { TXT: [['v=spf1 ip4:198.51.100.0/24 ~all']] },
+            '_spf.provider.net': { TXT: [['v=spf1 ip4:203.0.113.0/25 include:_spf2.provider.net -all']] },
+            '_spf2.provider.net': { TXT: [['v=spf1 ip4:203.0.113.128/25 ip6:2001:db8:8000::/33 ?all']] },
+            'mx.example.com': { A: ['192.0.2.4'] }
+        });
+
+        let result = await flattenSpf('example.com', { resolver });
+
+        expect(result.ranges).to.deep.equal(['ip4:192.0.2.1', 'ip4:192.0.2.4/30', 'ip4:198.51.100.0/24', 'ip4:203.0.113.0/24', 'ip6:2001:db8::/32']);
+        expect(result.unflattenable).to.deep.equal([]);
+        expect(result.records).to.deep.equal([
+            {
+                name: 'example.com',
+                value: 'v=spf1 ip4:192.0.2.1 ip4:192.0.2.4/30 ip4:198.51.100.0/24 ip4:203.0.113.0/24 ip6:2001:db8::/32 ~all'
+            }
+        ]);
+        expect(result.lookups).to.equal(0);
+    });
+
+    it('Should split long records into a chain', async () => {
+        let terms = [];
+        for (let i = 0; i < 40; i++) {
+            terms.push(`ip4:10.${i}.0.1`);
+        }
+
+        const resolver = createResolver({
+            'example.com': { TXT: [[`v=spf1 ${terms.join(' ')} -all`]] }
+        });
+
+        let result = await flattenSpf('example.com', { resolver, maxLength: 200 });
+
+        expect(result.records.length).to.be.above(2);
+        expect(result.records[0]).to.deep.equal({ name: 'example.com', value: 'v=spf1 include:_spf1.example.com -all' });
+        for (let i = 1; i < result.records.length; i++) {
+            let record = result.records[i];
+            expect(record.name).to.equal(`_spf${i}.example.com`);
+            expect(record.value.length).to.be.at.most(200);
+            if (i < result.records.length - 1) {
+                expect(record.value).to.match(new RegExp(` include:_spf${i + 1}\\.example\\.com$`));
+            } else {
+                expect(record.value).to.not.include('include:');
+            }
+        }
+        expect(result.records.map(record => record.value.match(/ip4:/g) || []).flat().length).to.equal(40);
+        expect(result.lookups).to.equal(result.records.length - 1);
+    });
+
+    it('Should report terms that can not be flattened', async () => {
+        const resolver = createResolver({
+            'example.com': { TXT: [['v=spf1 exists:%{i}._spf.example.com ip4:192.0.2.1 include:other.example.net ptr -all']] },
+            'other.example.net': { TXT: [['v=spf1 -ip4:198.51.100.1 ip4:198.51.100.0/24 -all']] }
+        });
+
+        let result = await flattenSpf('example.com', { resolver });
+
+        expect(result.unflattenable.map(entry => [entry.domain, entry.term, entry.reason])).to.deep.equal([
+            ['example.com', 'exists:%{i}._spf.example.com', 'macro'],
+            ['other.example.net', '-ip4:198.51.100.1', 'qualifier'],
+            ['example.com', 'ptr', 'ptr']
+        ]);
+        expect(result.records).to.deep.equal([
+            { name: 'example.com', value: 'v=spf1 exists:%{i}._spf.example.com ip4:192.0.2.1 include:other.example.net ptr -all' }
+        ]);
+        expect(result.lookups).to.equal(3);
+    });
+
+    it('Should keep the evaluation order of non-pass terms', async () => {
+        const zone = {
+            'example.com': { TXT: [['v=spf1 ip4:192.0.2.0/24 -ip4:192.0.2.4 include:_spf.provider.net ip4:198.51.100.0/24 -all']] },
+            '_spf.provider.net': { TXT: [['v=spf1 ip4:192.0.2.0/25 ip4:203.0.113.0/24 -all']] }
+        };
+
+        let result = await flattenSpf('example.com', { resolver: createResolver(zone) });
+        expect(result.records).to.deep.equal([
+            { name: 'example.com', value: 'v=spf1 ip4:192.0.2.0/24 -ip4:192.0.2.4 ip4:192.0.2.0/25 ip4:198.51.100.0/24 ip4:203.0.113.0/24 -all' }
+        ]);
+
+        const flatResolver = createResolver({ 'example.com': { TXT: [[result.records[0].value]] } });
+        for (let ip of ['192.0.2.4', '192.0.2.200', '198.51.100.1', '203.0.113.9', '10.0.0.1']) {
+            let original = await spfVerify('example.com', { ip, sender: 'user@example.com', resolver: createResolver(zone) });
+            let flattened = await spfVerify('example.com', { ip, sender: 'user@example.com', resolver: flatResolver });
+            expect(flattened.qualifier, ip).to.equal(original.qualifier);
+        }
+
+        result = await flattenSpf('example.com', { resolver: createResolver(zone), maxLength: 80 });
+        expect(result.records.map(record => record.name)).to.deep.equal(['example.com', '_spf1.example.com']);
+        expect(result.records[0].value).to.equal('v=spf1 ip4:192.0.2.0/24 -ip4:192.0.2.4 include:_spf1.example.com -all');
+    });
+
+    it('Should reject a main record that does not fit', async () => {
+        const resolver = createResolver({
+            'example.com': { TXT: [['v=spf1 ip4:192.0.2.1 -ip4:192.0.2.2 ip4:192.0.2.3 -ip4:192.0.2.4 ip4:192.0.2.5 -all']] }
+        });
+
+        let err;
+        try {
+            await flattenSpf('example.com', { resolver, maxLength: 60 });
+        } catch (E) {
+            err = E;
+        }
+        expect(err).to.exist;
+        expect(err.code).to.equal('ERECORDTOOLONG');
+    });
+
+    it('Should detect include loops', async () => {
+        const resolver = createResolver({
+            'example.com': { TXT: [['v=spf1 include:loop.example.com -all']] },
+            'loop.example.com': { TXT: [['v=spf1 include:example.com -all']] }
+        });
+
+        let err;
+        try {
+            await flattenSpf('example.com', { resolver });
+        } catch (E) {
+            err = E;
+        }
+        expect(err).to.exist;
+        expect(err.spfResult.error).to.equal('permerror');
+    });
+});
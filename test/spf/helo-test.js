@@ -0,0 +1,107 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { spf } = require('../../lib/spf');
+let { authenticate } = require('../../lib/mailauth');
+
+chai.config.includeStack = true;
+
+const resolver = async (name, rr) => {
+    const zone = {
+        'mail.example.net': { TXT: [['v=spf1 a -all']], A: ['192.0.2.1'] },
+        'example.com': { TXT: [['v=spf1 ip4:192.0.2.0/24 -all']] }
+    };
+
+    let match = zone[name]?.[rr];
+    if (!match) {
+        let err = new Error('Error');
+        err.code = 'ENOTFOUND';
+        throw err;
+    }
+    return match;
+};
+
+const message = Buffer.from(
+    ['From: Sender <user@example.com>', 'To: Recipient <rcpt@receiver.example>', 'Subject: Test message', '', 'Hello world!', ''].join('\r\n')
+);
+
+describe('SPF HELO Identity Tests', () => {
+    it('Should check both identities', async () => {
+        let result = await spf({ sender: 'user@example.com', ip: '192.0.2.5', helo: 'mail.example.net', mta: 'mx.example.com', resolver, checkHelo: true });
+
+        expect(result.status.result).to.equal('pass');
+        expect(result.status.smtp).to.deep.equal({ mailfrom: 'user@example.com', helo: 'mail.example.net' });
+
+        expect(result.heloResult.status.result).to.equal('fail');
+        expect(result.heloResult.domain).to.equal('mail.example.net');
+        expect(result.heloResult.info).to.match(/^spf=fail .* smtp\.helo=mail\.example\.net$/);
+        expect(result.heloResult.header).to.include('identity=helo;');
+
+        // HELO is not checked by default
+        result = await spf({ sender: 'user@example.com', ip: '192.0.2.5', helo: 'mail.example.net', mta: 'mx.example.com', resolver });
+        expect(result.heloResult).to.not.exist;
+
+        // IP literals are not checked
+        result = await spf({ sender: 'user@example.com', ip: '192.0.2.5', helo: '[192.0.2.5]', mta: 'mx.example.com', resolver, checkHelo: true });
+        expect(result.heloResult).to.not.exist;
+    });
+
+    it('Should short-circuit on HELO fail', async () => {
+        let result = await spf({ sender: 'user@example.com', ip: '192.0.2.5', helo: 'mail.example.net', resolver, heloShortCircuit: true });
+
+        expect(result.status.result).to.equal('fail');
+        expect(result.shortCircuit).to.be.true;
+        expect(result.domain).to.equal('example.com');
+        expect(result['envelope-from']).to.equal('user@example.com');
+        expect(result.status.smtp).to.deep.equal({ mailfrom: 'user@example.com', helo: 'mail.example.net' });
+        expect(result.info).to.match(/^spf=fail .* smtp\.mailfrom=user@example\.com smtp\.helo=mail\.example\.net$/);
+        expect(result.header).to.not.include('identity=helo');
+        expect(result.rr).to.not.exist;
+
+        expect(result.heloResult.status.result).to.equal('fail');
+        expect(result.heloResult.domain).to.equal('mail.example.net');
+        expect(result.heloResult.status.smtp).to.deep.equal({ helo: 'mail.example.net' });
+
+        result = await spf({ sender: 'user@example.com', ip: '192.0.2.1', helo: 'mail.example.net', resolver, heloShortCircuit: true });
+        expect(result.status.result).to.equal('pass');
+        expect(result.shortCircuit).to.not.exist;
+        expect(result.heloResult.status.result).to.equal('pass');
+    });
+
+    it('Should add HELO result to Authentication-Results', async () => {
+        let result = await authenticate(message, {
+            ip: '192.0.2.5',
+            helo: 'mail.example.net',
+            sender: 'user@example.com',
+            mta: 'mx.example.com',
+            disableArc: true,
+            disableBimi: true,
+            resolver,
+            checkHelo: true
+        });
+
+        expect(result.headers).to.match(/^ spf=pass .* smtp\.mailfrom=user@example\.com smtp\.helo=mail\.example\.net;$/m);
+        expect(result.headers).to.match(/^ spf=fail .* smtp\.helo=mail\.example\.net;$/m);
+    });
+
+    it('Should not align short-circuited results with the HELO domain', async () => {
+        let result = await authenticate(message, {
+            ip: '192.0.2.5',
+            helo: 'mail.example.net',
+            sender: 'user@example.com',
+            mta: 'mx.example.com',
+            disableArc: true,
+            disableBimi: true,
+            resolver,
+            heloShortCircuit: true
+        });
+
+        expect(result.spf.domain).to.equal('example.com');
+        expect(result.spf.shortCircuit).to.be.true;
+        expect(result.headers).to.match(/^ spf=fail .* smtp\.mailfrom=user@example\.com smtp\.helo=mail\.example\.net;$/m);
+        expect(result.headers).to.match(/^ spf=fail .* smtp\.helo=mail\.example\.net;$/m);
+    });
+});
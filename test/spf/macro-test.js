@@ -38,4 +38,25 @@ describe('SPF Macro Tests', () => {
             '1.0.b.c.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6._spf.example.com'
         );
     });
+
+    it('Should allow explanation macros only in explanations', async () => {
+        let values = { sender: 'user@example.com', ip: '192.0.2.3', mta: 'mx.example.net' };
+
+        expect(macro('%{c} via %{r}', values, true)).to.equal('192.0.2.3 via mx.example.net');
+        expect(macro('%{t}', values, true)).to.match(/^\d+$/);
+
+        for (let input of ['%{c}.example.com', '%{r}.example.com', '%{t}.example.com']) {
+            let err;
+            try {
+                macro(input, values);
+            } catch (E) {
+                err = E;
+            }
+            expect(err.spfResult.error).to.equal('permerror');
+        }
+    });
+
+    it('Should URL escape uppercase macros', async () => {
+        expect(macro('%{L}.%{l}', { sender: 'jack&jill=up@example.com' })).to.equal('jack%26jill%3Dup.jack&jill=up');
+    });
 });
@@ -34,9 +34,6 @@ const ignoreTests = [
     // failing ip6 address is not tested for ip4 check
     /^cidr6-129$/,
 
-    // exp is not supported
-    /^exp-/,
-
     // validated domain macros are not perfect
     /^p-/,
 
@@ -49,6 +46,11 @@ const ignoreTests = [
     // /-limit$/
 ];
 
+const ignoreExplanations = [
+    // IPv6 nibbles are expanded in lowercase
+    /^v-macro-ip6$/
+];
+
 let replyErr = code => {
     // default response
     let err = new Error('Error');
@@ -150,6 +152,14 @@ describe(`SPF Suite`, () => {
                     } else {
                         expect(testdata.result).to.equal(result?.status?.result);
                     }
+
+                    if (testdata.explanation && result?.status?.result === 'fail' && !ignoreExplanations.some(re => re.test(test))) {
+                        if (testdata.explanation === 'DEFAULT') {
+                            expect(result.explanation).to.not.exist;
+                        } else {
+                            expect(result.explanation).to.equal(testdata.explanation);
+                        }
+                    }
                 });
             }
         });
@@ -119,4 +119,67 @@ describe('SPF Verifier Tests', () => {
         result = await spfVerify('example.com', { ip: '1.2.2.4', sender: 'some+user@example.com', resolver: stubResolver });
         expect(result.qualifier).to.equal('-');
     });
+
+    it('Should return explanation for fail results', async () => {
+        const stubResolver = (domain, type) => {
+            switch (domain) {
+                case 'example.com':
+                    return [['v=spf1 ip4:192.0.2.1 -all exp=explain._spf.%{d}']];
+                case 'explain._spf.example.com':
+                    if (type === 'TXT') {
+                        return [['%{i} is not one of %{d}', "'s designated mail servers, see mx %{r}"]];
+                    }
+            }
+            let err = new Error('Error');
+            err.code = 'ENOTFOUND';
+            throw err;
+        };
+
+        let result;
+        result = await spfVerify('example.com', { ip: '1.2.3.4', sender: 'user@example.com', mta: 'mx.example.net', resolver: stubResolver });
+        expect(result.qualifier).to.equal('-');
+        expect(result.explanation).to.equal("1.2.3.4 is not one of example.com's designated mail servers, see mx mx.example.net");
+
+        result = await spfVerify('example.com', { ip: '192.0.2.1', sender: 'user@example.com', resolver: stubResolver });
+        expect(result.qualifier).to.equal('+');
+        expect(result.explanation).to.not.exist;
+    });
+
+    it('Should ignore explanation errors', async () => {
+        const stubResolver = (domain, type) => {
+            if (domain === 'example.com' && type === 'TXT') {
+                return [['v=spf1 -all exp=explain.example.com']];
+            }
+            let err = new Error('Error');
+            err.code = 'ETIMEOUT';
+            throw err;
+        };
+
+        let result = await spfVerify('example.com', { ip: '1.2.3.4', sender: 'user@example.com', resolver: stubResolver });
+        expect(result.qualifier).to.equal('-');
+        expect(result.explanation).to.not.exist;
+    });
+
+    it('Should not fetch explanations for included records', async () => {
+        const queries = [];
+        const stubResolver = async (domain, type) => {
+            queries.push(`${type} ${domain}`);
+            switch (domain) {
+                case 'example.com':
+                    return [['v=spf1 include:_spf.example.net ~all']];
+                case '_spf.example.net':
+                    return [['v=spf1 ip4:192.0.2.1 exp=exp.example.net -all']];
+                case 'exp.example.net':
+                    return [['Not allowed']];
+            }
+            let err = new Error('Error');
+            err.code = 'ENOTFOUND';
+            throw err;
+        };
+
+        let result = await spfVerify('example.com', { ip: '1.2.3.4', sender: 'user@example.com', resolver: stubResolver });
+        expect(result.qualifier).to.equal('~');
+        expect(result.explanation).to.not.exist;
+        expect(queries).to.deep.equal(['TXT example.com', 'TXT _spf.example.net']);
+    });
 });
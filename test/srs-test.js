@@ -0,0 +1,102 @@
+/* eslint no-unused-expressions:0 */
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+let { srsRewrite, srsReverse, parseSrsAddress } = require('../lib/srs');
+let { authenticate } = require('../lib/mailauth');
+
+chai.config.includeStack = true;
+
+const now = new Date('2024-03-01T12:00:00Z');
+
+const expectError = (fn, code) => {
+    let err;
+    try {
+        fn();
+    } catch (E) {
+        err = E;
+    }
+    expect(err).to.exist;
+    expect(err.code).to.equal(code);
+};
+
+describe('SRS Tests', () => {
+    it('Should rewrite and reverse SRS0 addresses', async () => {
+        let srs = srsRewrite('user@example.com', { secret: 'secret', domain: 'forwarder.net', now });
+        expect(srs).to.match(/^SRS0=[^=]{4}=[A-Z2-7]{2}=example\.com=user@forwarder\.net$/);
+
+        expect(srsReverse(srs, { secret: 'secret', now })).to.equal('user@example.com');
+
+        // hash is not case sensitive
+        expect(srsReverse(srs.toLowerCase(), { secret: 'secret', now })).to.equal('user@example.com');
+
+        // local addresses are not rewritten
+        expect(srsRewrite('user@forwarder.net', { secret: 'secret', domain: 'forwarder.net', now })).to.equal('user@forwarder.net');
+        expect(srsRewrite('', { secret: 'secret', domain: 'forwarder.net', now })).to.equal('');
+    });
+
+    it('Should rewrite SRS addresses into SRS1', async () => {
+        let srs0 = srsRewrite('user@example.com', { secret: 'first', domain: 'first.net', now });
+        let srs1 = srsRewrite(srs0, { secret: 'second', domain: 'second.net', now });
+        expect(srs1).to.match(/^SRS1=[^=]{4}=first\.net==[^=]{4}=[A-Z2-7]{2}=example\.com=user@second\.net$/);
+
+        // another hop keeps the first forwarder
+        let srs1b = srsRewrite(srs1, { secret: 'third', domain: 'third.net', now });
+        expect(srs1b).to.match(/^SRS1=[^=]{4}=first\.net==[^=]{4}=[A-Z2-7]{2}=example\.com=user@third\.net$/);
+
+        expect(srsReverse(srs1, { secret: 'second', now })).to.equal(srs0);
+        expect(srsReverse(srs0, { secret: 'first', now })).to.equal('user@example.com');
+
+        expect(parseSrsAddress(srs1b)).to.include({ type: 'SRS1', firstHost: 'first.net', domain: 'third.net', original: 'user@example.com' });
+    });
+
+    it('Should reject invalid and expired addresses', async () => {
+        let srs = srsRewrite('user@example.com', { secret: 'secret', domain: 'forwarder.net', now });
+
+        expectError(() => srsReverse(srs, { secret: 'other', now }), 'ESRSHASH');
+        expectError(() => srsReverse(srs.replace('=user@', '=admin@'), { secret: 'secret', now }), 'ESRSHASH');
+        expectError(() => srsReverse('user@example.com', { secret: 'secret', now }), 'ESRSFORMAT');
+        expectError(() => srsReverse(srs, { secret: 'secret', now: new Date('2024-04-01T12:00:00Z') }), 'ESRSEXPIRED');
+        expectError(() => srsRewrite('user@example.com', { domain: 'forwarder.net' }), 'ESRSSECRET');
+
+        expect(srsReverse(srs, { secret: 'secret', now: new Date('2024-03-20T12:00:00Z') })).to.equal('user@example.com');
+    });
+
+    it('Should support secret rotation', async () => {
+        let srs = srsRewrite('user@example.com', { secret: 'old', domain: 'forwarder.net', now });
+
+        // new addresses are signed with the first secret, old secrets are still accepted
+        expect(srsReverse(srs, { secret: ['new', 'old'], now })).to.equal('user@example.com');
+        expect(srsRewrite('user@example.com', { secret: ['new', 'old'], domain: 'forwarder.net', now })).to.equal(
+            srsRewrite('user@example.com', { secret: 'new', domain: 'forwarder.net', now })
+        );
+    });
+
+    it('Should report SRS senders in authenticate', async () => {
+        const sender = srsRewrite('user@example.com', { secret: 'secret', domain: 'forwarder.net' });
+        const message = Buffer.from(['From: user@example.com', 'Subject: test', '', 'Hello!', ''].join('\r\n'));
+
+        const resolver = async (name, rr) => {
+            if (name === 'forwarder.net' && rr === 'TXT') {
+                return [['v=spf1 ip4:192.0.2.1 -all']];
+            }
+            let err = new Error('Error');
+            err.code = 'ENOTFOUND';
+            throw err;
+        };
+
+        const opts = { ip: '192.0.2.1', helo: 'mx.forwarder.net', sender, mta: 'mx.example.org', disableArc: true, disableBimi: true, resolver };
+
+        let { spf } = await authenticate(message, Object.assign({}, opts, { srs: { secret: 'secret' } }));
+        expect(spf.status.result).to.equal('pass');
+        expect(spf.srs).to.deep.equal({ type: 'SRS0', original: 'user@example.com', forwarder: 'forwarder.net', verified: true });
+
+        ({ spf } = await authenticate(message, Object.assign({}, opts, { srs: true })));
+        expect(spf.srs).to.deep.equal({ type: 'SRS0', original: 'user@example.com', forwarder: 'forwarder.net' });
+
+        ({ spf } = await authenticate(message, opts));
+        expect(spf.srs).to.not.exist;
+    });
+});